@@ -1,13 +1,24 @@
 import axios from 'axios'; // Using axios
+import fsPromises from 'fs/promises';
 import { URL } from 'url';
+import { UploadAbortedError, CUEUploadError, NetworkError, ConfigurationError, createApiError, createS3Error } from './errors.js';
+import { defaultLogger } from './logger.js';
+import { RetryPolicy, parseRetryAfter } from './retryPolicy.js';
+import { TokenManager } from './tokenManager.js';
 
 const DEFAULT_API_TIMEOUT = 30000; // 30 seconds
 
 export class ApiClient {
-    constructor(config, globalArgs, authToken) { // globalArgs might be simplified to just env
+    // authToken is a token string or a TokenManager that can refresh it.
+    // bandwidthLimiter, if given, throttles the bodies of presigned S3 transfers (not backend calls).
+    constructor(config, globalArgs, authToken, logger = defaultLogger, retryPolicy = null, bandwidthLimiter = null) { // globalArgs might be simplified to just env
         this.config = config;
+        this.logger = logger;
+        this.tokenManager = authToken instanceof TokenManager ? authToken : new TokenManager({ token: authToken, logger });
+        // One policy for every backend and S3 call; handlers do not retry on their own.
+        this.retryPolicy = retryPolicy || RetryPolicy.fromConfig(config, logger);
+        this.bandwidthLimiter = bandwidthLimiter;
         this.env = globalArgs.envCli || config.default_env; // Determine env once
-        this.authToken = authToken;
         this.baseUrl = this._getBaseUrl();
         this.httpClient = axios.create({
             baseURL: this.baseUrl,
@@ -19,26 +30,27 @@ export class ApiClient {
     _getBaseUrl() {
         const url = this.config.environments[this.env];
         if (!url) {
-            throw new Error(`Environment URL for '${this.env}' not found in configuration.`);
+            throw new ConfigurationError(`Environment URL for '${this.env}' not found in configuration.`);
         }
         return url;
     }
 
+    // Authorization is added per request so a refreshed token takes effect immediately.
     _getDefaultHeaders() {
         return {
-            "Authorization": `Bearer ${this.authToken}`,
             "Accept": "application/json",
             "Content-Type": "application/json",
             "User-Agent": `JS-CUE-Upload-Library/0.1.0`
         };
     }
 
-    async _request(method, endpoint, jsonData = null, expectedStatusCodes = [200, 201, 204], customHeaders = {}) {
+    async _request(method, endpoint, jsonData = null, expectedStatusCodes = [200, 201, 204], customHeaders = {}, requestOptions = {}) {
         const url = endpoint; // Axios handles baseURL
         const config = {
             method: method,
             url: url,
-            headers: customHeaders, // Default headers are part of client instance
+            headers: customHeaders, // Default headers are part of client instance; Authorization is set per attempt
+            signal: requestOptions.signal
         };
         if (jsonData) {
             config.data = jsonData;
@@ -47,85 +59,151 @@ export class ApiClient {
              // If backend is strict, ensure it's removed or set to appropriate type for empty body.
         }
         
-        console.debug(`[CUE Upload Lib] API Request: ${method.toUpperCase()} ${this.baseUrl}${url}`);
-        if (jsonData) console.debug(`[CUE Upload Lib] API Payload:`, JSON.stringify(jsonData, null, 2).substring(0, 500));
+        const logFields = { method: method.toUpperCase(), endpoint: url };
+        this.logger.debug("API request", { ...logFields, base_url: this.baseUrl, payload: jsonData || undefined });
 
-        try {
-            const response = await this.httpClient.request(config);
-            console.debug(`[CUE Upload Lib] API Response: ${response.status} ${response.statusText}`);
+        const send = async (token) => {
+            try {
+                const response = await this.httpClient.request({ ...config, headers: { ...customHeaders, "Authorization": `Bearer ${token}` } });
+                this.logger.debug("API response", { ...logFields, status: response.status });
 
-            if (!expectedStatusCodes.includes(response.status)) {
-                const errorText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
-                console.error(`[CUE Upload Lib] API Error: ${response.status} on ${method} ${url}. Response: ${errorText.substring(0,500)}`);
-                throw new Error(`API request failed: ${response.status} ${response.statusText}. ${errorText}`);
+                if (!expectedStatusCodes.includes(response.status)) {
+                    const errorText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+                    this.logger.debug("API error", { ...logFields, status: response.status, response: errorText.substring(0, 500) });
+                    throw createApiError(response.status, { endpoint: url, responseBody: response.data, retryAfterMs: parseRetryAfter(response.headers?.['retry-after']) });
+                }
+                return response.data; // Axios automatically parses JSON
+            } catch (error) {
+                if (error instanceof CUEUploadError) throw error;
+                if (axios.isCancel(error)) {
+                    throw new UploadAbortedError(`Request to ${url} was aborted.`, { cause: error });
+                }
+                if (error.response) { // Error from server (e.g. 4xx, 5xx)
+                    this.logger.debug("API error", { ...logFields, status: error.response.status, response: error.response.data });
+                    throw createApiError(error.response.status, {
+                        endpoint: url, responseBody: error.response.data, cause: error,
+                        retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after'])
+                    });
+                } else if (error.request) { // Request made but no response
+                    this.logger.debug("API error: no response received", { ...logFields, error: error.message });
+                    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+                    throw new NetworkError(`${timedOut ? 'Timed out waiting for' : 'No response from'} server for ${url}: ${error.message}`, { endpoint: url, cause: error });
+                } else { // Setup error
+                    this.logger.error("API error: request setup failed", { ...logFields, error: error.message });
+                    throw new CUEUploadError(`Request setup error for ${url}: ${error.message}`, { code: "ERR_REQUEST_SETUP", endpoint: url, cause: error });
+                }
             }
-            return response.data; // Axios automatically parses JSON
-        } catch (error) {
-            if (error.response) { // Error from server (e.g. 4xx, 5xx)
-                console.error(`[CUE Upload Lib] API Error ${error.response.status} for ${url}:`, error.response.data);
-                throw new Error(`API request failed: ${error.response.status}. ${JSON.stringify(error.response.data)}`);
-            } else if (error.request) { // Request made but no response
-                console.error(`[CUE Upload Lib] API Error: No response received for ${url}:`, error.message);
-                throw new Error(`No response from server for ${url}: ${error.message}`);
-            } else { // Setup error
-                console.error(`[CUE Upload Lib] API Error: Request setup error for ${url}:`, error.message);
-                throw new Error(`Request setup error for ${url}: ${error.message}`);
+        };
+
+        return this.retryPolicy.execute(async () => {
+            const token = await this.tokenManager.getToken();
+            try {
+                return await send(token);
+            } catch (error) {
+                // An expired or revoked token: refresh once and replay, without spending a retry attempt.
+                if (error.statusCode !== 401 || !this.tokenManager.canRefresh) throw error;
+                this.logger.info("Backend rejected the API token; refreshing and replaying the request", logFields);
+                return send(await this.tokenManager.refresh(token));
             }
-        }
+        }, { signal: requestOptions.signal, onRetry: requestOptions.onRetry, description: `${logFields.method} ${url}` });
     }
+    // requestOptions: { signal, onRetry } - an AbortSignal cancels the in-flight request;
+    // onRetry({ attempt, delayMs, error }) is called before each retry.
     // Single File
-    async getPresignedUrlSingle(payload) { return this._request("POST", "upload/upload_url", payload); }
-    async confirmSingleUpload(payload) { return this._request("POST", "upload/confirm_single", payload, [200, 201]); }
+    async getPresignedUrlSingle(payload, requestOptions) { return this._request("POST", "upload/upload_url", payload, undefined, {}, requestOptions); }
+    async confirmSingleUpload(payload, requestOptions) { return this._request("POST", "upload/confirm_single", payload, [200, 201], {}, requestOptions); }
     // Multipart
-    async startMultipartUpload(payload) { return this._request("POST", "multipart/start", payload); }
-    async getPresignedUrlForPart(payload) { return this._request("POST", "multipart/get_part_url", payload); }
-    async completeMultipartUpload(payload) { return this._request("POST", "multipart/complete", payload); }
-    async abortMultipartUpload(payload) { return this._request("POST", "multipart/abort", payload, [204]); }
+    async startMultipartUpload(payload, requestOptions) { return this._request("POST", "multipart/start", payload, undefined, {}, requestOptions); }
+    async getPresignedUrlForPart(payload, requestOptions) { return this._request("POST", "multipart/get_part_url", payload, undefined, {}, requestOptions); }
+    async completeMultipartUpload(payload, requestOptions) { return this._request("POST", "multipart/complete", payload, undefined, {}, requestOptions); }
+    async abortMultipartUpload(payload, requestOptions) { return this._request("POST", "multipart/abort", payload, [204], {}, requestOptions); }
+    // Verification: size, checksum and ETag of a stored object
+    async getObjectInfo(payload, requestOptions) { return this._request("POST", "upload/object_info", payload, [200], {}, requestOptions); }
 
     // S3 Direct Upload Helpers (using axios for consistency)
-    async uploadToS3PresignedPost(url, fields, filePath, fileName, contentType) {
-        const fileBuffer = await fsPromises.readFile(filePath);
-        const formData = new FormData();
-        for (const key in fields) {
-            formData.append(key, fields[key]);
-        }
-        formData.append('file', new Blob([fileBuffer], { type: contentType }), fileName);
+    // fileData is a path to read or the file's contents as a Buffer.
+    async uploadToS3PresignedPost(url, fields, fileData, fileName, contentType, requestOptions = {}) {
+        const fileBuffer = Buffer.isBuffer(fileData) ? fileData : await fsPromises.readFile(fileData);
+        const buildFormData = () => {
+            const formData = new FormData();
+            for (const key in fields) {
+                formData.append(key, fields[key]);
+            }
+            formData.append('file', new Blob([fileBuffer], { type: contentType }), fileName);
+            return formData;
+        };
+        // A throttled body must be a stream, so the form is encoded first; the encoding is kept for later attempts.
+        let encodedForm = null;
+        const encodeForm = async () => {
+            if (!encodedForm) {
+                const response = new Response(buildFormData());
+                encodedForm = { contentType: response.headers.get('content-type'), body: Buffer.from(await response.arrayBuffer()) };
+            }
+            return encodedForm;
+        };
 
-        console.debug(`[CUE Upload Lib] S3 POST: URL=${url}, File=${fileName}`);
-        try {
-            const response = await axios.post(url, formData, {
-                headers: {
-                    // FormData sets Content-Type automatically
-                },
-                timeout: 0 // Potentially long uploads, disable axios timeout for this call
-            });
-            console.debug(`[CUE Upload Lib] S3 POST Response: ${response.status} ${response.statusText}`);
-            if (![200, 204].includes(response.status)) {
-                throw new Error(`S3 presigned POST failed: ${response.status}. ${response.data}`);
+        return this.retryPolicy.execute(async () => {
+            const throttled = this._isThrottled();
+            this.logger.debug("S3 POST", { file: fileName, size: fileBuffer.byteLength, throttled });
+            try {
+                const form = throttled ? await encodeForm() : null;
+                const response = await axios.post(url, form ? this.bandwidthLimiter.throttle(form.body, requestOptions.signal) : buildFormData(), {
+                    // FormData sets Content-Type automatically; an encoded form carries its own boundary.
+                    headers: form ? { 'Content-Type': form.contentType, 'Content-Length': String(form.body.byteLength) } : {},
+                    timeout: 0, // Potentially long uploads, disable axios timeout for this call
+                    signal: requestOptions.signal,
+                    onUploadProgress: requestOptions.onUploadProgress
+                });
+                this.logger.debug("S3 POST response", { file: fileName, status: response.status });
+                if (![200, 204].includes(response.status)) {
+                    throw createS3Error("S3 presigned POST", { statusCode: response.status, responseBody: response.data });
+                }
+                return { status: response.status, headers: response.headers };
+            } catch (error) {
+                if (error instanceof CUEUploadError) throw error;
+                if (axios.isCancel(error) || requestOptions.signal?.aborted) throw new UploadAbortedError(`S3 POST for ${fileName} was aborted.`, { cause: error });
+                this.logger.debug("S3 presigned POST failed", { file: fileName, status: error.response?.status, error: error.response?.data || error.message });
+                throw createS3Error("S3 presigned POST", {
+                    statusCode: error.response?.status, responseBody: error.response?.data, cause: error,
+                    retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after'])
+                });
             }
-            return { status: response.status, headers: response.headers };
-        } catch (error) {
-            console.error(`[CUE Upload Lib] S3 presigned POST HTTP error for ${fileName}:`, error.response?.data || error.message);
-            throw error;
-        }
+        }, { signal: requestOptions.signal, onRetry: requestOptions.onRetry, description: "S3 presigned POST" });
     }
 
-    async uploadPartToS3PresignedPut(url, partDataBuffer) {
-        const headers = { 'Content-Length': String(partDataBuffer.byteLength) };
-        console.debug(`[CUE Upload Lib] S3 PUT Part: URL ending ...${url.slice(-50)}, Size=${partDataBuffer.byteLength}`);
-        try {
-            const response = await axios.put(url, partDataBuffer, {
-                headers: headers,
-                timeout: 0 // Disable timeout for part uploads
-            });
-            console.debug(`[CUE Upload Lib] S3 PUT Part Response: ${response.status} ${response.statusText}, ETag: ${response.headers['etag']}`);
-            if (response.status !== 200) {
-                throw new Error(`S3 presigned PUT for part failed: ${response.status}. ${response.data}`);
+    // requestOptions.headers adds request headers, e.g. the x-amz-checksum-* value S3 verifies the body against.
+    async uploadPartToS3PresignedPut(url, partDataBuffer, requestOptions = {}) {
+        const headers = { ...requestOptions.headers, 'Content-Length': String(partDataBuffer.byteLength) };
+        return this.retryPolicy.execute(async () => {
+            const throttled = this._isThrottled();
+            this.logger.debug("S3 PUT", { url_suffix: url.slice(-50), size: partDataBuffer.byteLength, throttled });
+            try {
+                const body = throttled ? this.bandwidthLimiter.throttle(partDataBuffer, requestOptions.signal) : partDataBuffer;
+                const response = await axios.put(url, body, {
+                    headers: headers,
+                    timeout: 0, // Disable timeout for part uploads
+                    signal: requestOptions.signal,
+                    onUploadProgress: requestOptions.onUploadProgress
+                });
+                this.logger.debug("S3 PUT response", { status: response.status, etag: response.headers['etag'] });
+                if (response.status !== 200) {
+                    throw createS3Error("S3 presigned PUT", { statusCode: response.status, responseBody: response.data });
+                }
+                return { status: response.status, headers: response.headers };
+            } catch (error) {
+                if (error instanceof CUEUploadError) throw error;
+                if (axios.isCancel(error) || requestOptions.signal?.aborted) throw new UploadAbortedError("S3 PUT was aborted.", { cause: error });
+                this.logger.debug("S3 presigned PUT failed", { status: error.response?.status, error: error.response?.data || error.message });
+                throw createS3Error("S3 presigned PUT", {
+                    statusCode: error.response?.status, responseBody: error.response?.data, cause: error,
+                    retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after'])
+                });
             }
-            return { status: response.status, headers: response.headers };
-        } catch (error) {
-            console.error(`[CUE Upload Lib] S3 presigned PUT part HTTP error:`, error.response?.data || error.message);
-            throw error;
-        }
+        }, { signal: requestOptions.signal, onRetry: requestOptions.onRetry, description: "S3 presigned PUT" });
+    }
+
+    // Decided per attempt: a limit set at runtime applies to transfers started afterwards.
+    _isThrottled() {
+        return Boolean(this.bandwidthLimiter?.isActive);
     }
 }
@@ -0,0 +1,147 @@
+import { Readable } from 'stream';
+import { sleep } from './utils.js';
+import { ConfigurationError, throwIfAborted } from './errors.js';
+
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 64 * 1024;
+// Waiting transfers re-check the limit at least this often, so runtime changes apply promptly.
+const MAX_WAIT_MS = 250;
+const SCHEDULE_ENTRY = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})=(\d+|unlimited)$/;
+
+function toMinuteOfDay(hours, minutes) {
+    const h = Number(hours); const m = Number(minutes);
+    if (m > 59 || h > 24 || (h === 24 && m !== 0)) return null;
+    return h * 60 + m;
+}
+
+/**
+ * Parses one bandwidth_schedule entry, "HH:MM-HH:MM=<bytes per second>" or
+ * "HH:MM-HH:MM=unlimited", in local time. Returns { startMinute, endMinute,
+ * bytesPerSecond } (bytesPerSecond null for unlimited), or null if malformed.
+ */
+export function parseScheduleEntry(entry) {
+    const match = typeof entry === 'string' ? SCHEDULE_ENTRY.exec(entry.trim()) : null;
+    if (!match) return null;
+    const startMinute = toMinuteOfDay(match[1], match[2]);
+    const endMinute = toMinuteOfDay(match[3], match[4]);
+    const bytesPerSecond = match[5] === "unlimited" ? null : Number(match[5]);
+    if (startMinute === null || endMinute === null || bytesPerSecond === 0) return null;
+    return { startMinute, endMinute, bytesPerSecond };
+}
+
+/** Validation hook for bandwidth_schedule entries: a problem description, or null. */
+export function checkScheduleEntry(entry) {
+    return parseScheduleEntry(entry) ? null : `has an invalid entry '${entry}' (expected "HH:MM-HH:MM=<bytes per second>" or "HH:MM-HH:MM=unlimited")`;
+}
+
+function isWithinWindow({ startMinute, endMinute }, minute) {
+    if (startMinute === endMinute) return true;
+    if (startMinute < endMinute) return minute >= startMinute && minute < endMinute;
+    return minute >= startMinute || minute < endMinute; // Wraps past midnight
+}
+
+function assertBandwidth(bytesPerSecond) {
+    if (bytesPerSecond === null) return;
+    if (typeof bytesPerSecond !== 'number' || !Number.isFinite(bytesPerSecond) || bytesPerSecond <= 0) {
+        throw new ConfigurationError(`Bandwidth must be a positive number of bytes per second or null, got: ${bytesPerSecond}`);
+    }
+}
+
+/**
+ * Token bucket shared by every S3 transfer of an uploader. Transfers take
+ * bytes from the bucket in small chunks, in arrival order, so concurrent parts
+ * and files split the bandwidth evenly. The bucket holds at most one second's
+ * worth of bytes. The limit is `maxBytesPerSecond` (null for unlimited), unless
+ * a `schedule` window (see parseScheduleEntry) covers the current local time;
+ * the first matching window wins. Both can be changed while uploads run.
+ */
+export class BandwidthLimiter {
+    constructor({ maxBytesPerSecond = null, schedule = [], now = Date.now } = {}) {
+        this.now = now;
+        this.setMaxBandwidth(maxBytesPerSecond);
+        this.setSchedule(schedule);
+        this._tokens = 0;
+        this._lastRefillAt = now();
+        this._queue = Promise.resolve();
+    }
+
+    setMaxBandwidth(bytesPerSecond) {
+        assertBandwidth(bytesPerSecond ?? null);
+        this.maxBytesPerSecond = bytesPerSecond ?? null;
+    }
+
+    /** Replaces the time-of-day windows with bandwidth_schedule entries. */
+    setSchedule(entries = []) {
+        this.schedule = entries.map((entry) => {
+            const window = parseScheduleEntry(entry);
+            if (!window) throw new ConfigurationError(`Bandwidth schedule ${checkScheduleEntry(entry)}.`);
+            return window;
+        });
+    }
+
+    /** Whether transfers need to go through the bucket at all; false when nothing could ever limit them. */
+    get isActive() {
+        return this.maxBytesPerSecond !== null || this.schedule.some(window => window.bytesPerSecond !== null);
+    }
+
+    /** Bytes per second allowed right now, or null for unlimited. */
+    getCurrentLimit() {
+        const date = new Date(this.now());
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const window = this.schedule.find(candidate => isWithinWindow(candidate, minute));
+        return window ? window.bytesPerSecond : this.maxBytesPerSecond;
+    }
+
+    /** Resolves once `bytes` may be sent. Rejects with UploadAbortedError if `signal` aborts while waiting. */
+    consume(bytes, signal) {
+        const turn = this._queue.then(() => this._take(bytes, signal));
+        this._queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /** Readable over `data` that releases it chunk by chunk as the bucket allows. */
+    throttle(data, signal) {
+        const limiter = this;
+        return Readable.from((async function* () {
+            for (let offset = 0; offset < data.length;) {
+                const chunk = data.subarray(offset, offset + limiter._getChunkSize());
+                await limiter.consume(chunk.length, signal);
+                offset += chunk.length;
+                yield chunk;
+            }
+        })(), { objectMode: false });
+    }
+
+    // About 20 chunks per second at the current limit, so low limits are not bursty.
+    _getChunkSize() {
+        const limit = this.getCurrentLimit();
+        if (limit === null) return MAX_CHUNK_SIZE;
+        return Math.max(MIN_CHUNK_SIZE, Math.min(MAX_CHUNK_SIZE, Math.floor(limit / 20)));
+    }
+
+    _refill(limit) {
+        const time = this.now();
+        this._tokens = Math.min(limit, this._tokens + ((time - this._lastRefillAt) / 1000) * limit);
+        this._lastRefillAt = time;
+    }
+
+    async _take(bytes, signal) {
+        for (;;) {
+            throwIfAborted(signal);
+            const limit = this.getCurrentLimit();
+            if (limit === null) {
+                this._lastRefillAt = this.now();
+                return;
+            }
+            this._refill(limit);
+            // A chunk larger than the bucket is let through once it is full, leaving the bucket in debt.
+            const needed = Math.min(bytes, limit);
+            if (this._tokens >= needed) {
+                this._tokens -= bytes;
+                return;
+            }
+            const waitMs = Math.ceil(((needed - this._tokens) / limit) * 1000);
+            await sleep(Math.min(waitMs, MAX_WAIT_MS), signal);
+        }
+    }
+}
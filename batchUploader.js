@@ -0,0 +1,97 @@
+import { runWithConcurrency } from './utils.js';
+import { ConfigurationError, BatchUploadError, UploadAbortedError, isAbortError } from './errors.js';
+
+export const BATCH_ERROR_POLICIES = ["continue", "stop"];
+
+/** Throws ConfigurationError unless jobs is a non-empty list of { source, collection, targetPath?, options? }. */
+export function assertBatchJobs(jobs, { onError = "continue" } = {}) {
+    if (!BATCH_ERROR_POLICIES.includes(onError)) {
+        throw new ConfigurationError(`Invalid onError policy '${onError}'. Use one of: ${BATCH_ERROR_POLICIES.join(', ')}.`);
+    }
+    if (!Array.isArray(jobs) || jobs.length === 0) throw new ConfigurationError("uploadBatch needs a non-empty array of jobs.");
+    jobs.forEach((job, index) => {
+        if (typeof job?.source !== 'string' || job.source === '') throw new ConfigurationError(`Batch job ${index} needs a source path.`);
+        if (typeof job.collection !== 'string' || job.collection === '') throw new ConfigurationError(`Batch job ${index} needs a collection.`);
+        // Every job is cancelled through the batch's signal, so stop-on-failure can reach it too.
+        if (job.options?.signal) throw new ConfigurationError(`Batch job ${index} has its own signal; pass one signal to uploadBatch instead.`);
+    });
+}
+
+// File counts of one job: a folder result, or a single file.
+function countFiles(jobResult) {
+    const folderResult = jobResult.result?.totalFiles !== undefined ? jobResult.result : jobResult.error?.folderResult;
+    if (folderResult) {
+        return {
+            totalFiles: folderResult.totalFiles, successfulUploads: folderResult.successfulUploads,
+            failedUploads: folderResult.failedUploads, skippedUploads: folderResult.skippedUploads
+        };
+    }
+    const single = { totalFiles: 1, successfulUploads: 0, failedUploads: 0, skippedUploads: 0 };
+    if (jobResult.status === "success") single.successfulUploads = 1;
+    if (jobResult.status === "failed") single.failedUploads = 1;
+    return single;
+}
+
+function summarize(jobResults) {
+    const totals = { totalFiles: 0, successfulUploads: 0, failedUploads: 0, skippedUploads: 0 };
+    for (const jobResult of jobResults) {
+        if (jobResult.status === "cancelled" && !jobResult.error?.folderResult) continue; // Never started, or nothing to count
+        for (const [key, value] of Object.entries(countFiles(jobResult))) totals[key] += value || 0;
+    }
+    const count = (status) => jobResults.filter(j => j.status === status).length;
+    return {
+        totalJobs: jobResults.length, successfulJobs: count("success"), failedJobs: count("failed"), cancelledJobs: count("cancelled"),
+        ...totals, jobs: jobResults
+    };
+}
+
+/**
+ * Runs each job through `runJob(job, index, signal)`, at most `concurrency` at
+ * a time. With onError "continue" every job runs; with "stop" the first failed
+ * job cancels the running ones and the rest are not started. Resolves with the
+ * batch result when every job succeeds. Otherwise rejects with
+ * BatchUploadError, or with UploadAbortedError when `signal` aborted; both
+ * carry the batch result as `batchResult`. Expects jobs already checked with
+ * assertBatchJobs.
+ */
+export async function processBatchUpload(jobs, runJob, { concurrency = 1, onError = "continue", signal, progress = null } = {}) {
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) forwardAbort(); else signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    const jobResults = jobs.map((job, index) => ({
+        index, source: job.source, collection: job.collection,
+        targetPath: job.targetPath ?? job.options?.targetPath ?? null, status: "pending", result: null, error: null
+    }));
+    try {
+        await runWithConcurrency(jobResults, concurrency, async (jobResult) => {
+            if (controller.signal.aborted) return;
+            if (progress) progress.jobStart(jobResult.index, jobResult);
+            try {
+                jobResult.result = await runJob(jobs[jobResult.index], jobResult.index, controller.signal);
+                jobResult.status = "success";
+            } catch (error) {
+                jobResult.error = error;
+                jobResult.errorMessage = error.message;
+                jobResult.status = isAbortError(error) ? "cancelled" : "failed";
+                if (jobResult.status === "failed" && onError === "stop") {
+                    controller.abort(new BatchUploadError(`Batch stopped after job ${jobResult.index} failed: ${error.message}`));
+                }
+            }
+            if (progress) progress.jobDone(jobResult.index, jobResult);
+        });
+    } finally {
+        signal?.removeEventListener('abort', forwardAbort);
+    }
+    for (const jobResult of jobResults.filter(j => j.status === "pending")) jobResult.status = "cancelled";
+
+    const batchResult = summarize(jobResults);
+    if (progress) progress.finish(batchResult);
+    if (signal?.aborted) {
+        throw new UploadAbortedError("Batch upload was aborted.", { cause: signal.reason, batchResult });
+    }
+    if (batchResult.failedJobs > 0) {
+        throw new BatchUploadError(`${batchResult.failedJobs} of ${batchResult.totalJobs} batch job(s) failed.`, { batchResult });
+    }
+    return batchResult;
+}
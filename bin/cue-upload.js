@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { getConfig, saveConfigValue, getConfigFilePath } from '../config.js';
+import { formatBytes } from '../utils.js';
+import { createDefaultLogger } from '../logger.js';
+
+// Exit codes, so scheduled jobs can tell a partial folder failure from a fatal error.
+const EXIT_SUCCESS = 0;
+const EXIT_FATAL = 1;
+const EXIT_PARTIAL_FAILURE = 2;
+
+const USAGE = `Usage: cue-upload <command> [options]
+
+Commands:
+  upload <path> <collection>     Upload a file or folder to a collection
+      --target-path <path>       Remote sub-path within the collection
+      --env <env>                Target environment (prod, uat, sit, local)
+      --token <token>            API token (overrides config and env var)
+      --resume                   Resume interrupted multipart uploads
+      --verify                   Check each stored object's size, checksum and ETag after upload
+      --dry-run                  Print what would be uploaded without uploading
+      --sync                     Skip files unchanged since their last upload to the same target
+      --force                    With --sync, upload every file again
+      --ignore <pattern>         Skip files matching a gitignore-style pattern (repeatable)
+      --include <pattern>        Only upload files matching this pattern (repeatable)
+      --symlinks <policy>        skip (default), follow or error
+      --max-bandwidth <bytes/s>  Limit the combined rate of all S3 transfers
+      --report <file>            Write a report of the run: .json, .csv or .xml (JUnit) (repeatable)
+  configure [<key> <value>]      Save a configuration value
+      --token <token>            Shortcut for: configure api_token <token>
+      --env <env>                Shortcut for: configure default_env <env>
+  ignore add <pattern>           Add a pattern to user_ignored_patterns
+  ignore list                    List user_ignored_patterns
+  ignore remove <pattern>        Remove a pattern from user_ignored_patterns
+  cache clear [<path>]           Forget --sync records (all, or for files under <path>)
+  config show                    Print the effective configuration and where each value comes from
+  logs [<run-id>]                List recorded upload runs, or show the files of one run
+      --since <date>             Only runs started at or after this date (e.g. 2024-06-01)
+      --collection <name>        Only runs to this collection
+      --env <env>                Only runs against this environment
+      --status <status>          Only runs that ended success, failed or cancelled
+
+Global options:
+  --config <path>                Use a custom config.json
+  --profile <name>               Use (or, for configure and ignore, write to) a profile in config.json
+  -v, --verbose                  Show detailed progress messages
+  -q, --quiet                    Only print errors and the final summary
+  -h, --help                     Show this help
+
+Exit codes: 0 success, 1 fatal error, 2 some files in a folder failed.`;
+
+const OPTIONS = {
+    'target-path': { type: 'string' },
+    env: { type: 'string' },
+    token: { type: 'string' },
+    resume: { type: 'boolean', default: false },
+    verify: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    sync: { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+    ignore: { type: 'string', multiple: true, default: [] },
+    include: { type: 'string', multiple: true, default: [] },
+    symlinks: { type: 'string', default: 'skip' },
+    'max-bandwidth': { type: 'string' },
+    report: { type: 'string', multiple: true, default: [] },
+    since: { type: 'string' },
+    collection: { type: 'string' },
+    status: { type: 'string' },
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+// Values given on the command line are JSON when they parse as JSON (numbers, booleans, arrays),
+// otherwise plain strings.
+function parseConfigValue(raw) {
+    try { return JSON.parse(raw); } catch { return raw; }
+}
+
+// The CLI reports outcomes itself; library log lines only appear with --verbose.
+function cliLogger(values) {
+    return createDefaultLogger({ level: values.verbose ? "DEBUG" : "SILENT" });
+}
+
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return '--';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(s / 3600)}h${String(Math.floor(s / 60) % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Renders a single redrawn status line on a TTY and plain log lines otherwise.
+ * The status line follows the uploader's progress events; messages come from
+ * the progress callbacks.
+ */
+class ProgressDisplay {
+    constructor({ verbose = false, quiet = false, stream = process.stderr } = {}) {
+        this.verbose = verbose; this.quiet = quiet; this.stream = stream;
+        this.isTTY = Boolean(stream.isTTY);
+        this.statusLine = '';
+        this.totalFiles = 0; this.filesProcessed = 0;
+        this.overall = null; this.file = null;
+    }
+
+    _clearStatus() {
+        if (this.isTTY && this.statusLine) this.stream.write('\r\x1b[2K');
+    }
+
+    _drawStatus() {
+        if (!this.isTTY || this.quiet || !this.overall) return;
+        const { loaded, total, percent, bytesPerSecond, etaSeconds } = this.overall;
+        const segments = [
+            `[${this.filesProcessed}/${this.totalFiles} files] ${formatBytes(loaded)}/${formatBytes(total)} (${percent.toFixed(1)}%)`,
+            `${formatBytes(Math.round(bytesPerSecond))}/s ETA ${formatEta(etaSeconds)}`
+        ];
+        if (this.file && this.totalFiles > 1) segments.push(`${this.file.file} ${this.file.percent.toFixed(1)}%`);
+        this.statusLine = segments.join('  ');
+        this._clearStatus();
+        this.stream.write(this.statusLine.slice(0, (this.stream.columns || 120) - 1));
+    }
+
+    log(message, type = 'info') {
+        // In verbose mode the library's debug logger already prints every message.
+        if (this.verbose || type === 'info' || type === 'debug') return;
+        if (this.quiet && type !== 'error') return;
+        this._clearStatus();
+        this.stream.write(`${type.toUpperCase()}: ${message}\n`);
+        if (this.statusLine) this._drawStatus();
+    }
+
+    finish() {
+        this._clearStatus();
+        this.statusLine = '';
+    }
+
+    attach(uploader) {
+        uploader.on('scan', ({ totalFiles }) => { this.totalFiles = totalFiles; });
+        uploader.on('file:progress', ({ overall, ...file }) => {
+            this.overall = overall; this.file = file;
+            this._drawStatus();
+        });
+        const onFileSettled = () => { this.filesProcessed++; this._drawStatus(); };
+        uploader.on('file:done', onFileSettled);
+        uploader.on('file:error', onFileSettled);
+    }
+
+    get callbacks() {
+        return {
+            onFolderProgress: (progress) => {
+                if (progress.message) this.log(progress.message, progress.type);
+            },
+            onFileProgress: (progress) => {
+                if (progress.message) this.log(`${progress.file}: ${progress.message}`, progress.type);
+            }
+        };
+    }
+}
+
+function printPlan(plan, out) {
+    for (const entry of plan.entries) {
+        if (entry.action === 'skip') {
+            const rule = entry.pattern ? `: ${entry.pattern} from ${entry.patternSource}` : '';
+            out.log(`skip       ${entry.relativePath} (${entry.skipReason}${rule})`);
+            continue;
+        }
+        const mode = entry.mode === 'multipart' ? `multipart, ${entry.partCount} parts of ${formatBytes(entry.partSize)}` : 'single';
+        const remote = [plan.collection, entry.collectionPath].filter(Boolean).join('/');
+        out.log(`upload     ${entry.relativePath} -> ${remote}/ (${formatBytes(entry.size)}, ${entry.mimeType}, ${mode})`);
+    }
+    const { files, bytes, singleFiles, multipartFiles, parts, skipped } = plan.totals;
+    out.log(`\n${files} file(s), ${formatBytes(bytes)}: ${singleFiles} single, ${multipartFiles} multipart (${parts} parts total); ${skipped} skipped.`);
+}
+
+// Ignored and excluded entries are expected; these are the ones a user would not know were left out.
+const UNEXPECTED_SKIP_REASONS = ['broken_symlink', 'symlink_cycle', 'special_file'];
+
+function reportUnreadableEntries(scanSkipped = [], out) {
+    for (const entry of scanSkipped.filter(e => UNEXPECTED_SKIP_REASONS.includes(e.reason))) {
+        out.error(`WARN: skipped ${entry.relativePath} (${entry.fileType || entry.reason})`);
+    }
+}
+
+async function runUploadCommand(positionals, values, out) {
+    const [sourcePath, collection] = positionals;
+    if (!sourcePath || !collection) throw new UsageError("upload requires <path> and <collection>.");
+
+    // Loaded lazily so 'configure' and 'ignore' work without the upload stack.
+    const { CUEUploader } = await import('../index.js');
+    const display = new ProgressDisplay({ verbose: values.verbose, quiet: values.quiet });
+    const uploader = new CUEUploader({
+        token: values.token, env: values.env, configPath: values.config, profile: values.profile,
+        verboseLevel: values.verbose ? 1 : 0, quietMode: values.quiet,
+        maxBandwidth: values['max-bandwidth'] !== undefined ? Number(values['max-bandwidth']) : undefined,
+        logger: cliLogger(values)
+    });
+
+    if (values['dry-run']) {
+        printPlan(await uploader.plan(sourcePath, collection, {
+            targetPath: values['target-path'] || null, ignore: values.ignore, include: values.include, symlinks: values.symlinks
+        }), out);
+        return EXIT_SUCCESS;
+    }
+    display.attach(uploader);
+
+    try {
+        const result = await uploader.upload(sourcePath, collection, {
+            targetPath: values['target-path'] || null,
+            resume: values.resume,
+            verify: values.verify,
+            sync: values.sync,
+            force: values.force,
+            ignore: values.ignore,
+            include: values.include,
+            symlinks: values.symlinks,
+            report: values.report,
+            ...display.callbacks
+        });
+        display.finish();
+        if (result.totalFiles !== undefined) {
+            reportUnreadableEntries(result.scanSkipped, out);
+            const skipped = result.skippedUploads ? `, ${result.skippedUploads} unchanged file(s) skipped` : '';
+            const verified = values.verify ? ' and verified' : '';
+            out.log(`Uploaded${verified} ${result.successfulUploads}/${result.totalFiles} file(s) to ${collection}${skipped}.`);
+        } else {
+            out.log(`Uploaded${result.verification ? ' and verified' : ''} ${result.file} to ${collection} (s3_key: ${result.s3_key}).`);
+        }
+        return EXIT_SUCCESS;
+    } catch (error) {
+        display.finish();
+        const folderResult = error.folderResult;
+        if (!folderResult) throw error;
+        reportUnreadableEntries(folderResult.scanSkipped, out);
+        out.error(`Uploaded ${folderResult.successfulUploads}/${folderResult.totalFiles} file(s); ${folderResult.failedUploads} failed:`);
+        for (const failed of folderResult.results.filter(r => r.status === 'failed')) {
+            out.error(`  ${failed.relativePath}: ${failed.errorMessage}`);
+        }
+        // Files a sync run skipped as unchanged are already uploaded, so they count as done here.
+        return folderResult.successfulUploads + (folderResult.skippedUploads || 0) > 0 ? EXIT_PARTIAL_FAILURE : EXIT_FATAL;
+    }
+}
+
+async function runConfigureCommand(positionals, values, out) {
+    const updates = [];
+    if (values.token) updates.push(["api_token", values.token]);
+    if (values.env) updates.push(["default_env", values.env]);
+    if (positionals.length === 2) updates.push([positionals[0], parseConfigValue(positionals[1])]);
+    else if (positionals.length !== 0) throw new UsageError("configure takes either no arguments or <key> <value>.");
+    if (updates.length === 0) throw new UsageError("Nothing to configure. Pass --token, --env or <key> <value>.");
+
+    for (const [key, value] of updates) {
+        await saveConfigValue(key, value, values.config, cliLogger(values), { profile: values.profile });
+        out.log(`Saved ${key} to ${values.profile ? `profile "${values.profile}" in ` : ''}${getConfigFilePath(values.config)}.`);
+    }
+    return EXIT_SUCCESS;
+}
+
+async function runIgnoreCommand(positionals, values, out) {
+    const [action, pattern] = positionals;
+    // With --profile, the profile's effective patterns are listed and edited (a profile's list replaces the top-level one).
+    const config = await getConfig(values.config, cliLogger(values), { profile: values.profile });
+    const patterns = [...(config.user_ignored_patterns || [])];
+    const saveOptions = { profile: values.profile };
+
+    switch (action) {
+        case 'list':
+            for (const p of patterns) out.log(p);
+            return EXIT_SUCCESS;
+        case 'add':
+            if (!pattern) throw new UsageError("ignore add requires a <pattern>.");
+            if (patterns.includes(pattern)) {
+                out.log(`Pattern already ignored: ${pattern}`);
+                return EXIT_SUCCESS;
+            }
+            await saveConfigValue("user_ignored_patterns", [...patterns, pattern], values.config, cliLogger(values), saveOptions);
+            out.log(`Added ignore pattern: ${pattern}`);
+            return EXIT_SUCCESS;
+        case 'remove':
+            if (!pattern) throw new UsageError("ignore remove requires a <pattern>.");
+            if (!patterns.includes(pattern)) throw new Error(`Pattern not found in user_ignored_patterns: ${pattern}`);
+            await saveConfigValue("user_ignored_patterns", patterns.filter(p => p !== pattern), values.config, cliLogger(values), saveOptions);
+            out.log(`Removed ignore pattern: ${pattern}`);
+            return EXIT_SUCCESS;
+        default:
+            throw new UsageError("ignore requires one of: add, list, remove.");
+    }
+}
+
+async function runCacheCommand(positionals, values, out) {
+    const [action, targetPath] = positionals;
+    if (action !== 'clear') throw new UsageError("cache requires: clear [<path>].");
+    const { CUEUploader } = await import('../index.js');
+    const uploader = new CUEUploader({ configPath: values.config, profile: values.profile, logger: cliLogger(values) });
+    await uploader.clearSyncCache(targetPath);
+    out.log(targetPath ? `Cleared sync records under ${targetPath}.` : "Cleared sync cache.");
+    return EXIT_SUCCESS;
+}
+
+function describeConfigSource(source) {
+    if (source.source === 'file') return `file ${source.path}`;
+    if (source.source === 'env') return `env ${source.name}`;
+    if (source.source === 'profile') return `profile ${source.profile} in ${source.path}`;
+    return source.source;
+}
+
+async function runConfigCommand(positionals, values, out) {
+    if (positionals[0] !== 'show') throw new UsageError("config requires: show.");
+    const { CUEUploader } = await import('../index.js');
+    const uploader = new CUEUploader({ token: values.token, env: values.env, configPath: values.config, profile: values.profile, logger: cliLogger(values) });
+    const { config, sources, profile } = await uploader.getEffectiveConfig();
+    if (profile) out.log(`profile: ${profile}`);
+    for (const [key, value] of Object.entries(config)) {
+        // Only the last characters of the token are shown.
+        const shown = key === 'api_token' && value ? `"...${value.slice(-4)}"` : JSON.stringify(value);
+        out.log(`${key} = ${shown}  (${describeConfigSource(sources[key])})`);
+    }
+    return EXIT_SUCCESS;
+}
+
+async function runLogsCommand(positionals, values, out) {
+    const [runId] = positionals;
+    const { CUEUploader } = await import('../index.js');
+    const uploader = new CUEUploader({ configPath: values.config, profile: values.profile, logger: cliLogger(values) });
+
+    if (runId) {
+        const run = await uploader.getRun(runId);
+        if (!run) throw new Error(`No recorded run with id ${runId}.`);
+        out.log(`${run.run_id}  ${run.status}  ${run.method} ${run.source} -> ${run.collection}${run.target_path ? `/${run.target_path}` : ''} (${run.env})`);
+        out.log(`started ${run.started_at}, took ${((run.duration_ms ?? 0) / 1000).toFixed(1)}s${run.error_message ? `, error: ${run.error_message}` : ''}`);
+        for (const file of run.files) {
+            const outcome = file.status === 'failed' ? `${file.error_class}: ${file.error_message}` : (file.s3_key || '');
+            out.log(`  ${file.status.padEnd(9)} ${file.file}  ${outcome}`);
+        }
+        return EXIT_SUCCESS;
+    }
+
+    const runs = await uploader.getHistory({
+        since: values.since, collection: values.collection, env: values.env, status: values.status
+    });
+    if (runs.length === 0) out.log("No recorded runs match.");
+    for (const run of runs) {
+        out.log(`${run.run_id}  ${run.started_at}  ${run.status.padEnd(9)} ${run.env}  ${run.collection}  ${run.totals.successful}/${run.totals.files} file(s)  ${run.source}`);
+    }
+    return EXIT_SUCCESS;
+}
+
+const COMMANDS = { upload: runUploadCommand, configure: runConfigureCommand, ignore: runIgnoreCommand, cache: runCacheCommand, config: runConfigCommand, logs: runLogsCommand };
+
+async function main(argv = process.argv.slice(2), out = console) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        out.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_FATAL;
+    }
+    const { values, positionals } = parsed;
+    const [command, ...commandArgs] = positionals;
+
+    if (values.help || !command) {
+        out.log(USAGE);
+        return values.help ? EXIT_SUCCESS : EXIT_FATAL;
+    }
+    const handler = COMMANDS[command];
+    if (!handler) {
+        out.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return EXIT_FATAL;
+    }
+
+    try {
+        return await handler(commandArgs, values, out);
+    } catch (error) {
+        if (error instanceof UsageError) out.error(`${error.message}\n\n${USAGE}`);
+        else out.error(`Error: ${error.message}`);
+        if (values.verbose && error.stack && !(error instanceof UsageError)) out.error(error.stack);
+        return EXIT_FATAL;
+    }
+}
+
+main().then((code) => { process.exitCode = code; });
@@ -1,6 +1,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { defaultLogger } from './logger.js';
+import { ConfigurationError } from './errors.js';
+import { CONFIG_SCHEMA, PROFILES_KEY, PROFILE_ENV_VAR, getConfigEnvVar, findUnknownEnvVars, parseEnvValue, validateConfigValue, validateConfigRelations, suggestConfigKey } from './configSchema.js';
 
 const APP_NAME = "cue-upload-js-lib"; 
 const DEFAULT_CONFIG_DIR = path.join(os.homedir(), `.${APP_NAME}`);
@@ -10,11 +13,22 @@ const defaultConfig = {
     api_token: null,
     default_env: "local",
     multipart_threshold_gb: 1,
-    multipart_chunk_size_mb: 256,
+    multipart_chunk_size_mb: "auto", // Part size in MiB (5-5120), or "auto" to size parts per file
+    multipart_memory_budget_mb: 1024, // Part data "auto" lets part_concurrency workers buffer at once
     retry_attempts: 3,
+    retry_base_delay_ms: 1000, // First backoff; doubles per attempt with jitter
+    retry_max_delay_ms: 30000,
     log_level: "INFO", // Controls internal logging if any, library users might have their own logger
     file_concurrency: 4,
     part_concurrency: 4,
+    max_transfers: 16, // S3 transfers in flight across all files and parts
+    transfer_memory_budget_mb: 4096, // Data those transfers may hold in memory together
+    transfer_order: "fifo", // fifo, fair, smallest-first or largest-first
+    checksum_algorithm: "sha256", // sha256, sha1, sha512, md5, crc32 or crc32c
+    checksum_encoding: "base64", // base64 or hex
+    max_bandwidth: null, // Bytes per second across all S3 transfers; null for unlimited
+    bandwidth_schedule: [], // "HH:MM-HH:MM=<bytes per second>" or "...=unlimited" windows, local time
+    history_retention_days: 90, // Days of upload runs kept in the local history; 0 records none
     environments: {
         prod: "https://upload.earthdata.nasa.gov/api/v1/",
         uat: "https://upload.uat.earthdata.nasa.gov/api/v1/",
@@ -23,13 +37,10 @@ const defaultConfig = {
     },
     user_ignored_patterns: [
         ".DS_Store", "Thumbs.db", "*.tmp", "~$*", 
-        "__pycache__/", "*.pyc", "*.pyo", ".log"
+        "__pycache__/", "*.pyc", "*.pyo", "*.log"
     ]
 };
 
-let _cachedConfig = null;
-let _configPath = ''; // Stores the path of the loaded config
-
 export function getConfigFilePath(configPathOverride = null) {
     if (configPathOverride) {
         return path.resolve(configPathOverride);
@@ -37,7 +48,11 @@ export function getConfigFilePath(configPathOverride = null) {
     return path.join(DEFAULT_CONFIG_DIR, DEFAULT_CONFIG_FILENAME);
 }
 
-export async function ensureConfigExists(configPathOverride = null) {
+export function getConfigDir(configPathOverride = null) {
+    return path.dirname(getConfigFilePath(configPathOverride));
+}
+
+export async function ensureConfigExists(configPathOverride = null, logger = defaultLogger) {
     const configFilePath = getConfigFilePath(configPathOverride);
     // _configPath = configFilePath; // Set when getConfig is called with specific path
 
@@ -46,44 +61,161 @@ export async function ensureConfigExists(configPathOverride = null) {
         try {
             await fs.access(configFilePath);
         } catch {
-            console.info(`[CUE Upload Lib] Configuration file not found at ${configFilePath}. Creating with defaults.`);
+            logger.info("Configuration file not found. Creating with defaults.", { config_path: configFilePath });
             await fs.writeFile(configFilePath, JSON.stringify(defaultConfig, null, 2), 'utf-8');
         }
     } catch (error) {
-        console.error(`[CUE Upload Lib] Could not create config directory or file at ${configFilePath}:`, error);
-        throw new Error(`Configuration setup failed: ${error.message}`);
+        logger.error("Could not create config directory or file.", { config_path: configFilePath, error: error.message });
+        throw new ConfigurationError(`Configuration setup failed: ${error.message}`, { cause: error });
     }
 }
 
-export async function getConfig(configPathOverride = null) {
-    const targetConfigPath = getConfigFilePath(configPathOverride);
-
-    if (_cachedConfig && _configPath === targetConfigPath) {
-        return _cachedConfig;
+async function readConfigFile(configFilePath) {
+    let fileContent;
+    try {
+        fileContent = await fs.readFile(configFilePath, 'utf-8');
+    } catch (error) {
+        throw new ConfigurationError(`Could not read configuration file ${configFilePath}: ${error.message}`, { cause: error });
     }
-
-    await ensureConfigExists(targetConfigPath); 
-
+    let loadedConfig;
     try {
-        const fileContent = await fs.readFile(targetConfigPath, 'utf-8');
-        const loadedConfig = JSON.parse(fileContent);
-        _cachedConfig = { ...defaultConfig, ...loadedConfig, environments: {...defaultConfig.environments, ...(loadedConfig.environments || {})}};
-        _configPath = targetConfigPath; // Cache the path of the loaded config
-        return _cachedConfig;
+        loadedConfig = JSON.parse(fileContent);
     } catch (error) {
-        console.error(`[CUE Upload Lib] Error loading or parsing configuration from ${targetConfigPath}:`, error);
-        _cachedConfig = { ...defaultConfig }; // Fallback to default
-        _configPath = targetConfigPath; // Still cache the path
-        return _cachedConfig;
+        throw new ConfigurationError(`Configuration file ${configFilePath} is not valid JSON: ${error.message}`, { cause: error });
+    }
+    if (!loadedConfig || typeof loadedConfig !== 'object' || Array.isArray(loadedConfig)) {
+        throw new ConfigurationError(`Configuration file ${configFilePath} must contain a JSON object.`);
+    }
+    return loadedConfig;
+}
+
+function describeSource(source) {
+    if (source.source === "file") return source.path;
+    if (source.source === "profile") return `profile "${source.profile}" in ${source.path}`;
+    if (source.source === "env") return source.name;
+    return source.source === "option" ? "constructor option" : "default";
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Builds the effective configuration from, in increasing precedence: defaults,
+ * config.json, the selected profile in config.json, CUE_UPLOAD_<KEY>
+ * environment variables and `options` (config keys set by CUEUploader
+ * constructor options). The profile is `profile`, else CUE_UPLOAD_PROFILE;
+ * without one, the file's `profiles` are not used. Returns `{ config, sources,
+ * profile }`, where `sources[key]` is `{ source: "default" | "file" | "profile"
+ * | "env" | "option" }` plus the file `path`, `profile` name or variable `name`.
+ * Throws ConfigurationError listing every unknown key and invalid value.
+ */
+export async function resolveConfig(configPathOverride = null, logger = defaultLogger, { env = process.env, options = {}, profile = null } = {}) {
+    const configFilePath = getConfigFilePath(configPathOverride);
+    await ensureConfigExists(configPathOverride, logger);
+    const fileConfig = await readConfigFile(configFilePath);
+
+    const config = structuredClone(defaultConfig);
+    const sources = Object.fromEntries(Object.keys(defaultConfig).map(key => [key, { source: "default" }]));
+    const issues = [];
+    const apply = (key, value, source) => {
+        // Environments are merged, so a file that adds one keeps the built-in ones.
+        const isEnvironmentMap = key === "environments" && value && typeof value === 'object' && !Array.isArray(value);
+        config[key] = isEnvironmentMap ? { ...config.environments, ...value } : value;
+        sources[key] = source;
+    };
+
+    const applyFileValues = (values, source) => {
+        for (const [key, value] of Object.entries(values)) {
+            if (key in CONFIG_SCHEMA) {
+                apply(key, value, source);
+            } else if (key !== PROFILES_KEY || source.profile) {
+                const suggestion = suggestConfigKey(key);
+                issues.push({ key, value, source: describeSource(source), problem: `is not a known setting${suggestion ? ` (did you mean "${suggestion}"?)` : ''}` });
+            }
+        }
+    };
+
+    applyFileValues(fileConfig, { source: "file", path: configFilePath });
+    const profiles = fileConfig[PROFILES_KEY] ?? {};
+    if (!isPlainObject(profiles)) {
+        issues.push({ key: PROFILES_KEY, value: profiles, source: configFilePath, problem: "must be an object mapping profile names to settings" });
+    }
+    const profileName = profile || env[PROFILE_ENV_VAR] || null;
+    if (profileName && isPlainObject(profiles)) {
+        if (!isPlainObject(profiles[profileName])) {
+            const available = Object.keys(profiles);
+            throw new ConfigurationError(`Profile "${profileName}" is not defined in ${configFilePath}. ${available.length ? `Available profiles: ${available.join(', ')}.` : 'The file defines no profiles.'}`);
+        }
+        applyFileValues(profiles[profileName], { source: "profile", profile: profileName, path: configFilePath });
+    }
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+        const name = getConfigEnvVar(key);
+        if (env[name] !== undefined && env[name] !== '') apply(key, parseEnvValue(key, env[name]), { source: "env", name });
     }
+    for (const name of findUnknownEnvVars(env)) {
+        logger.warn("Ignoring unknown CUE_UPLOAD_* environment variable", { name });
+    }
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) apply(key, value, { source: "option" });
+    }
+
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+        const problem = validateConfigValue(key, config[key]);
+        if (problem) issues.push({ key, value: config[key], source: describeSource(sources[key]), problem });
+    }
+    if (!issues.some(issue => issue.key === "environments" || issue.key === "default_env")) {
+        for (const { key, problem } of validateConfigRelations(config)) {
+            issues.push({ key, value: config[key], source: describeSource(sources[key]), problem });
+        }
+    }
+    if (issues.length > 0) {
+        const lines = issues.map(({ key, value, source, problem }) =>
+            // The token is never echoed; environment maps are named in the problem itself.
+            `  - ${key}${key === "api_token" || key === "environments" ? '' : ` = ${JSON.stringify(value)}`} (from ${source}) ${problem}`);
+        throw new ConfigurationError(`Invalid configuration:\n${lines.join('\n')}`, { issues });
+    }
+    return { config, sources, profile: profileName };
 }
 
-export async function saveConfigValue(key, value, configPathOverride = null) {
-    // For a library, direct saving might be less common; usually config is passed in.
-    // However, keeping it for potential internal use or a helper CLI part.
-    const currentConfig = await getConfig(configPathOverride); // ensures config is loaded
+/** The effective configuration (defaults < config.json < profile < CUE_UPLOAD_* variables), validated. */
+export async function getConfig(configPathOverride = null, logger = defaultLogger, { profile = null } = {}) {
+    return (await resolveConfig(configPathOverride, logger, { profile })).config;
+}
+
+/**
+ * Resolves the API token: the explicit override (token option or --token) first,
+ * then the CUE_UPLOAD_API_TOKEN environment variable, then api_token from the config file.
+ */
+export async function getAuthToken(tokenOverride = null, configPathOverride = null, logger = defaultLogger) {
+    if (tokenOverride) return tokenOverride;
+    const config = await getConfig(configPathOverride, logger);
+    return config.api_token || null;
+}
+
+/**
+ * Sets `key` (dot-separated for nested values, e.g. "environments.dev") in the
+ * config file, or in `profiles[profile]` when a profile is given (the profile
+ * is created if needed). Only the file is changed: values from defaults or
+ * environment variables are not written back.
+ */
+export async function saveConfigValue(key, value, configPathOverride = null, logger = defaultLogger, { profile = null } = {}) {
+    await ensureConfigExists(configPathOverride, logger);
+    const configFilePathToSave = getConfigFilePath(configPathOverride);
+    const fileConfig = await readConfigFile(configFilePathToSave);
     const keys = key.split('.');
-    let obj = currentConfig;
+    const topLevelKey = keys[0];
+    if (!(topLevelKey in CONFIG_SCHEMA)) {
+        const suggestion = suggestConfigKey(topLevelKey);
+        throw new ConfigurationError(`Unknown configuration key "${topLevelKey}"${suggestion ? `; did you mean "${suggestion}"?` : '.'}`);
+    }
+    let target = fileConfig;
+    if (profile) {
+        if (!isPlainObject(fileConfig[PROFILES_KEY])) fileConfig[PROFILES_KEY] = {};
+        if (!isPlainObject(fileConfig[PROFILES_KEY][profile])) fileConfig[PROFILES_KEY][profile] = {};
+        target = fileConfig[PROFILES_KEY][profile];
+    }
+    let obj = target;
     keys.forEach((k, i) => {
         if (i === keys.length - 1) {
             obj[k] = value;
@@ -92,14 +224,16 @@ export async function saveConfigValue(key, value, configPathOverride = null) {
             obj = obj[k];
         }
     });
+    const problem = validateConfigValue(topLevelKey, target[topLevelKey]);
+    if (problem) {
+        throw new ConfigurationError(`Cannot save ${key}: ${topLevelKey} ${problem}.`, { issues: [{ key: topLevelKey, value: target[topLevelKey], source: "saveConfigValue", problem }] });
+    }
 
-    const configFilePathToSave = getConfigFilePath(configPathOverride || _configPath); // Use cached path if no override
     try {
-        await fs.writeFile(configFilePathToSave, JSON.stringify(currentConfig, null, 2), 'utf-8');
-        _cachedConfig = null; // Invalidate cache
-        console.info(`[CUE Upload Lib] Configuration updated: ${key} saved to ${configFilePathToSave}`);
+        await fs.writeFile(configFilePathToSave, JSON.stringify(fileConfig, null, 2), 'utf-8');
+        logger.info("Configuration updated.", { key, profile: profile || undefined, config_path: configFilePathToSave });
     } catch (error) {
-        console.error(`[CUE Upload Lib] Failed to save configuration to ${configFilePathToSave}:`, error);
-        throw new Error(`Could not save configuration: ${error.message}`);
+        logger.error("Failed to save configuration.", { config_path: configFilePathToSave, error: error.message });
+        throw new ConfigurationError(`Could not save configuration: ${error.message}`, { cause: error });
     }
 }
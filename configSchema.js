@@ -0,0 +1,164 @@
+import { CHECKSUM_ENCODINGS, isChecksumAlgorithm, getChecksumAlgorithms } from './utils.js';
+import { checkScheduleEntry } from './bandwidthLimiter.js';
+import { TRANSFER_ORDERS } from './transferScheduler.js';
+
+const ENV_PREFIX = "CUE_UPLOAD_";
+/** config.json key holding named profiles: `{ "<name>": { <any schema key>: value } }`. */
+export const PROFILES_KEY = "profiles";
+/** Selects a profile when the `profile` option is not given. */
+export const PROFILE_ENV_VAR = "CUE_UPLOAD_PROFILE";
+const LOG_LEVELS = ["DEBUG", "INFO", "WARN", "ERROR", "SILENT"];
+const S3_MIN_CHUNK_MB = 5;
+const S3_MAX_CHUNK_MB = 5 * 1024;
+
+/**
+ * Type and range of every config.json key. `type` is one of string, number,
+ * integer, array (of strings) or object (of URL strings, for environments).
+ * Strings may list allowed values in `oneOf`; strings and array items may be
+ * checked by `check(value)`. Numbers may also accept the strings in `keywords`, such as "auto".
+ */
+export const CONFIG_SCHEMA = {
+    api_token: { type: "string", nullable: true },
+    default_env: { type: "string" },
+    multipart_threshold_gb: { type: "number", min: 0 },
+    multipart_chunk_size_mb: { type: "number", min: S3_MIN_CHUNK_MB, max: S3_MAX_CHUNK_MB, keywords: ["auto"] },
+    multipart_memory_budget_mb: { type: "number", min: S3_MIN_CHUNK_MB },
+    retry_attempts: { type: "integer", min: 0 },
+    retry_base_delay_ms: { type: "integer", min: 0 },
+    retry_max_delay_ms: { type: "integer", min: 0 },
+    log_level: { type: "string", oneOf: LOG_LEVELS, ignoreCase: true },
+    file_concurrency: { type: "integer", min: 1 },
+    part_concurrency: { type: "integer", min: 1 },
+    max_transfers: { type: "integer", min: 1 },
+    transfer_memory_budget_mb: { type: "number", min: S3_MIN_CHUNK_MB },
+    transfer_order: { type: "string", oneOf: TRANSFER_ORDERS },
+    checksum_algorithm: { type: "string", check: (value) => isChecksumAlgorithm(value) ? null : `must be one of ${getChecksumAlgorithms().join(', ')}` },
+    checksum_encoding: { type: "string", oneOf: CHECKSUM_ENCODINGS },
+    max_bandwidth: { type: "integer", min: 1, nullable: true },
+    bandwidth_schedule: { type: "array", check: checkScheduleEntry },
+    history_retention_days: { type: "integer", min: 0 },
+    environments: { type: "object" },
+    user_ignored_patterns: { type: "array" }
+};
+
+/** Environment variable that overrides a config key, e.g. file_concurrency -> CUE_UPLOAD_FILE_CONCURRENCY. */
+export function getConfigEnvVar(key) {
+    return ENV_PREFIX + key.toUpperCase();
+}
+
+/** Names of CUE_UPLOAD_* variables in env that match no config key. */
+export function findUnknownEnvVars(env) {
+    const known = new Set([...Object.keys(CONFIG_SCHEMA).map(getConfigEnvVar), PROFILE_ENV_VAR]);
+    return Object.keys(env).filter(name => name.startsWith(ENV_PREFIX) && !known.has(name));
+}
+
+/**
+ * Converts an environment variable's text to the key's type. Numbers are parsed,
+ * arrays accept JSON or a comma-separated list, objects must be JSON. Values that
+ * do not parse are returned unchanged for validateConfigValue to report.
+ */
+export function parseEnvValue(key, raw) {
+    const { type } = CONFIG_SCHEMA[key];
+    if (type === "number" || type === "integer") {
+        const number = Number(raw);
+        return raw.trim() === '' || Number.isNaN(number) ? raw : number;
+    }
+    if (type === "array") {
+        if (raw.trim().startsWith('[')) return parseJson(raw);
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (type === "object") return parseJson(raw);
+    return raw;
+}
+
+function parseJson(raw) {
+    try { return JSON.parse(raw); } catch { return raw; }
+}
+
+function describeRange({ min, max }) {
+    if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+    if (min !== undefined) return min === 0 ? " of 0 or more" : ` of at least ${min}`;
+    return '';
+}
+
+function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+    let url;
+    try { url = new URL(value); } catch { return false; }
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname !== '';
+}
+
+/** Returns a description of what is wrong with value for key, or null when it is valid. */
+export function validateConfigValue(key, value) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) return "is not a known setting";
+    if (value === null && rule.nullable) return null;
+
+    switch (rule.type) {
+        case "string":
+            if (typeof value !== 'string' || value === '') return "must be a non-empty string";
+            if (rule.oneOf) {
+                const candidate = rule.ignoreCase ? value.toUpperCase() : value;
+                if (!rule.oneOf.includes(candidate)) return `must be one of ${rule.oneOf.join(', ')}`;
+            }
+            return rule.check ? rule.check(value) : null;
+        case "number":
+        case "integer": {
+            if (rule.keywords?.includes(value)) return null;
+            const keywords = rule.keywords ? rule.keywords.map(keyword => ` or "${keyword}"`).join('') : '';
+            const expected = `${rule.type === "integer" ? "an integer" : "a number"}${describeRange(rule)}${keywords}`;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `must be ${expected}`;
+            if (rule.type === "integer" && !Number.isInteger(value)) return `must be ${expected}`;
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) return `must be ${expected}`;
+            return null;
+        }
+        case "array":
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) return "must be an array of strings";
+            if (rule.check) return value.map(rule.check).find(Boolean) || null;
+            return null;
+        case "object":
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return "must be an object mapping environment names to API URLs";
+            for (const [name, url] of Object.entries(value)) {
+                if (!isHttpUrl(url)) return `has an invalid URL for '${name}' (expected http:// or https://)`;
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+/** Checks that involve more than one key. Returns a list of { key, problem }. */
+export function validateConfigRelations(config) {
+    const issues = [];
+    if (config.environments && typeof config.environments === 'object' && !(config.default_env in config.environments)) {
+        issues.push({ key: "default_env", problem: `is not defined in environments (${Object.keys(config.environments).join(', ')})` });
+    }
+    if (config.retry_max_delay_ms < config.retry_base_delay_ms) {
+        issues.push({ key: "retry_max_delay_ms", problem: "must not be lower than retry_base_delay_ms" });
+    }
+    return issues;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+/** The schema key closest to an unknown key, for "did you mean" hints; null when nothing is close. */
+export function suggestConfigKey(key) {
+    let best = null; let bestDistance = Infinity;
+    for (const candidate of Object.keys(CONFIG_SCHEMA)) {
+        const distance = editDistance(key.toLowerCase(), candidate);
+        if (distance < bestDistance) { best = candidate; bestDistance = distance; }
+    }
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
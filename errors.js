@@ -0,0 +1,181 @@
+/**
+ * Base class for every error the library throws on purpose. `retryable` tells
+ * callers whether repeating the same operation may succeed.
+ */
+export class CUEUploadError extends Error {
+    constructor(message, { code = "ERR_CUE_UPLOAD", retryable = false, statusCode, endpoint, responseBody, retryAfterMs, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.retryable = retryable;
+        if (statusCode !== undefined) this.statusCode = statusCode;
+        if (endpoint !== undefined) this.endpoint = endpoint;
+        if (responseBody !== undefined) this.responseBody = responseBody;
+        if (retryAfterMs !== undefined) this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/** 401/403 from the CUE backend: missing, invalid or expired token. */
+export class AuthenticationError extends CUEUploadError {
+    constructor(message, details = {}) {
+        super(message, { code: "ERR_AUTHENTICATION", retryable: false, ...details });
+    }
+}
+
+/** Any other 4xx from the CUE backend. 408 and 429 are retryable. */
+export class ApiValidationError extends CUEUploadError {
+    constructor(message, details = {}) {
+        super(message, { code: "ERR_API_VALIDATION", retryable: [408, 429].includes(details.statusCode), ...details });
+    }
+}
+
+/** 5xx from the CUE backend, or a response missing required fields. */
+export class ApiServerError extends CUEUploadError {
+    constructor(message, details = {}) {
+        super(message, { code: "ERR_API_SERVER", retryable: true, ...details });
+    }
+}
+
+/** No response: connection refused/reset, DNS failure or timeout. */
+export class NetworkError extends CUEUploadError {
+    constructor(message, details = {}) {
+        super(message, { code: "ERR_NETWORK", retryable: true, ...details });
+    }
+}
+
+/** A presigned S3 PUT or POST failed. Retryable on 5xx, 429 and missing responses. */
+export class S3TransferError extends CUEUploadError {
+    constructor(message, details = {}) {
+        const { statusCode } = details;
+        super(message, { code: "ERR_S3_TRANSFER", retryable: statusCode === undefined || statusCode >= 500 || statusCode === 429, ...details });
+    }
+}
+
+/** The data received does not match the checksum sent with it. */
+export class ChecksumMismatchError extends CUEUploadError {
+    constructor(message, details = {}) {
+        super(message, { code: "ERR_CHECKSUM_MISMATCH", retryable: true, ...details });
+    }
+}
+
+/**
+ * The object stored by the backend does not match the local data (see the `verify`
+ * upload option). `verification` holds the per-check results and `mismatches`.
+ */
+export class VerificationError extends CUEUploadError {
+    constructor(message, { verification, s3Key, ...details } = {}) {
+        super(message, { code: "ERR_VERIFICATION_FAILED", retryable: false, ...details });
+        this.verification = verification;
+        if (s3Key !== undefined) this.s3Key = s3Key;
+    }
+}
+
+export class DisallowedFileTypeError extends CUEUploadError {
+    constructor(message, details = {}) {
+        super(message, { code: "ERR_DISALLOWED_FILE_TYPE", retryable: false, ...details });
+    }
+}
+
+/**
+ * Missing or invalid configuration: unknown environment, no token, unreadable config file.
+ * For settings that fail validation, `issues` lists `{ key, value, source, problem }`.
+ */
+export class ConfigurationError extends CUEUploadError {
+    constructor(message, { issues, ...details } = {}) {
+        super(message, { code: "ERR_CONFIGURATION", retryable: false, ...details });
+        if (issues) this.issues = issues;
+    }
+}
+
+/**
+ * One or more parts of a multipart upload failed. `failedParts` lists
+ * `{ partNumber, error }`; retryable only when every part error is.
+ */
+export class MultipartUploadError extends CUEUploadError {
+    constructor(message, { failedParts = [], ...details } = {}) {
+        super(message, {
+            code: "ERR_MULTIPART_UPLOAD",
+            retryable: failedParts.length > 0 && failedParts.every(p => p.error?.retryable),
+            cause: failedParts[0]?.error,
+            ...details
+        });
+        this.failedParts = failedParts;
+    }
+}
+
+/**
+ * Some files in a folder upload failed. `folderResult` holds the per-file results,
+ * with each failed entry carrying its own typed `error`.
+ */
+export class FolderUploadError extends CUEUploadError {
+    constructor(message, { folderResult, ...details } = {}) {
+        const failed = folderResult?.results.filter(r => r.status === "failed") || [];
+        super(message, {
+            code: "ERR_FOLDER_UPLOAD",
+            retryable: failed.length > 0 && failed.every(r => r.retryable),
+            ...details
+        });
+        this.folderResult = folderResult;
+    }
+}
+
+/**
+ * Some jobs of an uploadBatch() call failed. `batchResult` holds every job's
+ * outcome, each failed job carrying its own typed `error`.
+ */
+export class BatchUploadError extends CUEUploadError {
+    constructor(message, { batchResult, ...details } = {}) {
+        const failed = batchResult?.jobs.filter(j => j.status === "failed") || [];
+        super(message, {
+            code: "ERR_BATCH_UPLOAD",
+            retryable: failed.length > 0 && failed.every(j => j.error?.retryable),
+            ...details
+        });
+        this.batchResult = batchResult;
+    }
+}
+
+/**
+ * Thrown when an upload is cancelled through the AbortSignal passed in uploadOptions.
+ * For folder uploads, `folderResult` reports the files that completed before cancellation;
+ * for batches, `batchResult` reports the jobs.
+ */
+export class UploadAbortedError extends CUEUploadError {
+    constructor(message = "Upload was aborted.", { cause, folderResult, batchResult } = {}) {
+        super(message, { code: "ERR_UPLOAD_ABORTED", retryable: false, cause });
+        if (folderResult) this.folderResult = folderResult;
+        if (batchResult) this.batchResult = batchResult;
+    }
+}
+
+export function isAbortError(error) {
+    return error instanceof UploadAbortedError;
+}
+
+export function throwIfAborted(signal) {
+    if (signal?.aborted) throw new UploadAbortedError(undefined, { cause: signal.reason });
+}
+
+/** Maps a CUE backend HTTP error status onto the matching error class. */
+export function createApiError(statusCode, { endpoint, responseBody, retryAfterMs, cause } = {}) {
+    const body = typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody);
+    const message = `API request to ${endpoint} failed: ${statusCode}. ${body ?? ''}`.trim();
+    const details = { statusCode, endpoint, responseBody, retryAfterMs, cause };
+    if (statusCode === 401 || statusCode === 403) return new AuthenticationError(message, details);
+    if (statusCode >= 500) return new ApiServerError(message, details);
+    return new ApiValidationError(message, details);
+}
+
+// S3 reports a body that does not match Content-MD5 / x-amz-checksum-* as a 400 with these codes.
+const S3_CHECKSUM_ERROR_CODES = ["BadDigest", "InvalidDigest", "XAmzContentSHA256Mismatch", "XAmzContentChecksumMismatch"];
+
+/** Maps a failed presigned S3 request onto S3TransferError or ChecksumMismatchError. */
+export function createS3Error(operation, { statusCode, responseBody, retryAfterMs, cause } = {}) {
+    const body = typeof responseBody === 'string' ? responseBody : (responseBody ? JSON.stringify(responseBody) : '');
+    const details = { statusCode, endpoint: operation, responseBody, retryAfterMs, cause };
+    if (statusCode === 400 && S3_CHECKSUM_ERROR_CODES.some(c => body.includes(c))) {
+        return new ChecksumMismatchError(`${operation} rejected: checksum mismatch. ${body}`.trim(), details);
+    }
+    const status = statusCode !== undefined ? statusCode : (cause?.message || 'no response');
+    return new S3TransferError(`${operation} failed: ${status}. ${body}`.trim(), details);
+}
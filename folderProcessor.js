@@ -1,38 +1,135 @@
 import fsPromises from 'fs/promises'; // For readdir
 import path from 'path';
-import { getFileSize, formatBytes, isFileTypeDisallowed, isPathIgnored } from './utils.js';
+import { getFileSize, formatBytes, isFileTypeDisallowed, getChecksumSpec, runWithConcurrency } from './utils.js';
+import { IgnoreMatcher, readIgnoreFile } from './ignoreEngine.js';
+import { CUEUploadError, ConfigurationError, UploadAbortedError, FolderUploadError, VerificationError, isAbortError, throwIfAborted } from './errors.js';
+import { defaultLogger, bindLogger, logProgress } from './logger.js';
+import { buildUploadPlan, getRemoteCollectionPath } from './uploadPlan.js';
+import { isMultipartSize } from './multipartUploader.js';
 // singleFileUploader and multipartUploader are imported dynamically in processFolderUpload
 
-async function scanFolderForUpload(folderPath, rootForRelativePath, configPathOverride, ignorePatterns) {
+const SYMLINK_POLICIES = ["skip", "follow", "error"];
+
+function describeSpecialFile(stats) {
+    if (stats.isSocket()) return "socket";
+    if (stats.isFIFO()) return "fifo";
+    if (stats.isBlockDevice()) return "block_device";
+    if (stats.isCharacterDevice()) return "character_device";
+    return "unknown";
+}
+
+/**
+ * Recursively lists the files to upload under folderPath. `ignoreMatcher` is an
+ * IgnoreMatcher (or a plain list of patterns); each directory's .cueignore is
+ * added to it on the way down. `scanOptions.symlinks` is "skip" (default),
+ * "follow" or "error". Entries left out are returned in `skipped` with a `reason`:
+ * "ignored" (with the matching `pattern` and its `patternSource`), "not_included",
+ * "disallowed_type", "symlink", "broken_symlink", "symlink_cycle" or
+ * "special_file" (with `fileType`).
+ */
+export async function scanFolderForUpload(folderPath, rootForRelativePath, configPathOverride, ignoreMatcher, logger = defaultLogger, scanOptions = {}) {
+    const { symlinks = "skip" } = scanOptions;
+    if (!SYMLINK_POLICIES.includes(symlinks)) {
+        throw new ConfigurationError(`Invalid symlinks policy '${symlinks}'. Use one of: ${SYMLINK_POLICIES.join(', ')}.`);
+    }
+    // dev:ino of every directory from the root down to folderPath, to spot symlinks that loop back.
+    let ancestors = scanOptions.ancestors;
+    if (!ancestors) {
+        const rootStats = await fsPromises.stat(folderPath);
+        ancestors = new Set([`${rootStats.dev}:${rootStats.ino}`]);
+    }
+
     const filesToUpload = [];
+    const skipped = [];
     let totalSize = 0;
+    let matcher = ignoreMatcher instanceof IgnoreMatcher ? ignoreMatcher : new IgnoreMatcher({ patterns: ignoreMatcher || [] });
+    const ignoreFile = await readIgnoreFile(folderPath);
+    if (ignoreFile !== null) {
+        matcher = matcher.withIgnoreFile(path.relative(rootForRelativePath, folderPath).replace(/\\/g, '/'), ignoreFile);
+    }
     const items = await fsPromises.readdir(folderPath, { withFileTypes: true });
 
+    const scanSubFolder = async (dirPath, dirStats) => {
+        const subFolderResult = await scanFolderForUpload(dirPath, rootForRelativePath, configPathOverride, matcher, logger, {
+            symlinks, ancestors: new Set([...ancestors, `${dirStats.dev}:${dirStats.ino}`])
+        });
+        filesToUpload.push(...subFolderResult.filesToUpload);
+        skipped.push(...subFolderResult.skipped);
+        totalSize += subFolderResult.totalSize;
+    };
+
     for (const item of items) {
         const itemPath = path.join(folderPath, item.name);
-        if (isPathIgnored(itemPath, rootForRelativePath, ignorePatterns)) {
-            // console.debug(`[CUE Upload Lib] Ignoring during scan: ${itemPath}`);
+        const relativePath = path.relative(rootForRelativePath, itemPath).replace(/\\/g, '/');
+        // Dirent reports a symlink as neither file nor directory; stat its target to classify it.
+        let stats = null; let brokenLink = false;
+        if (item.isSymbolicLink()) {
+            try {
+                stats = await fsPromises.stat(itemPath);
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'ELOOP') throw error;
+                brokenLink = true;
+            }
+        }
+        const isDirectory = item.isDirectory() || Boolean(stats?.isDirectory());
+
+        const rule = matcher.match(relativePath, isDirectory);
+        if (rule) {
+            logger.debug("Ignoring during scan", { path: itemPath, pattern: rule.pattern, source: rule.source });
+            skipped.push({
+                localPath: itemPath, relativePath, type: isDirectory ? "directory" : "file",
+                reason: "ignored", pattern: rule.pattern, patternSource: rule.source
+            });
             continue;
         }
-        if (item.isDirectory()) {
-            const subFolderResult = await scanFolderForUpload(itemPath, rootForRelativePath, configPathOverride, ignorePatterns);
-            filesToUpload.push(...subFolderResult.filesToUpload);
-            totalSize += subFolderResult.totalSize;
-        } else if (item.isFile()) {
+
+        if (item.isSymbolicLink()) {
+            if (symlinks === "error") {
+                throw new CUEUploadError(`Symlink found at ${itemPath} and the symlinks policy is 'error'.`, { code: "ERR_SYMLINK" });
+            }
+            if (brokenLink) {
+                logger.warn("Skipping broken symlink", { path: itemPath });
+                skipped.push({ localPath: itemPath, relativePath, type: "symlink", reason: "broken_symlink" });
+                continue;
+            }
+            if (symlinks === "skip") {
+                logger.debug("Skipping symlink", { path: itemPath });
+                skipped.push({ localPath: itemPath, relativePath, type: "symlink", reason: "symlink" });
+                continue;
+            }
+        }
+
+        if (isDirectory) {
+            const dirStats = stats || await fsPromises.stat(itemPath);
+            if (ancestors.has(`${dirStats.dev}:${dirStats.ino}`)) {
+                logger.warn("Skipping symlink that loops back to a parent directory", { path: itemPath });
+                skipped.push({ localPath: itemPath, relativePath, type: "symlink", reason: "symlink_cycle" });
+                continue;
+            }
+            await scanSubFolder(itemPath, dirStats);
+        } else if (item.isFile() || stats?.isFile()) {
             if (isFileTypeDisallowed(itemPath)) {
-                console.warn(`[CUE Upload Lib] WARN: Skipping disallowed file type: ${item.name}`);
+                logger.warn("Skipping disallowed file type", { file: item.name, path: itemPath });
+                skipped.push({ localPath: itemPath, relativePath, type: "file", reason: "disallowed_type" });
+                continue;
+            }
+            if (!matcher.isIncluded(relativePath)) {
+                skipped.push({ localPath: itemPath, relativePath, type: "file", reason: "not_included" });
                 continue;
             }
-            const fileSize = await getFileSize(itemPath);
+            const fileSize = stats ? stats.size : await getFileSize(itemPath);
             filesToUpload.push({
-                localPath: itemPath,
-                relativePath: path.relative(rootForRelativePath, itemPath).replace(/\\/g, '/'),
+                localPath: itemPath, relativePath,
                 size: fileSize, status: "pending", errorMessage: null
             });
             totalSize += fileSize;
+        } else {
+            const fileType = describeSpecialFile(stats || await fsPromises.lstat(itemPath));
+            logger.warn("Skipping special file", { path: itemPath, file_type: fileType });
+            skipped.push({ localPath: itemPath, relativePath, type: fileType, reason: "special_file", fileType });
         }
     }
-    return { filesToUpload, totalSize };
+    return { filesToUpload, skipped, totalSize };
 }
 
 export async function processFolderUpload(
@@ -40,104 +137,165 @@ export async function processFolderUpload(
     apiClient, config, // globalArgs removed
     fileConcurrency, partConcurrency, autoApprove, options = {} // options for progress
 ) {
-    const { onFolderProgress, onFileProgress, onPartProgressUpdate } = options;
-    const logPrefix = "[CUE Upload Lib]";
+    const {
+        onFolderProgress, onFileProgress, onPartProgressUpdate, onConfirm, progress,
+        journalDir, resume, syncCache = null, force = false, ignore = [], include = [], symlinks = "skip", verify = false, scheduler = null, signal, logger = defaultLogger
+    } = options;
+    const log = bindLogger(logger, { folder: rootFolderPath, collection });
     const notifyFolderProgress = (message, type = "info", details = {}) => {
         if (onFolderProgress) onFolderProgress({ folder: rootFolderPath, message, type, ...details });
-        else console.log(`${logPrefix} ${type.toUpperCase()}: ${message}`);
+        logProgress(log, type, message, details);
     };
 
     notifyFolderProgress(`Starting folder upload for: ${rootFolderPath}`);
-    const { filesToUpload, totalSize } = await scanFolderForUpload(rootFolderPath, rootFolderPath, null, config.user_ignored_patterns);
+    const { filesToUpload, skipped, totalSize } = await scanFolderForUpload(
+        rootFolderPath, rootFolderPath, null,
+        new IgnoreMatcher({ patterns: config.user_ignored_patterns, ignore, include }), log, { symlinks }
+    );
+    throwIfAborted(signal);
+    if (progress) {
+        progress.scan({ root: rootFolderPath, totalBytes: totalSize, files: filesToUpload.map(f => ({ file: f.relativePath, size: f.size })) });
+    }
 
     if (filesToUpload.length === 0) {
         notifyFolderProgress("No files found to upload (after ignores).", "warn");
-        return { totalFiles: 0, successfulUploads: 0, failedUploads: 0, results: [] };
+        return { totalFiles: 0, successfulUploads: 0, failedUploads: 0, skippedUploads: 0, results: [], scanSkipped: skipped };
     }
-    notifyFolderProgress(`Found ${filesToUpload.length} files, total size: ${formatBytes(totalSize)}.`);
+    notifyFolderProgress(`Found ${filesToUpload.length} files, total size: ${formatBytes(totalSize)}.`, "info", { totalFiles: filesToUpload.length, totalSize });
 
     if (!autoApprove) {
-        // For a library, interactive prompt is tricky. Caller should handle this.
-        // We'll assume autoApprove = true or caller handles confirmation.
-        console.warn(`${logPrefix} autoApprove is false, but library cannot prompt. Assuming approval.`);
+        // The library cannot prompt; the caller approves the plan through onConfirm, or gets the plan back.
+        const plan = buildUploadPlan({
+            source: rootFolderPath, collection, targetSubPath, config, files: filesToUpload, skipped, logger: log
+        });
+        if (!onConfirm) {
+            notifyFolderProgress("autoApprove is false and no onConfirm callback was given; returning the upload plan without uploading.", "warn");
+            return plan;
+        }
+        const approved = await onConfirm(plan);
+        throwIfAborted(signal);
+        if (!approved) {
+            notifyFolderProgress("Folder upload was not approved.", "warn");
+            throw new UploadAbortedError("Folder upload was not approved by onConfirm.");
+        }
     }
 
-    let successfulUploads = 0; let failedUploads = 0;
-    const activeFileUploads = new Set(); let currentIndex = 0;
+    let successfulUploads = 0; let failedUploads = 0; let cancelledUploads = 0; let skippedUploads = 0; let verificationFailures = 0;
     let overallUploadedBytesInFolder = 0;
     const results = [];
 
     const updateOverallFolderProgress = () => {
-        const processedCount = successfulUploads + failedUploads;
+        const processedCount = successfulUploads + failedUploads + skippedUploads;
         if (onFolderProgress) {
             onFolderProgress({
                 folder: rootFolderPath, loaded: overallUploadedBytesInFolder, total: totalSize,
                 filesProcessed: processedCount, totalFiles: filesToUpload.length,
                 phase: "uploading_files"
             });
-        } else {
-             process.stdout.write(`\r${logPrefix} Folder Progress: ${processedCount}/${filesToUpload.length} files (${formatBytes(overallUploadedBytesInFolder)}/${formatBytes(totalSize)}) `);
         }
+        log.debug("Folder progress", {
+            filesProcessed: processedCount, totalFiles: filesToUpload.length,
+            loaded: overallUploadedBytesInFolder, total: totalSize
+        });
     };
     updateOverallFolderProgress();
 
     const { handleSingleFileUpload: singleUploadHandlerLib } = await import('./singleFileUploader.js');
     const { handleMultipartUpload: multiUploadHandlerLib } = await import('./multipartUploader.js');
 
-    function scheduleNextFileInFolder() {
-        while (activeFileUploads.size < fileConcurrency && currentIndex < filesToUpload.length) {
-            const fileTask = filesToUpload[currentIndex++];
-            let effectiveApiTargetSubPath = targetSubPath || "";
-            if (path.dirname(fileTask.relativePath) !== '.') {
-                 effectiveApiTargetSubPath = path.join(effectiveApiTargetSubPath, path.dirname(fileTask.relativePath)).replace(/\\/g, '/');
-            }
+    // The scheduler's order decides which files start first; their transfers then queue in the same order.
+    const orderedFiles = scheduler ? scheduler.orderFiles(filesToUpload) : filesToUpload;
+    await runWithConcurrency(orderedFiles, fileConcurrency, async (fileTask) => {
+        if (signal?.aborted) return;
+        const effectiveApiTargetSubPath = getRemoteCollectionPath(targetSubPath, fileTask.relativePath);
 
-            const promise = (async () => {
-                try {
-                    notifyFolderProgress(`Starting upload for: ${fileTask.relativePath}`, "info", { file: fileTask.relativePath});
-                    const multipartThresholdBytes = config.multipart_threshold_gb * (1024 ** 3);
-                    let result;
-                    if (fileTask.size > multipartThresholdBytes) {
-                        result = await multiUploadHandlerLib(
-                            fileTask.localPath, fileTask.size, collection, effectiveApiTargetSubPath,
-                            apiClient, config, partConcurrency, { onProgress: onFileProgress, onPartProgress: onPartProgressUpdate }
-                        );
-                    } else {
-                        result = await singleUploadHandlerLib(
-                            fileTask.localPath, fileTask.size, collection, effectiveApiTargetSubPath,
-                            apiClient, config, { onProgress: onFileProgress }
-                        );
+        const fileProgress = progress ? progress.forFile(fileTask.relativePath, fileTask.size, fileTask.localPath, { collectionPath: effectiveApiTargetSubPath }) : null;
+        try {
+            // Sync mode: skip files already confirmed to this destination and unchanged since.
+            let fileStats = null; let cachedChecksum = null;
+            const destination = { env: apiClient.env, collection, collectionPath: effectiveApiTargetSubPath };
+            if (syncCache) {
+                fileStats = await fsPromises.stat(fileTask.localPath);
+                const previousUpload = force ? null : syncCache.getUpload(fileTask.localPath, fileStats, destination);
+                if (previousUpload) {
+                    notifyFolderProgress(`Skipping unchanged file: ${fileTask.relativePath}`, "debug", { file: fileTask.relativePath });
+                    fileTask.status = "skipped"; fileTask.skipReason = "unchanged"; fileTask.s3_key = previousUpload.s3_key;
+                    results.push(fileTask);
+                    skippedUploads++; overallUploadedBytesInFolder += fileTask.size;
+                    if (fileProgress) {
+                        fileProgress.setBaseline(fileTask.size);
+                        fileProgress.done({ file: fileTask.relativePath, status: "skipped", s3_key: previousUpload.s3_key });
                     }
-                    fileTask.status = "success"; results.push({ ...fileTask, ...result});
-                    successfulUploads++; overallUploadedBytesInFolder += fileTask.size;
-                } catch (error) {
-                    console.error(`\n${logPrefix} ERROR uploading ${fileTask.relativePath}: ${error.message}`);
-                    fileTask.status = "failed"; fileTask.errorMessage = error.message; results.push(fileTask);
-                    failedUploads++;
-                } finally {
-                    activeFileUploads.delete(promise);
-                    updateOverallFolderProgress();
-                    scheduleNextFileInFolder();
+                    return;
                 }
-            })();
-            activeFileUploads.add(promise);
-        }
-    }
-    scheduleNextFileInFolder();
-    await new Promise(resolve => { // Wait for all files to be processed
-        const interval = setInterval(() => {
-            if (activeFileUploads.size === 0 && currentIndex === filesToUpload.length) {
-                clearInterval(interval); resolve();
+                if (!force) cachedChecksum = syncCache.getChecksum(fileTask.localPath, fileStats, getChecksumSpec(config));
             }
-        }, 200);
-    });
-    if (totalSize > 0 || filesToUpload.length > 0) process.stdout.write('\n');
 
+            notifyFolderProgress(`Starting upload for: ${fileTask.relativePath}`, "debug", { file: fileTask.relativePath});
+            const multipart = isMultipartSize(fileTask.size, config);
+            if (fileProgress) fileProgress.start({ multipart });
+            let result;
+            if (multipart) {
+                result = await multiUploadHandlerLib(
+                    fileTask.localPath, fileTask.size, collection, effectiveApiTargetSubPath,
+                    apiClient, config, partConcurrency,
+                    { onProgress: onFileProgress, onPartProgress: onPartProgressUpdate, fileProgress, checksum: cachedChecksum, journalDir, resume, verify, scheduler, signal, logger }
+                );
+            } else {
+                result = await singleUploadHandlerLib(
+                    fileTask.localPath, fileTask.size, collection, effectiveApiTargetSubPath,
+                    apiClient, config, { onProgress: onFileProgress, fileProgress, checksum: cachedChecksum, verify, scheduler, signal, logger }
+                );
+            }
+            fileTask.status = "success"; results.push({ ...fileTask, ...result});
+            successfulUploads++; overallUploadedBytesInFolder += fileTask.size;
+            if (syncCache) {
+                const checksumSpec = { algorithm: result.checksum_algorithm, encoding: result.checksum_encoding };
+                syncCache.recordUpload(fileTask.localPath, fileStats, { checksum: result.checksum, checksumSpec, s3Key: result.s3_key, destination });
+            }
+            if (fileProgress) fileProgress.done(result);
+        } catch (error) {
+            if (fileProgress) fileProgress.error(error);
+            if (isAbortError(error)) {
+                fileTask.status = "cancelled"; results.push(fileTask);
+                cancelledUploads++;
+                return;
+            }
+            log.error("File upload failed", { file: fileTask.relativePath, error: error.message });
+            fileTask.status = "failed"; fileTask.errorMessage = error.message;
+            fileTask.error = error; fileTask.errorClass = error.name; fileTask.errorCode = error.code || null;
+            fileTask.retryable = Boolean(error.retryable); fileTask.statusCode = error.statusCode ?? null;
+            if (error instanceof VerificationError) {
+                // The file was stored, but not as sent: keep the key and what did not match.
+                fileTask.s3_key = error.s3Key; fileTask.verification = error.verification;
+                verificationFailures++;
+            }
+            results.push(fileTask);
+            failedUploads++;
+        } finally {
+            updateOverallFolderProgress();
+        }
+    });
+    // Saved once per run, including failed and aborted runs, so completed files are not re-sent next time.
+    if (syncCache) await syncCache.save();
     notifyFolderProgress("Folder upload process finished.", "info", {
-        totalFiles: filesToUpload.length, successfulUploads, failedUploads
+        totalFiles: filesToUpload.length, successfulUploads, failedUploads, skippedUploads
     });
+    if (signal?.aborted) {
+        for (const fileTask of filesToUpload.filter(f => f.status === "pending")) {
+            fileTask.status = "cancelled"; results.push(fileTask);
+            cancelledUploads++;
+        }
+        notifyFolderProgress(`Folder upload aborted: ${successfulUploads} file(s) completed before cancellation.`, "warn");
+        throw new UploadAbortedError("Folder upload was aborted.", {
+            cause: signal.reason,
+            folderResult: { totalFiles: filesToUpload.length, successfulUploads, failedUploads, skippedUploads, cancelledUploads, verificationFailures, results, scanSkipped: skipped }
+        });
+    }
+
+    const folderResult = { totalFiles: filesToUpload.length, successfulUploads, failedUploads, skippedUploads, verificationFailures, results, scanSkipped: skipped };
     if (failedUploads > 0) {
-        throw new Error(`${failedUploads} file(s) failed to upload during folder processing.`);
+        throw new FolderUploadError(`${failedUploads} file(s) failed to upload during folder processing.`, { folderResult });
     }
-    return { totalFiles: filesToUpload.length, successfulUploads, failedUploads, results };
+    return folderResult;
 }
\ No newline at end of file
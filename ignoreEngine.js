@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const IGNORE_FILE_NAME = ".cueignore";
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Translates one path segment of a gitignore pattern (no '/') into a regex fragment.
+function segmentToRegex(segment) {
+    let out = '';
+    for (let i = 0; i < segment.length; i++) {
+        const ch = segment[i];
+        if (ch === '\\' && i + 1 < segment.length) {
+            out += escapeRegex(segment[++i]);
+        } else if (ch === '*') {
+            while (segment[i + 1] === '*') i++;
+            out += '[^/]*';
+        } else if (ch === '?') {
+            out += '[^/]';
+        } else if (ch === '[') {
+            const close = segment.indexOf(']', i + 2);
+            if (close === -1) { out += '\\['; continue; }
+            let body = segment.slice(i + 1, close);
+            const negated = body[0] === '!';
+            if (negated) body = body.slice(1);
+            out += `[${negated ? '^' : ''}${body.replace(/\\/g, '\\\\').replace(/^\^/, '\\^')}]`;
+            i = close;
+        } else {
+            out += escapeRegex(ch);
+        }
+    }
+    return out;
+}
+
+/**
+ * Compiles one gitignore-style line. Returns null for blank lines and comments.
+ * `baseDir` is the directory (relative to the scan root, '/'-separated) whose
+ * .cueignore the line came from; '' for root-level and option patterns.
+ */
+export function compileIgnorePattern(line, { baseDir = '', source = null } = {}) {
+    let pattern = line.replace(/\r$/, '');
+    // Trailing spaces are dropped unless escaped with a backslash.
+    pattern = pattern.replace(/(?<!\\)\s+$/, '');
+    if (pattern === '' || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+    let dirOnly = false;
+    if (pattern.endsWith('/')) {
+        dirOnly = true;
+        pattern = pattern.replace(/\/+$/, '');
+    }
+    // A slash anywhere but the end anchors the pattern to baseDir; otherwise it matches at any depth.
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (pattern === '') return null;
+
+    const segments = pattern.split('/');
+    let body = '';
+    segments.forEach((segment, i) => {
+        const last = i === segments.length - 1;
+        if (segment === '**') body += last ? '.+' : '(?:[^/]+/)*';
+        else body += segmentToRegex(segment) + (last ? '' : '/');
+    });
+    const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+    return { pattern: line.trim(), negate, dirOnly, baseDir, source, regex };
+}
+
+function compileAll(lines, options) {
+    return lines.map(line => compileIgnorePattern(line, options)).filter(Boolean);
+}
+
+function ruleMatches(rule, relativePath, isDirectory) {
+    if (rule.dirOnly && !isDirectory) return false;
+    let subject = relativePath;
+    if (rule.baseDir) {
+        if (!relativePath.startsWith(rule.baseDir + '/')) return false;
+        subject = relativePath.slice(rule.baseDir.length + 1);
+    }
+    return rule.regex.test(subject);
+}
+
+/**
+ * Decides which paths a folder scan skips, with gitignore semantics: the last
+ * matching rule wins and `!pattern` re-includes. Rules apply in this order:
+ * `user_ignored_patterns`, then .cueignore files from the root downwards,
+ * then the per-call `ignore` patterns. When `include` patterns are given, only
+ * files matching one of them are uploaded. Patterns are compiled once.
+ */
+export class IgnoreMatcher {
+    constructor({ patterns = [], ignore = [], include = [] } = {}) {
+        // .cueignore files are not uploaded unless a rule re-includes them.
+        this.baseRules = [
+            ...compileAll([IGNORE_FILE_NAME], { source: "built-in" }),
+            ...compileAll(patterns, { source: "user_ignored_patterns" })
+        ];
+        this.fileRules = [];
+        this.overrideRules = compileAll(ignore, { source: "ignore option" });
+        this.includeRules = compileAll(include, { source: "include option" });
+    }
+
+    /** Returns a matcher that also applies the .cueignore content found in relativeDir. */
+    withIgnoreFile(relativeDir, content) {
+        const source = relativeDir ? `${relativeDir}/${IGNORE_FILE_NAME}` : IGNORE_FILE_NAME;
+        const child = new IgnoreMatcher();
+        child.baseRules = this.baseRules;
+        child.overrideRules = this.overrideRules;
+        child.includeRules = this.includeRules;
+        child.fileRules = [...this.fileRules, ...compileAll(content.split('\n'), { baseDir: relativeDir, source })];
+        return child;
+    }
+
+    /**
+     * Returns the rule that ignores relativePath ('/'-separated, relative to the scan root),
+     * or null when the path is not ignored.
+     */
+    match(relativePath, isDirectory = false) {
+        let matched = null;
+        for (const rules of [this.baseRules, this.fileRules, this.overrideRules]) {
+            for (const rule of rules) {
+                if (ruleMatches(rule, relativePath, isDirectory)) matched = rule;
+            }
+        }
+        return matched && !matched.negate ? matched : null;
+    }
+
+    /** True when there are no include rules, or one matches the file or a directory above it (as `data/` does). */
+    isIncluded(relativePath) {
+        if (this.includeRules.length === 0) return true;
+        const segments = relativePath.split('/');
+        return this.includeRules.some(rule => ruleMatches(rule, relativePath, false) ||
+            segments.slice(0, -1).some((_, i) => ruleMatches(rule, segments.slice(0, i + 1).join('/'), true)));
+    }
+}
+
+/** Reads the .cueignore in dirPath, or returns null when there is none. */
+export async function readIgnoreFile(dirPath) {
+    try {
+        return await fs.readFile(path.join(dirPath, IGNORE_FILE_NAME), 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
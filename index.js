@@ -1,18 +1,90 @@
 import path from 'path';
-import { getConfig as loadConfig, getAuthToken as loadAuthToken, ensureConfigExists as ensureBaseConfigExists } from './config.js';
+import { EventEmitter } from 'events';
+import { resolveConfig, ensureConfigExists as ensureBaseConfigExists, getConfigDir, saveConfigValue } from './config.js';
 import { ApiClient } from './apiClient.js';
-import { processFolderUpload as doFolderUpload } from './folderProcessor.js';
+import { TokenManager } from './tokenManager.js';
+import { processFolderUpload as doFolderUpload, scanFolderForUpload } from './folderProcessor.js';
+import { IgnoreMatcher } from './ignoreEngine.js';
 import { handleSingleFileUpload as doSingleUpload } from './singleFileUploader.js';
-import { handleMultipartUpload as doMultipartUpload } from './multipartUploader.js';
+import { handleMultipartUpload as doMultipartUpload, isMultipartSize } from './multipartUploader.js';
 import { getFileSize, isFileTypeDisallowed, formatBytes } from './utils.js';
+import { handleStreamUpload as doStreamUpload } from './streamUploader.js';
+import { BufferSource } from './uploadSource.js';
+import { getJournalDir } from './uploadJournal.js';
+import { ProgressReporter, BatchProgress } from './progressTracker.js';
+import { buildUploadPlan } from './uploadPlan.js';
+import { SyncCache, getSyncCachePath } from './syncCache.js';
+import { BandwidthLimiter } from './bandwidthLimiter.js';
+import { TransferScheduler } from './transferScheduler.js';
+import { UploadReport, resolveReportTargets } from './uploadReport.js';
+import { UploadHistory, getHistoryDir, createRunId } from './uploadHistory.js';
+import { processBatchUpload, assertBatchJobs } from './batchUploader.js';
+import { isAbortError, throwIfAborted, ConfigurationError, DisallowedFileTypeError, CUEUploadError } from './errors.js';
+import { createDefaultLogger, resolveLogLevel } from './logger.js';
 import fsPromises from 'fs/promises';
 
+export {
+    CUEUploadError, AuthenticationError, ApiValidationError, ApiServerError, NetworkError,
+    S3TransferError, ChecksumMismatchError, DisallowedFileTypeError, ConfigurationError,
+    MultipartUploadError, FolderUploadError, BatchUploadError, VerificationError, UploadAbortedError, isAbortError
+} from './errors.js';
+export { createDefaultLogger } from './logger.js';
+export { RetryPolicy } from './retryPolicy.js';
+export { BandwidthLimiter } from './bandwidthLimiter.js';
+export { TransferScheduler } from './transferScheduler.js';
+export { UploadReport } from './uploadReport.js';
+export { UploadHistory } from './uploadHistory.js';
+export { ProgressTracker } from './progressTracker.js';
+export { MockCUEServer } from './mockServer.js';
 
-export class CUEUploader {
+// Constructor options that override a config.json key; they take precedence over the file and CUE_UPLOAD_* variables.
+const OPTION_CONFIG_KEYS = {
+    token: "api_token",
+    env: "default_env",
+    fileConcurrency: "file_concurrency",
+    partConcurrency: "part_concurrency",
+    maxTransfers: "max_transfers",
+    transferMemoryBudgetMb: "transfer_memory_budget_mb",
+    transferOrder: "transfer_order",
+    historyRetentionDays: "history_retention_days",
+    multipartThresholdGb: "multipart_threshold_gb",
+    multipartChunkSizeMb: "multipart_chunk_size_mb",
+    multipartMemoryBudgetMb: "multipart_memory_budget_mb",
+    retryAttempts: "retry_attempts",
+    retryBaseDelayMs: "retry_base_delay_ms",
+    retryMaxDelayMs: "retry_max_delay_ms",
+    checksumAlgorithm: "checksum_algorithm",
+    checksumEncoding: "checksum_encoding",
+    maxBandwidth: "max_bandwidth"
+};
+
+function getConfigOverrides(options) {
+    const overrides = {};
+    for (const [option, key] of Object.entries(OPTION_CONFIG_KEYS)) {
+        if (options[option] !== undefined && options[option] !== null) overrides[key] = options[option];
+    }
+    return overrides;
+}
+
+function assertFileName(fileName) {
+    if (typeof fileName !== 'string' || fileName === '' || fileName !== path.basename(fileName)) {
+        throw new CUEUploadError(`Expected a file name without directories, got: ${fileName}`, { code: "ERR_INVALID_SOURCE" });
+    }
+}
+
+/**
+ * Uploads files and folders to CUE. Besides the callback options, an uploader is an
+ * EventEmitter: 'scan', 'file:start', 'file:progress', 'part:progress', 'file:done',
+ * 'file:error' and 'done' are emitted during upload() with byte counts, throughput and ETA.
+ */
+export class CUEUploader extends EventEmitter {
     constructor(options = {}) {
-        // Options: token, env, configPath, 
-        // fileConcurrency, partConcurrency, multipartThresholdGb, multipartChunkSizeMb
-        // onFolderProgress, onFileProgress, onPartProgress
+        super();
+        // Options: token, tokenProvider, env, profile, configPath, 
+        // fileConcurrency, partConcurrency, multipartThresholdGb, multipartChunkSizeMb, multipartMemoryBudgetMb
+        // maxTransfers, transferMemoryBudgetMb, transferOrder, scheduler, historyRetentionDays
+        // retryAttempts, retryBaseDelayMs, retryMaxDelayMs, retryPolicy, maxBandwidth, bandwidthLimiter
+        // onFolderProgress, onFileProgress, onPartProgress, logger
         this.options = options;
         this.config = null;
         this.apiClient = null;
@@ -23,31 +95,61 @@ export class CUEUploader {
             verboseLevel: options.verboseLevel || 0, // 0: info, 1: debug for lib
             quietMode: options.quietMode || false,
         };
+        // Replaced in _initialize once log_level from the config file is known, unless a logger was given.
+        this.logger = options.logger || createDefaultLogger({
+            level: resolveLogLevel({ verboseLevel: this.globalArgs.verboseLevel, quietMode: this.globalArgs.quietMode })
+        });
+        // One token bucket for every S3 transfer of this uploader; configured from max_bandwidth once the config is loaded.
+        this.bandwidthLimiter = options.bandwidthLimiter || new BandwidthLimiter();
+        this._maxBandwidthSet = false;
+        // Admits the S3 transfers of every upload call; created from max_transfers etc. unless one is shared in.
+        this.scheduler = options.scheduler || null;
+        // Loaded by the first sync upload, then shared by every call; see _getSyncCache.
+        this._syncCache = null;
     }
 
-    async _initialize() {
+    async _loadConfig() {
         if (!this.config) {
-            // Ensure base config directory/file exists if not overridden,
-            // so getConfig doesn't fail if it's the very first run.
-            await ensureBaseConfigExists(this.globalArgs.configPathOverride);
-            this.config = await loadConfig(this.globalArgs.configPathOverride);
-            
-            // Override config with options if provided
-            if (this.options.fileConcurrency) this.config.file_concurrency = this.options.fileConcurrency;
-            if (this.options.partConcurrency) this.config.part_concurrency = this.options.partConcurrency;
-            if (this.options.multipartThresholdGb) this.config.multipart_threshold_gb = this.options.multipartThresholdGb;
-            if (this.options.multipartChunkSizeMb) this.config.multipart_chunk_size_mb = this.options.multipartChunkSizeMb;
-            if (this.options.env) this.config.default_env = this.options.env; // Overrides default_env from file
+            // Creates config.json with defaults on the very first run.
+            const { config, sources, profile } = await resolveConfig(this.globalArgs.configPathOverride, this.logger, {
+                options: getConfigOverrides(this.options), profile: this.options.profile
+            });
+            this.config = config;
+            this.configSources = sources;
+            this.profile = profile;
+            if (!this.options.logger) {
+                this.logger = createDefaultLogger({
+                    level: resolveLogLevel({
+                        logLevel: this.config.log_level,
+                        verboseLevel: this.globalArgs.verboseLevel,
+                        quietMode: this.globalArgs.quietMode
+                    })
+                });
+            }
 
             // Update globalArgs with the final effective env for apiClient
-            this.globalArgs.envCli = this.options.env || this.config.default_env;
+            this.globalArgs.envCli = this.config.default_env;
+
+            // A limiter passed in is configured by its owner; setMaxBandwidth() before loading wins over the config.
+            if (!this.options.bandwidthLimiter) {
+                if (!this._maxBandwidthSet) this.bandwidthLimiter.setMaxBandwidth(this.config.max_bandwidth);
+                this.bandwidthLimiter.setSchedule(this.config.bandwidth_schedule);
+            }
+            if (!this.scheduler) this.scheduler = TransferScheduler.fromConfig(this.config);
         }
+    }
+
+    async _initialize() {
+        await this._loadConfig();
         if (!this.apiClient) {
-            const authToken = await loadAuthToken(this.options.token, this.globalArgs.configPathOverride);
-            if (!authToken) {
-                throw new Error("Authentication token is required. Provide via options.token, config file, or CUE_UPLOAD_API_TOKEN env var.");
+            // A tokenProvider supplies the first token too, so a stale api_token in config.json is never sent.
+            const tokenProvider = this.options.tokenProvider || null;
+            const authToken = tokenProvider ? null : this.config.api_token;
+            if (!authToken && !tokenProvider) {
+                throw new ConfigurationError("Authentication token is required. Provide via options.token, options.tokenProvider, config file, or CUE_UPLOAD_API_TOKEN env var.");
             }
-            this.apiClient = new ApiClient(this.config, this.globalArgs, authToken);
+            const tokenManager = new TokenManager({ token: authToken, tokenProvider, logger: this.logger });
+            this.apiClient = new ApiClient(this.config, this.globalArgs, tokenManager, this.logger, this.options.retryPolicy, this.bandwidthLimiter);
         }
     }
 
@@ -58,71 +160,352 @@ export class CUEUploader {
      * @param {object} [options={}] - Additional options.
      * @param {string} [options.targetPath] - Remote sub-path within the collection.
      * @param {boolean} [options.autoApprove=true] - Skip confirmation for folder uploads (library defaults to true).
+     * @param {function} [options.onConfirm] - With autoApprove false, called with the upload plan; resolve to true to proceed.
+     * @param {boolean} [options.dryRun=false] - Return the upload plan without uploading or contacting the backend.
+     * @param {boolean} [options.sync=false] - Folder uploads: skip files unchanged since they were last confirmed to the same destination.
+     * @param {boolean} [options.force=false] - With sync, upload every file again and refresh the cache.
+     * @param {string[]} [options.ignore] - Extra gitignore-style patterns for folder uploads; override config and .cueignore rules.
+     * @param {string[]} [options.include] - If given, only folder files matching one of these patterns are uploaded.
+     * @param {string} [options.symlinks="skip"] - Symlinks found in a folder: "skip", "follow" or "error".
+     * @param {boolean} [options.resume=false] - Resume interrupted multipart uploads from their local journal.
+     * @param {boolean} [options.verify=false] - After each upload, compare the stored object's size, checksum and ETag with the local data.
+     * @param {AbortSignal} [options.signal] - Cancels the upload; the promise then rejects with UploadAbortedError.
+     * @param {string|object|Array} [options.report] - Write a report of the run: a path ending in .json, .csv or .xml (JUnit),
+     *   `{ path, format }` with format "json", "csv" or "junit", or a list of these. Written whether the upload succeeds or not.
      * @param {function} [options.onFolderProgress] - Callback for folder progress updates.
      * @param {function} [options.onFileProgress] - Callback for individual file progress updates.
      * @param {function} [options.onPartProgress] - Callback for multipart part progress updates.
-     * @returns {Promise<object>} A promise that resolves with an object containing upload results.
+     * @returns {Promise<object>} A promise that resolves with an object containing upload results (or the plan, for dryRun).
+     * Progress events ('scan', 'file:progress', ...) are emitted on this uploader while the upload runs.
      */
     async upload(sourcePath, collection, uploadOptions = {}) {
-        await this._initialize(); // Ensure config and apiClient are ready
+        return this._upload(sourcePath, collection, uploadOptions, this);
+    }
+
+    // upload(), with progress events sent to emitter (uploadBatch tags them with the job).
+    async _upload(sourcePath, collection, uploadOptions, emitter) {
+        if (uploadOptions.dryRun) return this.plan(sourcePath, collection, uploadOptions);
 
         const absoluteSourcePath = path.resolve(sourcePath);
         const { 
             targetPath = null, 
             autoApprove = true, // Library defaults to auto-approve true
+            resume = false,
+            verify = false,
+            sync = false,
+            force = false,
+            ignore = [],
+            include = [],
+            symlinks = "skip",
+            onConfirm,
+            signal,
+            report,
             onFolderProgress, 
             onFileProgress,
             onPartProgress 
         } = uploadOptions;
 
         const progressCallbacks = { onFolderProgress, onFileProgress, onPartProgressUpdate: onPartProgress };
+        const journalOptions = { journalDir: getJournalDir(getConfigDir(this.globalArgs.configPathOverride)), resume };
 
-
-        try {
+        const parameters = { targetPath, autoApprove, resume, verify, sync, force, ignore, include, symlinks };
+        return this._runUpload({ source: sourcePath, collection, targetPath }, { signal, report, method: "upload", parameters, emitter }, async (progress) => {
             const stats = await fsPromises.stat(absoluteSourcePath);
             if (stats.isDirectory()) {
-                return await doFolderUpload(
+                const syncCache = sync ? await this._getSyncCache() : null;
+                return doFolderUpload(
                     absoluteSourcePath, collection, targetPath,
-                    this.apiClient, this.config, this.globalArgs,
+                    this.apiClient, this.config,
                     this.config.file_concurrency, this.config.part_concurrency,
-                    autoApprove, progressCallbacks
+                    autoApprove, { ...progressCallbacks, ...journalOptions, syncCache, force, ignore, include, symlinks, verify, onConfirm, progress, scheduler: this.scheduler, signal, logger: this.logger }
                 );
-            } else if (stats.isFile()) {
-                if (isFileTypeDisallowed(absoluteSourcePath)) {
-                    throw new Error(`File type ${path.extname(absoluteSourcePath)} is disallowed.`);
-                }
-                const fileSize = stats.size;
-                const multipartThresholdBytes = this.config.multipart_threshold_gb * (1024 ** 3);
-
-                if (fileSize > multipartThresholdBytes) {
-                    return await doMultipartUpload(
+            }
+            if (!stats.isFile()) {
+                throw new CUEUploadError(`Source path is not a file or directory: ${absoluteSourcePath}`, { code: "ERR_INVALID_SOURCE" });
+            }
+            if (isFileTypeDisallowed(absoluteSourcePath)) {
+                throw new DisallowedFileTypeError(`File type ${path.extname(absoluteSourcePath)} is disallowed.`);
+            }
+            const fileSize = stats.size;
+            const multipart = isMultipartSize(fileSize, this.config);
+            const fileName = path.basename(absoluteSourcePath);
+            return this._runFileUpload(progress, { fileName, size: fileSize, localPath: absoluteSourcePath, collectionPath: targetPath, multipart }, (fileProgress) => {
+                if (multipart) {
+                    return doMultipartUpload(
                         absoluteSourcePath, fileSize, collection, targetPath,
                         this.apiClient, this.config, // globalArgs not directly needed by MPU handler
-                        this.config.part_concurrency, progressCallbacks
-                    );
-                } else {
-                    return await doSingleUpload(
-                        absoluteSourcePath, fileSize, collection, targetPath,
-                        this.apiClient, this.config, // globalArgs not directly needed by SFU handler
-                        progressCallbacks
+                        this.config.part_concurrency,
+                        { onProgress: onFileProgress, onPartProgress, fileProgress, ...journalOptions, verify, scheduler: this.scheduler, signal, logger: this.logger }
                     );
                 }
-            } else {
-                throw new Error(`Source path is not a file or directory: ${absoluteSourcePath}`);
-            }
+                return doSingleUpload(
+                    absoluteSourcePath, fileSize, collection, targetPath,
+                    this.apiClient, this.config, // globalArgs not directly needed by SFU handler
+                    { onProgress: onFileProgress, fileProgress, verify, scheduler: this.scheduler, signal, logger: this.logger }
+                );
+            });
+        });
+    }
+
+    /**
+     * Uploads in-memory data as a file named fileName, without writing it to disk.
+     * Data above multipart_threshold_gb is sent as a multipart upload, like a file.
+     * @param {Buffer|TypedArray|ArrayBuffer} data - The file content.
+     * @param {string} fileName - Remote file name; also used for the MIME type and disallowed-type check.
+     * @param {string} collection - The target collection short_name.
+     * @param {object} [options={}] - Accepts targetPath, verify, signal, report, onFileProgress and onPartProgress, as in upload().
+     * @returns {Promise<object>} The upload result ({ file, status, s3_key, checksum, ... }).
+     */
+    async uploadBuffer(data, fileName, collection, { targetPath = null, verify = false, signal, report, onFileProgress, onPartProgress } = {}) {
+        assertFileName(fileName);
+        const source = new BufferSource(data, fileName);
+        const runOptions = { signal, report, method: "uploadBuffer", parameters: { targetPath, verify } };
+        return this._runUpload({ source: fileName, collection, targetPath }, runOptions, (progress) => {
+            const multipart = isMultipartSize(source.size, this.config);
+            return this._runFileUpload(progress, { fileName, size: source.size, localPath: null, collectionPath: targetPath, multipart }, (fileProgress) => {
+                const handlerOptions = { onProgress: onFileProgress, onPartProgress, fileProgress, verify, scheduler: this.scheduler, signal, logger: this.logger };
+                return multipart
+                    ? doMultipartUpload(source, source.size, collection, targetPath, this.apiClient, this.config, this.config.part_concurrency, handlerOptions)
+                    : doSingleUpload(source, source.size, collection, targetPath, this.apiClient, this.config, handlerOptions);
+            });
+        });
+    }
+
+    /**
+     * Uploads a Readable stream (or any async iterable of Buffers) as a file named fileName.
+     * The checksum is computed while the data streams; nothing is written to disk. At most
+     * part_concurrency parts are held in memory at once. Passing size lets "auto" part
+     * sizing fit parts to the stream; otherwise they follow multipart_memory_budget_mb.
+     * @param {Readable|AsyncIterable<Buffer>} readable - The file content.
+     * @param {string} fileName - Remote file name; also used for the MIME type and disallowed-type check.
+     * @param {string} collection - The target collection short_name.
+     * @param {object} [options={}] - Accepts targetPath, verify, signal, report, onFileProgress and onPartProgress, as in upload().
+     * @param {number} [options.size] - Content length, if known. Picks single vs multipart up front and is
+     *   checked against the bytes received; without it, streams longer than one part go multipart.
+     * @returns {Promise<object>} The upload result, including the number of bytes sent as `size`.
+     */
+    async uploadStream(readable, fileName, collection, { size = null, targetPath = null, verify = false, signal, report, onFileProgress, onPartProgress } = {}) {
+        assertFileName(fileName);
+        const runOptions = { signal, report, method: "uploadStream", parameters: { size, targetPath, verify } };
+        return this._runUpload({ source: fileName, collection, targetPath }, runOptions, (progress) => {
+            const multipart = size === null ? null : isMultipartSize(size, this.config);
+            return this._runFileUpload(progress, { fileName, size, localPath: null, collectionPath: targetPath, multipart }, (fileProgress) => doStreamUpload(
+                readable, fileName, size, collection, targetPath,
+                this.apiClient, this.config, this.config.part_concurrency,
+                { onProgress: onFileProgress, onPartProgress, fileProgress, verify, scheduler: this.scheduler, signal, logger: this.logger }
+            ));
+        }).catch((error) => {
+            // Release the caller's stream if the upload stopped before consuming it.
+            if (typeof readable.destroy === 'function' && !readable.destroyed) readable.destroy();
+            throw error;
+        });
+    }
+
+    /**
+     * Uploads several sources, each to its own collection and target path, in one session:
+     * the jobs share this uploader's token, connections and transfer scheduler (max_transfers).
+     * Each job is an upload() call and is recorded in the history as its own run.
+     * @param {Array<object>} jobs - `{ source, collection, targetPath, options }`; options are upload() options, except signal.
+     * @param {object} [batchOptions={}]
+     * @param {number} [batchOptions.concurrency] - Jobs run at once; defaults to file_concurrency.
+     * @param {string} [batchOptions.onError="continue"] - "continue" runs every job; "stop" cancels the batch when a job fails.
+     * @param {AbortSignal} [batchOptions.signal] - Cancels every job; the promise then rejects with UploadAbortedError.
+     * @param {function} [batchOptions.onBatchProgress] - Called with the batch:progress payload.
+     * @returns {Promise<object>} { totalJobs, successfulJobs, failedJobs, cancelledJobs, totalFiles, successfulUploads,
+     *   failedUploads, skippedUploads, jobs }. Rejects with BatchUploadError, carrying the same `batchResult`, if any job failed.
+     */
+    async uploadBatch(jobs, { concurrency, onError = "continue", signal, onBatchProgress } = {}) {
+        assertBatchJobs(jobs, { onError });
+        await this._loadConfig();
+        const progress = new BatchProgress(this, jobs.length, { onProgress: onBatchProgress });
+        const runJob = (job, index, jobSignal) => this._upload(job.source, job.collection, {
+            ...job.options, targetPath: job.targetPath ?? job.options?.targetPath ?? null, signal: jobSignal
+        }, progress.forJob(index));
+        return processBatchUpload(jobs, runJob, { concurrency: concurrency ?? this.config.file_concurrency, onError, signal, progress });
+    }
+
+    // Runs one upload call with its progress reporter: emits 'done' at the end, logs failures other than
+    // cancellation, writes the report, if one was asked for, and records the run in the history.
+    async _runUpload(logContext, { signal, report, method, parameters, emitter = this }, runUpload) {
+        const reportTargets = resolveReportTargets(report); // Checked before anything is uploaded
+        await this._initialize(); // Ensure config and apiClient are ready
+        const keepHistory = this.config.history_retention_days > 0;
+        const startedAt = Date.now();
+        const uploadReport = reportTargets.length > 0 || keepHistory
+            ? new UploadReport({ ...logContext, env: this.config.default_env, runId: createRunId(startedAt), startedAt })
+            : null;
+        const progress = new ProgressReporter(emitter, { report: uploadReport });
+        throwIfAborted(signal);
+
+        let result, uploadError;
+        try {
+            result = await runUpload(progress);
+            return result;
         } catch (error) {
-            console.error(`[CUE Upload Lib] FATAL UPLOAD ERROR for ${sourcePath}: ${error.message}`);
-            if (this.globalArgs.verboseLevel > 0 && error.stack) console.error(error.stack);
+            uploadError = error;
+            if (isAbortError(error)) throw error; // Cancellation requested by the caller, not a failure
+            this.logger.error("Upload failed", { ...logContext, error: error.message, stack: this.globalArgs.verboseLevel > 0 ? error.stack : undefined });
             throw error; // Re-throw for the calling application to handle
+        } finally {
+            progress.finish({ result, error: uploadError });
+            if (reportTargets.length > 0) await this._writeReport(uploadReport, reportTargets, uploadError);
+            if (keepHistory) await this._recordHistory(uploadReport, { method, parameters });
         }
     }
 
-    // Add methods for 'configure', 'logs', 'ignore' if this library needs to manage them directly
+    // A report that cannot be written fails an upload that succeeded, but does not hide the error of one that did not.
+    async _writeReport(uploadReport, reportTargets, uploadError) {
+        try {
+            await uploadReport.write(reportTargets);
+        } catch (error) {
+            this.logger.error("Upload report was not written", { error: error.message });
+            if (!uploadError) throw error;
+        }
+    }
+
+    // History is best effort: a run is not failed because it could not be recorded.
+    async _recordHistory(uploadReport, { method, parameters }) {
+        try {
+            await this._getHistory().record({
+                ...uploadReport.toJSON(), method, profile: this.profile || null,
+                api_url: this.apiClient.baseUrl, parameters
+            });
+        } catch (error) {
+            this.logger.warn("Upload was not recorded in the history", { error: error.message });
+        }
+    }
+
+    _getHistory() {
+        return new UploadHistory(getHistoryDir(getConfigDir(this.globalArgs.configPathOverride)), {
+            retentionDays: this.config?.history_retention_days
+        });
+    }
+
+    /**
+     * Past upload runs recorded on this machine, newest first; see "Upload History" in the README.
+     * Each run has its run_id, method, parameters, environment, totals and per-file entries as in an upload report.
+     * @param {object} [filters={}]
+     * @param {Date|string|number} [filters.since] - Only runs started at or after this time.
+     * @param {Date|string|number} [filters.until] - Only runs started at or before this time.
+     * @param {string} [filters.collection] - Only runs to this collection.
+     * @param {string} [filters.env] - Only runs against this environment.
+     * @param {string} [filters.status] - Only runs that ended "success", "failed" or "cancelled".
+     * @param {number} [filters.limit] - At most this many runs.
+     * @returns {Promise<object[]>}
+     */
+    async getHistory(filters = {}) {
+        return this._getHistory().query(filters);
+    }
+
+    /** The recorded run with this run_id, or null if there is none (or its day was already deleted by retention). */
+    async getRun(runId) {
+        return this._getHistory().getRun(runId);
+    }
+
+    // Emits the scan and file events for a single-file upload (from disk, a buffer or a stream) around runUpload.
+    async _runFileUpload(progress, { fileName, size, localPath, collectionPath, multipart }, runUpload) {
+        progress.scan({ root: localPath, totalBytes: size, files: [{ file: fileName, size }] });
+        const fileProgress = progress.forFile(fileName, size, localPath, { collectionPath });
+        fileProgress.start({ multipart });
+        let result;
+        try {
+            result = await runUpload(fileProgress);
+        } catch (error) {
+            fileProgress.error(error);
+            throw error;
+        }
+        fileProgress.done(result);
+        return result;
+    }
+
+    /**
+     * Returns the manifest of what upload() would do for sourcePath: per-file local path,
+     * remote collection_path, size, MIME type, single/multipart mode and part count,
+     * entries skipped by ignore patterns or file type, and totals. Nothing is sent
+     * to the backend and no token is needed.
+     * @param {string} sourcePath - File or folder to plan.
+     * @param {string} collection - The target collection short_name.
+     * @param {object} [options={}] - Accepts targetPath, ignore, include and symlinks, as in upload().
+     * @returns {Promise<object>} { source, collection, targetPath, entries, totals }
+     */
+    async plan(sourcePath, collection, { targetPath = null, ignore = [], include = [], symlinks = "skip" } = {}) {
+        await this._loadConfig();
+        const absoluteSourcePath = path.resolve(sourcePath);
+        const stats = await fsPromises.stat(absoluteSourcePath);
+        const planOptions = { source: absoluteSourcePath, collection, targetSubPath: targetPath, config: this.config, logger: this.logger };
+
+        if (stats.isDirectory()) {
+            const ignoreMatcher = new IgnoreMatcher({ patterns: this.config.user_ignored_patterns, ignore, include });
+            const { filesToUpload, skipped } = await scanFolderForUpload(absoluteSourcePath, absoluteSourcePath, null, ignoreMatcher, this.logger, { symlinks });
+            return buildUploadPlan({ ...planOptions, files: filesToUpload, skipped });
+        }
+        if (!stats.isFile()) {
+            throw new CUEUploadError(`Source path is not a file or directory: ${absoluteSourcePath}`, { code: "ERR_INVALID_SOURCE" });
+        }
+        const fileName = path.basename(absoluteSourcePath);
+        if (isFileTypeDisallowed(absoluteSourcePath)) {
+            return buildUploadPlan({ ...planOptions, files: [], singleFile: true,
+                skipped: [{ localPath: absoluteSourcePath, relativePath: fileName, type: "file", reason: "disallowed_type" }] });
+        }
+        return buildUploadPlan({ ...planOptions, singleFile: true,
+            files: [{ localPath: absoluteSourcePath, relativePath: fileName, size: stats.size }] });
+    }
+
+    /**
+     * Returns the configuration this uploader uses and where each value came from.
+     * Precedence, lowest first: defaults, config.json, the selected profile,
+     * CUE_UPLOAD_* environment variables, constructor options. Throws
+     * ConfigurationError if it is invalid.
+     * @returns {Promise<object>} { config, sources, profile }, with `sources[key]` like
+     *   { source: "env", name: "CUE_UPLOAD_FILE_CONCURRENCY" } or { source: "profile", profile, path }.
+     */
+    async getEffectiveConfig() {
+        await this._loadConfig();
+        return { config: structuredClone(this.config), sources: structuredClone(this.configSources), profile: this.profile };
+    }
+
+    /**
+     * Changes the limit on this uploader's S3 transfers outside bandwidth_schedule
+     * windows, in bytes per second (null for unlimited). Transfers waiting on the
+     * limit pick up the change at once; transfers that started while no limit was
+     * configured at all finish unthrottled.
+     */
+    setMaxBandwidth(bytesPerSecond) {
+        this.bandwidthLimiter.setMaxBandwidth(bytesPerSecond);
+        this._maxBandwidthSet = true;
+    }
+
+    _getSyncCachePath() {
+        return getSyncCachePath(getConfigDir(this.globalArgs.configPathOverride));
+    }
+
+    // Every save writes the whole cache, so concurrent uploads (such as uploadBatch jobs) must share one copy;
+    // separate copies would each overwrite the records the others saved.
+    _getSyncCache() {
+        if (!this._syncCache) {
+            this._syncCache = SyncCache.load(this._getSyncCachePath());
+            this._syncCache.catch(() => { this._syncCache = null; }); // Try again on the next call
+        }
+        return this._syncCache;
+    }
+
+    /**
+     * Forgets sync-mode records so the next sync upload sends files again.
+     * @param {string} [sourcePath] - Only forget files at or under this path; omit to clear the whole cache.
+     */
+    async clearSyncCache(sourcePath) {
+        const syncCache = await this._getSyncCache();
+        syncCache.invalidate(sourcePath ? path.resolve(sourcePath) : undefined);
+        await syncCache.save();
+    }
+
+    // Add methods for 'configure', 'ignore' if this library needs to manage them directly
     // For now, 'configure' is mostly about setting the api_token in the config file.
-    async setConfigValue(key, value) {
+    // Writes into this uploader's profile option unless another profile (or null for the top level) is given.
+    async setConfigValue(key, value, { profile = this.options.profile || null } = {}) {
         // Ensures config dir/file exists if it's the first time anything is called.
-        await ensureBaseConfigExists(this.globalArgs.configPathOverride); 
-        return saveConfigValue(key, value, this.globalArgs.configPathOverride);
+        await ensureBaseConfigExists(this.globalArgs.configPathOverride, this.logger); 
+        return saveConfigValue(key, value, this.globalArgs.configPathOverride, this.logger, { profile });
     }
 }
 
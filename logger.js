@@ -0,0 +1,64 @@
+const LOG_PREFIX = "[CUE Upload Lib]";
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40, SILENT: 100 };
+const CONSOLE_METHODS = { debug: 'debug', info: 'info', warn: 'warn', error: 'error' };
+
+/**
+ * Picks the effective level: quietMode wins, then verboseLevel > 0 forces DEBUG,
+ * otherwise the configured log_level (default INFO).
+ */
+export function resolveLogLevel({ logLevel = "INFO", verboseLevel = 0, quietMode = false } = {}) {
+    if (quietMode) return "ERROR";
+    if (verboseLevel > 0) return "DEBUG";
+    const level = String(logLevel).toUpperCase();
+    return level in LEVELS ? level : "INFO";
+}
+
+function formatFields(fields) {
+    const parts = [];
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) continue;
+        parts.push(`${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    }
+    return parts.length ? ` (${parts.join(' ')})` : '';
+}
+
+/**
+ * Console logger used when no `logger` option is given. Each method takes
+ * `(message, fields)`; fields are appended as key=value pairs.
+ */
+export function createDefaultLogger({ level = "INFO", baseFields = {} } = {}) {
+    const threshold = LEVELS[String(level).toUpperCase()] ?? LEVELS.INFO;
+    const logger = { level: String(level).toUpperCase() };
+    for (const method of Object.keys(CONSOLE_METHODS)) {
+        logger[method] = (message, fields = {}) => {
+            if (LEVELS[method.toUpperCase()] < threshold) return;
+            console[CONSOLE_METHODS[method]](`${LOG_PREFIX} ${method.toUpperCase()}: ${message}${formatFields({ ...baseFields, ...fields })}`);
+        };
+    }
+    logger.child = (fields) => createDefaultLogger({ level, baseFields: { ...baseFields, ...fields } });
+    return logger;
+}
+
+/**
+ * Returns a logger that adds `fields` to every entry. Uses the logger's own
+ * `child()` when it has one, which must return a logger with the same
+ * `(message, fields)` methods; otherwise wraps it.
+ */
+export function bindLogger(logger, fields) {
+    if (typeof logger.child === 'function') return logger.child(fields);
+    const bound = {};
+    for (const method of Object.keys(CONSOLE_METHODS)) {
+        bound[method] = (message, extra = {}) => logger[method]?.(message, { ...fields, ...extra });
+    }
+    bound.child = (more) => bindLogger(logger, { ...fields, ...more });
+    return bound;
+}
+
+// Progress notification types map onto log levels; "success" is an info-level event.
+export function logProgress(logger, type, message, fields) {
+    const method = type === "success" ? "info" : (CONSOLE_METHODS[type] ? type : "info");
+    logger[method](message, fields);
+}
+
+/** Fallback for module functions called without an injected logger. */
+export const defaultLogger = createDefaultLogger();
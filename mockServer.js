@@ -0,0 +1,560 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import { createChecksum, calculateChecksum, getS3ChecksumHeaders, isChecksumAlgorithm, DEFAULT_CHECKSUM } from './utils.js';
+import { computeMultipartEtag } from './uploadVerifier.js';
+
+const API_PREFIX = "/v1/";
+const S3_PREFIX = "/s3/";
+const DEFAULT_URL_EXPIRY_MS = 60 * 60 * 1000;
+const S3_MIN_PART_SIZE = 5 * 1024 * 1024;
+const S3_MAX_PARTS = 10000;
+
+// Checksum headers (and POST form fields) S3 checks a body against, with the algorithm each carries in base64.
+const S3_CHECKSUM_HEADERS = {
+    "x-amz-checksum-sha256": "sha256", "x-amz-checksum-sha1": "sha1", "x-amz-checksum-crc32": "crc32",
+    "x-amz-checksum-crc32c": "crc32c", "content-md5": "md5"
+};
+
+const API_ROUTES = {
+    "upload/upload_url": "_getUploadUrl",
+    "upload/confirm_single": "_confirmSingle",
+    "upload/object_info": "_getObjectInfo",
+    "multipart/start": "_startMultipart",
+    "multipart/get_part_url": "_getPartUrl",
+    "multipart/complete": "_completeMultipart",
+    "multipart/abort": "_abortMultipart"
+};
+
+// Handlers reject a request by throwing one of these; it becomes a JSON (backend) or XML (S3) error response.
+class MockRequestError extends Error {
+    constructor(statusCode, message, s3Code = null) {
+        super(message);
+        this.statusCode = statusCode;
+        this.s3Code = s3Code;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+async function readJson(req) {
+    const body = await readBody(req);
+    if (body.length === 0) return {};
+    try { return JSON.parse(body.toString('utf-8')); }
+    catch { throw new MockRequestError(400, "Request body is not valid JSON."); }
+}
+
+function requireFields(payload, fields) {
+    const missing = fields.filter(field => payload[field] === undefined || payload[field] === null || payload[field] === '');
+    if (missing.length > 0) throw new MockRequestError(400, `Missing required field(s): ${missing.join(', ')}.`);
+}
+
+function getPayloadChecksumSpec(payload) {
+    const spec = {
+        algorithm: payload.checksum_algorithm || DEFAULT_CHECKSUM.algorithm,
+        encoding: payload.checksum_encoding || DEFAULT_CHECKSUM.encoding
+    };
+    if (!isChecksumAlgorithm(spec.algorithm)) throw new MockRequestError(400, `Unsupported checksum_algorithm '${spec.algorithm}'.`);
+    return spec;
+}
+
+// confirm_single and multipart/complete refuse a checksum that does not match the stored object.
+function assertPayloadChecksum(payload, description) {
+    if (payload.checksum !== undefined && payload.checksum !== null && payload.checksum !== description.checksum) {
+        throw new MockRequestError(400, `checksum ${payload.checksum} does not match the stored object (${description.checksum}).`);
+    }
+}
+
+// collection/collection_path/file_name, as the real backend lays keys out; ".." never leaves the store.
+function buildS3Key(collection, collectionPath, fileName) {
+    const segments = [collection, ...(collectionPath || '').split('/'), fileName].filter(Boolean);
+    if (segments.some(segment => segment === '..' || segment === '.')) throw new MockRequestError(400, "Invalid path segment in key.");
+    return segments.join('/');
+}
+
+function getChecksumHeaders(headers) {
+    return Object.entries(S3_CHECKSUM_HEADERS)
+        .filter(([header]) => headers[header] !== undefined)
+        .map(([header, algorithm]) => ({ header, algorithm, expected: String(headers[header]) }));
+}
+
+/**
+ * In-process stand-in for the CUE backend and the S3 presigned URLs it hands out,
+ * for offline and integration testing. Implements `upload/upload_url`,
+ * `upload/confirm_single`, `upload/object_info` and `multipart/start`,
+ * `get_part_url`, `complete` and `abort` under `/v1/`, and serves the presigned
+ * PUT/POST targets itself under `/s3/`. Objects are written to `storageDir`
+ * (a temporary directory by default, removed by `stop()`).
+ *
+ * Like S3, uploads are rejected with BadDigest when a body does not match its
+ * `x-amz-checksum-*` or `Content-MD5` header, parts are checked against their
+ * ETag and checksum on complete, and ETags are the MD5 (single) or composite
+ * MD5 (multipart). Faults can be injected per route with `injectFault()`.
+ *
+ * Options: `token` (a string or `(token) => boolean`; requests with another
+ * bearer token get 401; any token is accepted by default), `singleUploadMethod`
+ * ("PUT" or "POST"), `urlExpiresInMs` and `minPartSize`.
+ */
+export class MockCUEServer {
+    constructor({
+        storageDir = null, token = null, singleUploadMethod = "PUT",
+        urlExpiresInMs = DEFAULT_URL_EXPIRY_MS, minPartSize = S3_MIN_PART_SIZE
+    } = {}) {
+        this.storageDir = storageDir;
+        this._ownsStorageDir = !storageDir;
+        this.token = token;
+        this.singleUploadMethod = singleUploadMethod;
+        this.urlExpiresInMs = urlExpiresInMs;
+        this.minPartSize = minPartSize;
+        /** Every request received: `{ route, method, path, s3Key, partNumber, status }`. */
+        this.requests = [];
+        this.faults = [];
+        this._objects = new Map();
+        this._pendingSingleUploads = new Map();
+        this._multipartUploads = new Map();
+        this._presignedUrls = new Map();
+        this._server = null;
+        this.host = null;
+        this.port = null;
+    }
+
+    /** Root URL of the server, e.g. http://127.0.0.1:51234/ */
+    get baseUrl() {
+        return `http://${this.host}:${this.port}/`;
+    }
+
+    /** Backend base URL to use as an environment, e.g. `environments.local`. */
+    get apiUrl() {
+        return `${this.baseUrl}${API_PREFIX.slice(1)}`;
+    }
+
+    /** Listens on `port` (0 picks a free one). Resolves to the server itself. */
+    async start({ port = 0, host = "127.0.0.1" } = {}) {
+        if (!this.storageDir) this.storageDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "cue-mock-"));
+        this._server = http.createServer((req, res) => {
+            this._handleRequest(req, res).catch((error) => this._sendError(res, null, error));
+        });
+        await new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, host, () => { this._server.off('error', reject); resolve(); });
+        });
+        this.host = host;
+        this.port = this._server.address().port;
+        return this;
+    }
+
+    /** Closes the server and open connections; removes the storage directory if the server created it. */
+    async stop() {
+        if (!this._server) return;
+        const server = this._server;
+        this._server = null;
+        server.closeAllConnections?.();
+        await new Promise(resolve => server.close(() => resolve()));
+        if (this._ownsStorageDir) {
+            await fsPromises.rm(this.storageDir, { recursive: true, force: true });
+            this.storageDir = null;
+        }
+    }
+
+    /**
+     * Makes the next matching request(s) misbehave. `route` is an API endpoint
+     * ("multipart/complete", ...), "s3:put", "s3:part", "s3:post" or "*".
+     * `type` is one of:
+     * - "latency": wait `delayMs`, then handle the request normally.
+     * - "error": respond with `statusCode` (default 503) and optional `headers`.
+     * - "drop": destroy the connection without a response.
+     * - "expire": respond like S3 to an expired presigned URL (403).
+     * The fault applies to `times` requests (default 1; Infinity for all) for
+     * which `when(request)` is true, if given. Returns the fault; its `hits`
+     * counts the requests it applied to.
+     */
+    injectFault({ route = "*", type, statusCode = 503, headers = {}, delayMs = 0, times = 1, when = null }) {
+        if (!["latency", "error", "drop", "expire"].includes(type)) throw new TypeError(`Unknown fault type '${type}'.`);
+        const fault = { route, type, statusCode, headers, delayMs, remaining: times, when, hits: 0 };
+        this.faults.push(fault);
+        return fault;
+    }
+
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /** Stored object metadata ({ s3Key, size, etag, contentType, path }), or null. */
+    getObject(s3Key) {
+        const object = this._objects.get(s3Key);
+        return object ? { ...object } : null;
+    }
+
+    /** Content of a stored object. */
+    readObject(s3Key) {
+        const object = this._objects.get(s3Key);
+        if (!object) throw new Error(`No object stored under ${s3Key}.`);
+        return fsPromises.readFile(object.path);
+    }
+
+    listObjects() {
+        return [...this._objects.keys()];
+    }
+
+    /** upload_ids of multipart uploads that were started but neither completed nor aborted. */
+    listMultipartUploads() {
+        return [...this._multipartUploads.keys()];
+    }
+
+    _objectPath(s3Key) {
+        return path.join(this.storageDir, "objects", ...s3Key.split('/'));
+    }
+
+    _partPath(uploadId, partNumber) {
+        return path.join(this.storageDir, "multipart", uploadId, String(partNumber));
+    }
+
+    _getS3Url(s3Key = '') {
+        return `${this.baseUrl}${S3_PREFIX.slice(1)}${s3Key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    // Registers a presigned target and returns its signature; PUT URLs carry it in the query, POST uploads as a form field.
+    _presign(route, target) {
+        const signature = crypto.randomBytes(16).toString('hex');
+        this._presignedUrls.set(signature, { route, ...target, expiresAt: Date.now() + this.urlExpiresInMs });
+        return signature;
+    }
+
+    _presignPut(route, target) {
+        const query = new URLSearchParams({ "X-Amz-Expires": String(Math.round(this.urlExpiresInMs / 1000)), "X-Amz-Signature": this._presign(route, target) });
+        if (target.partNumber) { query.set("partNumber", String(target.partNumber)); query.set("uploadId", target.uploadId); }
+        return `${this._getS3Url(target.s3Key)}?${query}`;
+    }
+
+    _getRoute(method, pathname, searchParams) {
+        if (pathname.startsWith(API_PREFIX)) {
+            const endpoint = pathname.slice(API_PREFIX.length);
+            return method === "POST" && API_ROUTES[endpoint] ? endpoint : null;
+        }
+        if (pathname.startsWith(S3_PREFIX)) {
+            if (method === "PUT") return searchParams.has("partNumber") ? "s3:part" : "s3:put";
+            if (method === "POST") return "s3:post";
+        }
+        return null;
+    }
+
+    _takeFault(request) {
+        const fault = this.faults.find(f => f.remaining > 0 && (f.route === "*" || f.route === request.route) && (!f.when || f.when(request)));
+        if (!fault) return null;
+        fault.remaining--;
+        fault.hits++;
+        return fault;
+    }
+
+    async _handleRequest(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        const route = this._getRoute(req.method, url.pathname, url.searchParams);
+        const request = {
+            route, method: req.method, path: url.pathname,
+            s3Key: route?.startsWith("s3:") ? decodeURIComponent(url.pathname.slice(S3_PREFIX.length)) : undefined,
+            partNumber: url.searchParams.has("partNumber") ? Number(url.searchParams.get("partNumber")) : undefined,
+            status: null
+        };
+        this.requests.push(request);
+        res.on('finish', () => { request.status = res.statusCode; });
+
+        const fault = this._takeFault(request);
+        if (fault?.type === "latency") await sleep(fault.delayMs);
+        else if (fault?.type === "drop") { req.socket.destroy(); return; }
+        else if (fault) {
+            // Read the body first so the client sees the response rather than a reset connection.
+            await readBody(req);
+            const error = fault.type === "expire"
+                ? new MockRequestError(403, "Request has expired", "AccessDenied")
+                : new MockRequestError(fault.statusCode, `Injected fault (${fault.statusCode}).`, "ServiceUnavailable");
+            this._sendError(res, route, error, fault.headers);
+            return;
+        }
+
+        if (!route) throw new MockRequestError(404, `No mock route for ${req.method} ${url.pathname}.`);
+        try {
+            if (route === "s3:post") return await this._handleS3Post(req, res);
+            if (route.startsWith("s3:")) return await this._handleS3Put(route, req, res, url);
+            if (!this._isAuthorized(req)) {
+                await readBody(req);
+                throw new MockRequestError(401, "Invalid or missing API token.");
+            }
+            const payload = await readJson(req);
+            const [statusCode, body] = await this[API_ROUTES[route]](payload);
+            this._sendJson(res, statusCode, body);
+        } catch (error) {
+            this._sendError(res, route, error);
+        }
+    }
+
+    _isAuthorized(req) {
+        if (!this.token) return true;
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (!match) return false;
+        return typeof this.token === 'function' ? Boolean(this.token(match[1])) : match[1] === this.token;
+    }
+
+    _sendJson(res, statusCode, body, headers = {}) {
+        if (res.headersSent || res.destroyed) return;
+        if (statusCode === 204 || body === undefined) {
+            res.writeHead(statusCode, headers).end();
+            return;
+        }
+        res.writeHead(statusCode, { "Content-Type": "application/json", ...headers }).end(JSON.stringify(body));
+    }
+
+    _sendError(res, route, error, headers = {}) {
+        if (res.headersSent || res.destroyed) return;
+        const statusCode = error instanceof MockRequestError ? error.statusCode : 500;
+        if (route?.startsWith("s3:")) {
+            const code = error.s3Code || (statusCode >= 500 ? "InternalError" : "InvalidRequest");
+            res.writeHead(statusCode, { "Content-Type": "application/xml", ...headers })
+                .end(`<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${error.message}</Message></Error>`);
+            return;
+        }
+        this._sendJson(res, statusCode, { detail: error.message }, headers);
+    }
+
+    _getPresignedTarget(route, signature) {
+        const target = this._presignedUrls.get(signature);
+        if (!target || target.route !== route) throw new MockRequestError(403, "The request signature we calculated does not match the signature you provided.", "SignatureDoesNotMatch");
+        if (Date.now() > target.expiresAt) throw new MockRequestError(403, "Request has expired", "AccessDenied");
+        return target;
+    }
+
+    // Streams the body to filePath while hashing it; rejects it (and removes the file) if a checksum header does not match.
+    async _receiveObject(body, filePath, checksumHeaders) {
+        const md5 = crypto.createHash('md5');
+        const hashes = checksumHeaders.map(({ algorithm }) => createChecksum({ algorithm, encoding: "base64" }));
+        let size = 0;
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await pipeline(body, async function* (source) {
+            for await (const chunk of source) {
+                size += chunk.length;
+                md5.update(chunk);
+                for (const hash of hashes) hash.update(chunk);
+                yield chunk;
+            }
+        }, fs.createWriteStream(tempPath));
+
+        const checksums = {};
+        for (const [i, { header, algorithm, expected }] of checksumHeaders.entries()) {
+            const actual = hashes[i].digest();
+            if (actual !== expected) {
+                await fsPromises.rm(tempPath, { force: true });
+                throw new MockRequestError(400, `The ${header} you specified did not match the calculated checksum.`, "BadDigest");
+            }
+            checksums[algorithm] = actual;
+        }
+        await fsPromises.rename(tempPath, filePath);
+        const digest = md5.digest();
+        return { size, md5: digest, etag: digest.toString('hex'), checksums };
+    }
+
+    async _handleS3Put(route, req, res, url) {
+        let target;
+        try {
+            target = this._getPresignedTarget(route, url.searchParams.get("X-Amz-Signature"));
+        } catch (error) {
+            await readBody(req);
+            throw error;
+        }
+        const checksumHeaders = getChecksumHeaders(req.headers);
+        let received;
+        if (route === "s3:part") {
+            const upload = this._multipartUploads.get(target.uploadId);
+            if (!upload) {
+                await readBody(req);
+                throw new MockRequestError(404, "The specified upload does not exist.", "NoSuchUpload");
+            }
+            received = await this._receiveObject(req, this._partPath(target.uploadId, target.partNumber), checksumHeaders);
+            upload.parts.set(target.partNumber, received);
+        } else {
+            received = await this._receiveObject(req, this._objectPath(target.s3Key), checksumHeaders);
+            this._storeObject(target.s3Key, received, req.headers["content-type"]);
+        }
+        this._sendJson(res, 200, undefined, { ETag: `"${received.etag}"` });
+    }
+
+    async _handleS3Post(req, res) {
+        const body = await readBody(req);
+        let form;
+        try {
+            form = await new Response(body, { headers: { "content-type": req.headers["content-type"] || '' } }).formData();
+        } catch {
+            throw new MockRequestError(400, "POST body is not multipart/form-data.", "MalformedPOSTRequest");
+        }
+        // Form field names are case-insensitive, like headers.
+        const fields = Object.fromEntries([...form.entries()].filter(([, value]) => typeof value === 'string').map(([name, value]) => [name.toLowerCase(), value]));
+        const target = this._getPresignedTarget("s3:post", fields["x-amz-signature"]);
+        const file = form.get("file");
+        if (!file || typeof file === 'string') throw new MockRequestError(400, "POST requires exactly one file upload per request.", "InvalidArgument");
+        if (fields.key !== target.s3Key) throw new MockRequestError(403, "Invalid according to Policy: key does not match.", "AccessDenied");
+
+        const data = Buffer.from(await file.arrayBuffer());
+        const received = await this._receiveObject([data], this._objectPath(target.s3Key), getChecksumHeaders(fields));
+        this._storeObject(target.s3Key, received, fields["content-type"] || file.type);
+        this._sendJson(res, 204, undefined, { ETag: `"${received.etag}"` });
+    }
+
+    _storeObject(s3Key, { size, etag }, contentType) {
+        const pending = this._pendingSingleUploads.get(s3Key);
+        this._objects.set(s3Key, {
+            s3Key, size, etag, contentType: contentType || null, path: this._objectPath(s3Key),
+            checksumSpec: pending?.checksumSpec || DEFAULT_CHECKSUM
+        });
+    }
+
+    async _describeObject(object, checksumSpec = object.checksumSpec) {
+        return {
+            s3_key: object.s3Key, size: object.size, etag: object.etag,
+            checksum: await calculateChecksum(object.path, checksumSpec),
+            checksum_algorithm: checksumSpec.algorithm, checksum_encoding: checksumSpec.encoding
+        };
+    }
+
+    async _getUploadUrl(payload) {
+        requireFields(payload, ["file_name", "collection", "size", "checksum"]);
+        const checksumSpec = getPayloadChecksumSpec(payload);
+        const s3Key = buildS3Key(payload.collection, payload.collection_path, payload.file_name);
+        this._pendingSingleUploads.set(s3Key, { checksumSpec });
+        if (this.singleUploadMethod === "POST") {
+            const fields = {
+                key: s3Key, "Content-Type": payload.file_type || "application/octet-stream",
+                "x-amz-signature": this._presign("s3:post", { s3Key }),
+                ...getS3ChecksumHeaders(payload.checksum, checksumSpec)
+            };
+            return [200, { url: this._getS3Url(), fields, s3_key: s3Key }];
+        }
+        return [200, { url: this._presignPut("s3:put", { s3Key }), s3_key: s3Key }];
+    }
+
+    async _confirmSingle(payload) {
+        requireFields(payload, ["s3_key", "collection"]);
+        const object = this._objects.get(payload.s3_key);
+        if (!object) throw new MockRequestError(400, `No object was uploaded for ${payload.s3_key}.`);
+        if (payload.size_bytes !== undefined && payload.size_bytes !== object.size) {
+            throw new MockRequestError(400, `size_bytes ${payload.size_bytes} does not match the stored object (${object.size} bytes).`);
+        }
+        const description = await this._describeObject(object, getPayloadChecksumSpec(payload));
+        assertPayloadChecksum(payload, description);
+        object.checksumSpec = getPayloadChecksumSpec(payload);
+        this._pendingSingleUploads.delete(payload.s3_key);
+        return [200, description];
+    }
+
+    async _getObjectInfo(payload) {
+        requireFields(payload, ["s3_key"]);
+        const object = this._objects.get(payload.s3_key);
+        if (!object) throw new MockRequestError(404, `No object stored under ${payload.s3_key}.`);
+        return [200, await this._describeObject(object)];
+    }
+
+    async _startMultipart(payload) {
+        requireFields(payload, ["file_name", "collection"]);
+        const checksumSpec = getPayloadChecksumSpec(payload);
+        const s3Key = buildS3Key(payload.collection, payload.upload_target, payload.file_name);
+        const uploadId = crypto.randomUUID();
+        this._multipartUploads.set(uploadId, { uploadId, s3Key, checksumSpec, contentType: payload.content_type || null, parts: new Map() });
+        return [200, { upload_id: uploadId, s3_key: s3Key }];
+    }
+
+    _getUpload(uploadId) {
+        const upload = this._multipartUploads.get(uploadId);
+        if (!upload) throw new MockRequestError(404, `No open multipart upload ${uploadId}.`);
+        return upload;
+    }
+
+    async _getPartUrl(payload) {
+        requireFields(payload, ["upload_id", "part_number"]);
+        const upload = this._getUpload(payload.upload_id);
+        const partNumber = payload.part_number;
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > S3_MAX_PARTS) {
+            throw new MockRequestError(400, `part_number must be an integer between 1 and ${S3_MAX_PARTS}.`);
+        }
+        return [200, { presigned_url: this._presignPut("s3:part", { s3Key: upload.s3Key, uploadId: upload.uploadId, partNumber }) }];
+    }
+
+    async _completeMultipart(payload) {
+        requireFields(payload, ["upload_id", "parts"]);
+        const upload = this._getUpload(payload.upload_id);
+        const parts = payload.parts;
+        if (!Array.isArray(parts) || parts.length === 0) throw new MockRequestError(400, "parts must be a non-empty list.");
+
+        const received = [];
+        for (const [i, part] of parts.entries()) {
+            if (i > 0 && part.PartNumber <= parts[i - 1].PartNumber) throw new MockRequestError(400, "The list of parts was not in ascending order.");
+            const stored = upload.parts.get(part.PartNumber);
+            if (!stored || String(part.ETag).replace(/"/g, '') !== stored.etag) {
+                throw new MockRequestError(400, `Part ${part.PartNumber} was not uploaded or its ETag does not match.`);
+            }
+            for (const [field, value] of Object.entries(part)) {
+                if (!field.startsWith("Checksum")) continue;
+                const algorithm = field.slice("Checksum".length).toLowerCase();
+                if (stored.checksums[algorithm] !== undefined && stored.checksums[algorithm] !== value) {
+                    throw new MockRequestError(400, `${field} of part ${part.PartNumber} does not match the uploaded part.`);
+                }
+            }
+            if (i < parts.length - 1 && stored.size < this.minPartSize) {
+                throw new MockRequestError(400, `Part ${part.PartNumber} is smaller than the minimum allowed size (${this.minPartSize} bytes).`);
+            }
+            received.push({ partNumber: part.PartNumber, ...stored });
+        }
+
+        const objectPath = this._objectPath(upload.s3Key);
+        await fsPromises.mkdir(path.dirname(objectPath), { recursive: true });
+        const out = fs.createWriteStream(objectPath);
+        for (const part of received) {
+            for await (const chunk of fs.createReadStream(this._partPath(upload.uploadId, part.partNumber))) {
+                if (!out.write(chunk)) await once(out, 'drain');
+            }
+        }
+        await new Promise((resolve, reject) => out.end((error) => error ? reject(error) : resolve()));
+
+        const size = received.reduce((sum, part) => sum + part.size, 0);
+        if (payload.final_file_size !== undefined && payload.final_file_size !== size) {
+            await fsPromises.rm(objectPath, { force: true });
+            throw new MockRequestError(400, `final_file_size ${payload.final_file_size} does not match the uploaded parts (${size} bytes).`);
+        }
+        const object = {
+            s3Key: upload.s3Key, size, etag: computeMultipartEtag(received.map(part => part.md5)),
+            contentType: upload.contentType, path: objectPath, checksumSpec: upload.checksumSpec
+        };
+        const description = await this._describeObject(object);
+        try {
+            assertPayloadChecksum(payload, description);
+        } catch (error) {
+            await fsPromises.rm(objectPath, { force: true });
+            throw error;
+        }
+        this._objects.set(upload.s3Key, object);
+        await this._discardUpload(upload.uploadId);
+        return [200, { Location: this._getS3Url(upload.s3Key), ...description }];
+    }
+
+    async _abortMultipart(payload) {
+        requireFields(payload, ["upload_id"]);
+        this._getUpload(payload.upload_id);
+        await this._discardUpload(payload.upload_id);
+        return [204, undefined];
+    }
+
+    async _discardUpload(uploadId) {
+        this._multipartUploads.delete(uploadId);
+        await fsPromises.rm(path.join(this.storageDir, "multipart", uploadId), { recursive: true, force: true });
+    }
+}
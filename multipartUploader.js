@@ -1,70 +1,158 @@
-import { calculateSHA256Checksum, calculateSHA256ChecksumForBytes, getMimeType, formatBytes, isFileTypeDisallowed } from './utils.js';
-import fsPromises from 'fs/promises'; // For UploadPartTaskJS
-import path from 'path'; // For path.basename
+import {
+    calculateChecksumForBytes, createChecksum, getChecksumSpec, getS3ChecksumHeaders, buildCompletedPart,
+    getMimeType, formatBytes, isFileTypeDisallowed, runWithConcurrency
+} from './utils.js';
+import {
+    CUEUploadError, UploadAbortedError, DisallowedFileTypeError, ConfigurationError, ApiServerError,
+    S3TransferError, MultipartUploadError, isAbortError, throwIfAborted
+} from './errors.js';
+import { defaultLogger, bindLogger, logProgress } from './logger.js';
+import fsPromises from 'fs/promises';
+import path from 'path'; // For path.extname
+import { UploadJournal } from './uploadJournal.js';
+import { toUploadSource } from './uploadSource.js';
+import { md5, computeMultipartEtag, assertReportedChecksum, verifyUpload } from './uploadVerifier.js';
+import { scheduleTransfer, reserveTransfer } from './transferScheduler.js';
 
 const S3_MAX_PARTS_JS_MPU = 10000; // Renamed to avoid conflict
+const MiB = 1024 * 1024;
+const S3_MIN_PART_SIZE = 5 * MiB;
+const S3_MAX_PART_SIZE = 5 * 1024 * MiB;
+
+/** Whether a file of this size goes through multipart upload rather than a single request. */
+export function isMultipartSize(fileSize, config) {
+    return fileSize > config.multipart_threshold_gb * (1024 ** 3);
+}
+
+/**
+ * Part size for a multipart upload of fileSize bytes (null when unknown, as for
+ * streams without a size), with the resulting part count (null when unknown).
+ *
+ * A numeric multipart_chunk_size_mb is used as-is. With "auto", parts are as
+ * large as needed to stay within S3's 10,000 parts, and otherwise small enough
+ * that part_concurrency of them fit in multipart_memory_budget_mb and that a file
+ * just over the threshold still spreads over every worker. Auto sizes are whole
+ * MiB between S3's 5 MiB minimum and 5 GiB maximum.
+ */
+export function getPartSizing(fileSize, config) {
+    const auto = config.multipart_chunk_size_mb === "auto";
+    let partSize;
+    if (!auto) {
+        partSize = Math.max(S3_MIN_PART_SIZE, Math.floor(config.multipart_chunk_size_mb * MiB));
+    } else {
+        const budgetPerPart = Math.floor(config.multipart_memory_budget_mb * MiB / config.part_concurrency);
+        let preferred = budgetPerPart;
+        if (fileSize !== null) {
+            const perWorker = Math.ceil(fileSize / config.part_concurrency);
+            preferred = Math.max(Math.ceil(fileSize / S3_MAX_PARTS_JS_MPU), Math.min(perWorker, budgetPerPart));
+        }
+        const wholeMiB = Math.ceil(preferred / MiB) * MiB;
+        partSize = Math.min(S3_MAX_PART_SIZE, Math.max(S3_MIN_PART_SIZE, wholeMiB));
+    }
+    const partCount = fileSize === null ? null : Math.ceil(fileSize / partSize);
+    return { partSize, partCount, strategy: auto ? "auto" : "fixed" };
+}
+
+/** Throws when a multipart upload of fileSize bytes would need more parts than S3 allows. */
+function assertWithinPartLimit(fileName, fileSize, { partSize, partCount, strategy }) {
+    if (partCount <= S3_MAX_PARTS_JS_MPU) return;
+    const hint = strategy === "fixed"
+        ? ` Set multipart_chunk_size_mb to "auto" or at least ${Math.ceil(fileSize / S3_MAX_PARTS_JS_MPU / MiB)}.`
+        : '';
+    throw new ConfigurationError(`${fileName} (${formatBytes(fileSize)}) needs ${partCount} parts of ${formatBytes(partSize)}, more than S3's limit of ${S3_MAX_PARTS_JS_MPU}.${hint}`);
+}
+
+/** Progress message announcing the part size; a warning when it exceeds multipart_memory_budget_mb (auto sizing, to stay within the part limit). */
+function describePartSizing({ partSize, partCount, strategy }, partConcurrency, config) {
+    const count = partCount === null ? "parts" : `${partCount} part(s)`;
+    const buffered = Math.min(partConcurrency, partCount ?? partConcurrency) * partSize;
+    const source = { auto: "auto-sized", fixed: "multipart_chunk_size_mb", journal: "as journaled" }[strategy];
+    let message = `Using ${count} of ${formatBytes(partSize)} (${source}; up to ${formatBytes(buffered)} buffered).`;
+    const overBudget = strategy === "auto" && buffered > config.multipart_memory_budget_mb * MiB;
+    if (overBudget) message += ` This exceeds multipart_memory_budget_mb (${config.multipart_memory_budget_mb}).`;
+    return { message, type: overBudget ? "warn" : "info" };
+}
 
 class UploadPartTaskJS_MPU { // Renamed to avoid conflict
-    constructor(partNumber, offset, size, filePath) {
-        this.partNumber = partNumber; this.offset = offset; this.size = size; this.filePath = filePath;
-        this.data = null; this.checksumSHA256 = null; this.etag = null; this.error = null; this.retries = 0;
+    // withMd5: also keep the part's MD5, from which the object's ETag is verified.
+    constructor(partNumber, offset, size, source, checksumSpec, withMd5 = false) {
+        this.partNumber = partNumber; this.offset = offset; this.size = size; this.source = source;
+        this.checksumSpec = checksumSpec; this.withMd5 = withMd5;
+        this.data = null; this.checksum = null; this.md5 = null; this.etag = null; this.error = null; this.retries = 0;
     }
     async readAndChecksum() {
         try {
-            const fileHandle = await fsPromises.open(this.filePath, 'r');
-            const buffer = Buffer.alloc(this.size);
-            const { bytesRead } = await fileHandle.read(buffer, 0, this.size, this.offset);
-            await fileHandle.close();
-            if (bytesRead !== this.size) throw new Error(`Read incorrect data size for part ${this.partNumber}`);
-            this.data = buffer.subarray(0, bytesRead);
-            this.checksumSHA256 = calculateSHA256ChecksumForBytes(this.data);
+            const data = await this.source.read(this.offset, this.size);
+            if (data.length !== this.size) throw new Error(`Read incorrect data size for part ${this.partNumber}`);
+            this.data = data;
+            this.checksum = calculateChecksumForBytes(this.data, this.checksumSpec);
+            if (this.withMd5) this.md5 = md5(this.data);
         } catch (e) {
-            this.error = new Error(`Error reading/checksumming part ${this.partNumber}: ${e.message}`);
-            console.error(`[CUE Upload Lib] ${this.error.message}`); throw this.error;
+            this.error = new CUEUploadError(`Error reading/checksumming part ${this.partNumber}: ${e.message}`, { code: "ERR_FILE_READ", cause: e });
+            throw this.error;
         }
     }
 }
 
 async function _uploadSinglePartWithRetryJS_MPU( // Renamed
     partTask, apiClient, config, s3UploadId, backendS3Key,
-    collection, originalFileMimeType, onPartProgress
+    collection, originalFileMimeType, onPartProgress, signal, logger = defaultLogger, fileProgress = null,
+    { scheduler = null, fileSize = 0, group = null } = {}
 ) {
-    if (!partTask.data || !partTask.checksumSHA256) await partTask.readAndChecksum();
-    if (partTask.error) throw partTask.error;
+    // The part is read inside its scheduler slot, so its buffer counts against the transfer memory budget.
+    return scheduleTransfer(scheduler, async () => {
+        const log = bindLogger(logger, { part_number: partTask.partNumber });
+        if (!partTask.data || !partTask.checksum) await partTask.readAndChecksum();
+        const { algorithm, encoding } = partTask.checksumSpec;
+        if (partTask.error) throw partTask.error;
 
-    const partDesc = `Part ${String(partTask.partNumber).padStart(4)} (${formatBytes(partTask.size)})`;
+        // Each call below retries transient failures through apiClient.retryPolicy.
+        const requestOptions = {
+            signal,
+            onUploadProgress: fileProgress
+                ? (event) => fileProgress.partProgress(partTask.partNumber, event.loaded, partTask.size, "Uploading")
+                : undefined,
+            onRetry: ({ attempt, error }) => {
+                partTask.retries++;
+                log.debug("Part upload request failed, retrying", { attempt, size: partTask.size, error: error.message.substring(0, 100) });
+                if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, `Retry ${attempt}`);
+            }
+        };
 
-    for (let attempt = 0; attempt <= config.retry_attempts; attempt++) {
-        partTask.retries = attempt;
         try {
-            if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, `Req URL ${attempt + 1}`);
+            if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, "Req URL");
             const getUrlPayload = {
                 upload_id: s3UploadId, part_number: partTask.partNumber, file_name: backendS3Key,
-                collection, checksum: partTask.checksumSHA256, content_type: originalFileMimeType
+                collection, checksum: partTask.checksum, checksum_algorithm: algorithm, checksum_encoding: encoding,
+                content_type: originalFileMimeType
             };
-            const presignedPartInfo = await apiClient.getPresignedUrlForPart(getUrlPayload);
+            const presignedPartInfo = await apiClient.getPresignedUrlForPart(getUrlPayload, requestOptions);
+
+            if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, "Uploading");
+            const s3Response = await apiClient.uploadPartToS3PresignedPut(presignedPartInfo.presigned_url, partTask.data, {
+                ...requestOptions, headers: getS3ChecksumHeaders(partTask.checksum, partTask.checksumSpec)
+            });
 
-            if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, `Uploading ${attempt + 1}`);
-            const s3Response = await apiClient.uploadPartToS3PresignedPut(presignedPartInfo.presigned_url, partTask.data);
-            
             const etag = s3Response.headers.get ? s3Response.headers.get("etag")?.replace(/"/g, "") : s3Response.headers["etag"]?.replace(/"/g, "");
-            if (!etag) throw new Error("ETag not found for part.");
+            if (!etag) throw new S3TransferError("ETag not found for part.", { statusCode: s3Response.status, endpoint: "S3 presigned PUT" });
             partTask.etag = etag;
 
             if (onPartProgress) onPartProgress(partTask.partNumber, partTask.size, partTask.size, "Done");
-            return { PartNumber: partTask.partNumber, ETag: partTask.etag, ChecksumSHA256: partTask.checksumSHA256 };
+            return buildCompletedPart(partTask.partNumber, partTask.etag, partTask.checksum, partTask.checksumSpec);
         } catch (error) {
-            console.warn(`[CUE Upload Lib] ${partDesc} Attempt ${attempt + 1} failed: ${error.message.substring(0,100)}`);
-            if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, `Retry ${attempt + 1}`);
-            if (attempt >= config.retry_attempts) {
-                partTask.error = error;
-                if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, "Failed");
-                return null;
-            }
-            await new Promise(resolve => setTimeout(resolve, (2 ** attempt) * 1000));
+            if (isAbortError(error)) throw error;
+            log.warn("Part upload failed", { retries: partTask.retries, size: partTask.size, error: error.message.substring(0, 100) });
+            partTask.error = error;
+            if (onPartProgress) onPartProgress(partTask.partNumber, 0, partTask.size, "Failed");
+            return null;
         }
-    }
-    return null;
+    }, { bytes: partTask.size, fileSize, group, signal });
+}
+
+async function abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress) {
+    const abortPayload = { upload_id: s3UploadId, s3_key: backendS3Key, file_name: backendS3Key, collection };
+    try { await apiClient.abortMultipartUpload(abortPayload); notifyProgress("MPU aborted with backend."); }
+    catch (abortError) { notifyProgress(`Failed to abort MPU with backend: ${abortError.message}`, "error"); }
 }
 
 export async function handleMultipartUpload(
@@ -72,114 +160,384 @@ export async function handleMultipartUpload(
     apiClient, config, // globalArgs removed
     partConcurrency, options = {}
 ) {
-    const { onProgress, onPartProgress } = options;
-    const baseName = path.basename(filePath);
-    const logPrefix = "[CUE Upload Lib]";
+    const { onProgress, onPartProgress, fileProgress, checksum, resume = false, verify = false, scheduler = null, signal, logger = defaultLogger } = options;
+    // filePath may also be an upload source (e.g. BufferSource); only files on disk are journaled.
+    const source = toUploadSource(filePath, fileSize);
+    const journalDir = source.filePath ? options.journalDir || null : null;
+    const baseName = source.name;
+    let log = bindLogger(logger, { file: baseName, collection });
     const notifyProgress = (message, type = "info", details = {}) => {
         if (onProgress) onProgress({ file: baseName, message, type, ...details, phase: "multipart" });
-        else console.log(`${logPrefix} ${type.toUpperCase()}: ${message}`);
+        logProgress(log, type, message, details);
     };
 
-    notifyProgress(`Preparing multipart upload for: ${baseName} (${formatBytes(fileSize)})`);
-    if (isFileTypeDisallowed(filePath)) throw new Error(`Disallowed file type: ${path.extname(filePath)}`);
+    notifyProgress(`Preparing multipart upload for: ${baseName} (${formatBytes(fileSize)})`, "info", { size: fileSize });
+    if (isFileTypeDisallowed(baseName)) throw new DisallowedFileTypeError(`Disallowed file type: ${path.extname(baseName)}`);
 
-    let chunkSize = config.multipart_chunk_size_mb * 1024 * 1024;
-    if (chunkSize < 5 * 1024 * 1024) chunkSize = 5 * 1024 * 1024;
-    const numParts = Math.ceil(fileSize / chunkSize);
-    if (numParts > S3_MAX_PARTS_JS_MPU) throw new Error(`File requires ${numParts} parts, exceeding S3 limit.`);
+    const mimeType = getMimeType(baseName, log);
+    const fileStats = journalDir ? await fsPromises.stat(source.filePath) : null;
+    let journal = journalDir ? await UploadJournal.load(journalDir, source.filePath, collection, targetSubPath) : null;
 
-    const mimeType = getMimeType(filePath);
-    notifyProgress(`Calculating overall SHA256 for ${baseName}...`);
-    const overallChecksum = await calculateSHA256Checksum(filePath);
-    notifyProgress(`Overall SHA256: ${overallChecksum}`, "debug");
+    if (journal && resume) {
+        if (journal.isStale(fileStats)) {
+            throw new CUEUploadError(`Cannot resume upload of ${baseName}: the local file has changed since the upload journal was written (${journal.journalPath}). Re-run without resume to start a new upload.`, { code: "ERR_RESUME_FILE_CHANGED" });
+        }
+        log = bindLogger(log, { upload_id: journal.uploadId });
+        notifyProgress(`Resuming multipart upload ${journal.uploadId} for ${baseName} (${journal.completedPartCount} part(s) already uploaded).`, "info", { completed_parts: journal.completedPartCount });
+    } else if (journal) {
+        // A previous attempt left an open upload behind; it will never be completed now.
+        notifyProgress(`Discarding previous incomplete upload ${journal.uploadId} for ${baseName}.`, "debug");
+        const staleAbortPayload = { upload_id: journal.uploadId, s3_key: journal.s3Key, file_name: journal.s3Key, collection };
+        try { await apiClient.abortMultipartUpload(staleAbortPayload); }
+        catch (abortError) { notifyProgress(`Failed to abort previous MPU ${journal.uploadId}: ${abortError.message}`, "warn"); }
+        await journal.remove();
+        journal = null;
+    }
 
-    const startPayload = {
-        file_name: baseName, collection, upload_target: targetSubPath,
-        content_type: mimeType, overall_checksum: overallChecksum
-    };
-    let s3UploadId, backendS3Key;
-    try {
-        notifyProgress(`Initiating multipart upload with backend for ${baseName}...`);
-        const startResponse = await apiClient.startMultipartUpload(startPayload);
-        s3UploadId = startResponse.upload_id; backendS3Key = startResponse.s3_key;
-        if (!s3UploadId || !backendS3Key) throw new Error("Backend MPU start error.");
-        notifyProgress(`Multipart initiated. Upload ID: ${s3UploadId}, S3 Key: ${backendS3Key}`);
-    } catch (e) { throw new Error(`Failed to initiate MPU: ${e.message}`); }
+    // A resumed upload keeps the part size and checksum settings it was started with.
+    const partSizing = journal
+        ? { partSize: journal.chunkSize, partCount: Math.ceil(fileSize / journal.chunkSize), strategy: "journal" }
+        : getPartSizing(fileSize, config);
+    assertWithinPartLimit(baseName, fileSize, partSizing);
+    const { partSize: chunkSize, partCount: numParts } = partSizing;
+    const checksumSpec = journal ? journal.checksumSpec : getChecksumSpec(config);
+    const checksumFields = { checksum_algorithm: checksumSpec.algorithm, checksum_encoding: checksumSpec.encoding };
 
+    // Checked before the upload is started, so a failure here leaves nothing open on S3.
     const partTasks = [];
     if (numParts > 0) {
         for (let i = 0; i < numParts; i++) {
             const size = Math.min(chunkSize, fileSize - (i * chunkSize));
             if (size <= 0) continue;
-            partTasks.push(new UploadPartTaskJS_MPU(i + 1, i * chunkSize, size, filePath));
+            partTasks.push(new UploadPartTaskJS_MPU(i + 1, i * chunkSize, size, source, checksumSpec, verify));
         }
     }
-    if (partTasks.length > 0) {
-        notifyProgress(`Preparing ${partTasks.length} parts...`);
-        for (const pt of partTasks) {
-            notifyProgress(`Preparing part ${pt.partNumber}...`, "debug");
-            await pt.readAndChecksum();
-            if (pt.error) throw new Error(`Failed to prepare part ${pt.partNumber}: ${pt.error.message}`);
+    if (fileSize > 0 && partTasks.length === 0) throw new CUEUploadError("No parts for non-empty file.");
+
+    let overallChecksum, s3UploadId, backendS3Key;
+    if (journal) {
+        overallChecksum = journal.overallChecksum;
+        s3UploadId = journal.uploadId; backendS3Key = journal.s3Key;
+    } else {
+        if (!checksum) notifyProgress(`Calculating overall ${checksumSpec.algorithm} for ${baseName}...`, "debug");
+        overallChecksum = checksum || await source.checksum(checksumSpec);
+        throwIfAborted(signal);
+        notifyProgress(`Overall ${checksumSpec.algorithm}: ${overallChecksum}`, "debug", { checksum: overallChecksum });
+
+        const startPayload = {
+            file_name: baseName, collection, upload_target: targetSubPath,
+            content_type: mimeType, overall_checksum: overallChecksum, ...checksumFields
+        };
+        try {
+            notifyProgress(`Initiating multipart upload with backend for ${baseName}...`, "debug");
+            const startResponse = await apiClient.startMultipartUpload(startPayload, { signal });
+            s3UploadId = startResponse.upload_id; backendS3Key = startResponse.s3_key;
+            if (!s3UploadId || !backendS3Key) throw new ApiServerError("Backend MPU start response is missing upload_id or s3_key.", { endpoint: "multipart/start", retryable: false });
+            log = bindLogger(log, { upload_id: s3UploadId });
+            notifyProgress(`Multipart initiated. Upload ID: ${s3UploadId}, S3 Key: ${backendS3Key}`, "info", { s3_key: backendS3Key });
+        } catch (e) {
+            if (!isAbortError(e)) notifyProgress(`Failed to initiate MPU: ${e.message}`, "error", { error: e.message });
+            throw e;
         }
-    } else if (fileSize > 0) throw new Error("No parts for non-empty file.");
+
+        if (journalDir) {
+            journal = UploadJournal.create(journalDir, {
+                filePath: source.filePath, fileStats, collection, targetSubPath, uploadId: s3UploadId,
+                s3Key: backendS3Key, chunkSize, overallChecksum, checksumSpec, mimeType
+            });
+            await journal.save();
+        }
+    }
 
     const uploadedPartsInfo = []; let totalBytesUploadedForFile = 0;
-    notifyProgress(`Uploading ${partTasks.length} parts concurrently (max ${partConcurrency})...`);
-    
-    const promises = [];
-    for(let i=0; i < partTasks.length; i++) {
-        promises.push(
-            _uploadSinglePartWithRetryJS_MPU(
-                partTasks[i], apiClient, config, s3UploadId, backendS3Key,
+    const pendingPartTasks = [];
+    for (const pt of partTasks) {
+        const journaledPart = journal?.getCompletedPart(pt.partNumber);
+        if (journaledPart) {
+            pt.etag = journaledPart.ETag;
+            uploadedPartsInfo.push(journaledPart);
+            totalBytesUploadedForFile += pt.size;
+        } else {
+            pendingPartTasks.push(pt);
+        }
+    }
+    if (fileProgress && totalBytesUploadedForFile > 0) fileProgress.setBaseline(totalBytesUploadedForFile);
+
+    // Parts are read, hashed and uploaded by a fixed pool of workers, and each part's
+    // buffer is released once it is sent, so at most partConcurrency parts are in memory.
+    const sizingNote = describePartSizing(partSizing, partConcurrency, config);
+    notifyProgress(sizingNote.message, sizingNote.type, { part_size: chunkSize, part_count: numParts, part_sizing: partSizing.strategy });
+    notifyProgress(`Uploading ${pendingPartTasks.length} parts (max ${partConcurrency} concurrently)...`, "debug", { parts: pendingPartTasks.length });
+    let stopScheduling = false;
+    await runWithConcurrency(pendingPartTasks, partConcurrency, async (partTask) => {
+        if (stopScheduling || signal?.aborted) return;
+        try {
+            const partInfo = await _uploadSinglePartWithRetryJS_MPU(
+                partTask, apiClient, config, s3UploadId, backendS3Key,
                 collection, mimeType, 
                 (partNum, bytesDone, totalPartSize, statusMsg) => { // onPartProgress callback
-                    // This simple version doesn't track individual part progress bytes for overall.
-                    // It updates overall when a part is DONE.
+                    if (onPartProgress) onPartProgress(partNum, bytesDone, totalPartSize, statusMsg);
+                    if (fileProgress) fileProgress.partProgress(partNum, bytesDone, totalPartSize, statusMsg);
+                    // Overall file progress is updated when a part is DONE.
                     if (statusMsg === "Done") {
                         totalBytesUploadedForFile += totalPartSize;
-                         if (onProgress) onProgress({file: baseName, loaded: totalBytesUploadedForFile, total: fileSize, phase: "part_upload"});
-                         else process.stdout.write(`\r${logPrefix} Overall Upload Progress: ${(fileSize > 0 ? (totalBytesUploadedForFile / fileSize * 100).toFixed(1) : 100)}% `);
+                        if (onProgress) onProgress({file: baseName, loaded: totalBytesUploadedForFile, total: fileSize, phase: "part_upload"});
+                        log.debug("Part uploaded", { part_number: partNum, loaded: totalBytesUploadedForFile, total: fileSize });
                     }
-                    // console.log(`${logPrefix} Part ${partNum}: ${statusMsg} (${formatBytes(bytesDone)} / ${formatBytes(totalPartSize)})`);
-                }
-            )
-        );
-    }
-    const results = await Promise.allSettled(promises);
-    results.forEach(result => {
-        if (result.status === 'fulfilled' && result.value) {
-            uploadedPartsInfo.push(result.value);
+                },
+                signal, log, fileProgress, { scheduler, fileSize, group: source }
+            );
+            if (!partInfo) { stopScheduling = true; return; }
+            uploadedPartsInfo.push(partInfo);
+            if (journal) await journal.recordPart(partInfo);
+        } catch (error) {
+            if (!isAbortError(error)) partTask.error = partTask.error || error;
+            stopScheduling = true;
+        } finally {
+            partTask.data = null;
         }
     });
-    if (fileSize > 0) process.stdout.write('\n');
 
+    // A failed upload is left open for a later run only when the caller asked to resume; otherwise it is aborted.
+    const keepForResume = Boolean(journal) && resume;
+    // Cancellation always gives the upload up, journal included: the caller asked to stop.
+    const abortForCancellation = async () => {
+        notifyProgress(`Upload of ${baseName} was aborted. Aborting multipart upload ${s3UploadId}...`, "warn");
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        if (journal) await journal.remove();
+        throw new UploadAbortedError(`Upload of ${baseName} was aborted.`, { cause: signal.reason });
+    };
+    if (signal?.aborted) await abortForCancellation();
 
     if (partTasks.length > 0 && uploadedPartsInfo.length !== partTasks.length) {
-        const failedParts = partTasks.filter(pt => !pt.etag).map(pt => pt.partNumber);
+        const failedPartTasks = partTasks.filter(pt => pt.error);
+        const failedParts = failedPartTasks.map(pt => pt.partNumber);
+        const partFailureDetails = { failedParts: failedPartTasks.map(pt => ({ partNumber: pt.partNumber, error: pt.error })) };
+        if (keepForResume) {
+            // Leave the upload open so the completed parts can be reused by a resumed run.
+            notifyProgress(`Not all parts uploaded. Failed: ${failedParts.join(', ')}. Upload state kept for resume.`, "error");
+            throw new MultipartUploadError(`One or more parts failed. Failed parts: ${failedParts.join(', ')}. Re-run with resume to upload only the missing parts.`, partFailureDetails);
+        }
         notifyProgress(`Not all parts uploaded. Failed: ${failedParts.join(', ')}. Aborting...`, "error");
-        const abortPayload = { upload_id: s3UploadId, s3_key: backendS3Key, file_name: backendS3Key, collection };
-        try { await apiClient.abortMultipartUpload(abortPayload); notifyProgress("MPU aborted with backend."); } 
-        catch (abortError) { notifyProgress(`Failed to abort MPU with backend: ${abortError.message}`, "error"); }
-        throw new Error(`One or more parts failed. Failed parts: ${failedParts.join(', ')}`);
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        if (journal) await journal.remove();
+        throw new MultipartUploadError(`One or more parts failed. Failed parts: ${failedParts.join(', ')}`, partFailureDetails);
     }
 
     uploadedPartsInfo.sort((a, b) => a.PartNumber - b.PartNumber);
     const completePayload = {
         upload_id: s3UploadId, parts: uploadedPartsInfo, s3_key: backendS3Key,
-        file_name: baseName, collection, checksum: overallChecksum,
+        file_name: baseName, collection, checksum: overallChecksum, ...checksumFields,
         final_file_size: fileSize, collection_path: targetSubPath, content_type: mimeType
     };
 
+    let completeResponse;
     try {
-        notifyProgress(`Completing multipart upload with backend for ${baseName}...`);
-        const completeResponse = await apiClient.completeMultipartUpload(completePayload);
-        notifyProgress(`Successfully uploaded and completed ${baseName}. Location: ${completeResponse.Location}`, "success");
-        return { file: baseName, status: "success", s3_key: backendS3Key, location: completeResponse.Location };
+        notifyProgress(`Completing multipart upload with backend for ${baseName}...`, "debug");
+        completeResponse = await apiClient.completeMultipartUpload(completePayload, { signal });
     } catch (error) {
+        if (isAbortError(error)) await abortForCancellation();
+        if (keepForResume) {
+            notifyProgress(`Failed to complete MPU with backend: ${error.message}. Upload state kept for resume.`, "error");
+            throw error;
+        }
         notifyProgress(`Failed to complete MPU with backend: ${error.message}. Aborting S3 MPU...`, "error");
-        const abortPayload = { upload_id: s3UploadId, s3_key: backendS3Key, file_name: backendS3Key, collection };
-        try { await apiClient.abortMultipartUpload(abortPayload); notifyProgress("S3 MPU aborted via backend."); } 
-        catch (abortError) { notifyProgress(`Also failed to abort S3 MPU: ${abortError.message}`, "error"); }
-        throw new Error(`Failed to complete MPU with backend: ${error.message}`);
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        if (journal) await journal.remove();
+        throw error;
     }
-}
\ No newline at end of file
+    notifyProgress(`Successfully uploaded and completed ${baseName}. Location: ${completeResponse.Location}`, "success", { s3_key: backendS3Key });
+    if (journal) await journal.remove();
+    assertReportedChecksum(completeResponse, overallChecksum, checksumSpec, { fileName: baseName, endpoint: "multipart/complete" });
+
+    const retries = partTasks.reduce((sum, pt) => sum + pt.retries, 0);
+    const result = {
+        file: baseName, status: "success", s3_key: backendS3Key, location: completeResponse.Location,
+        checksum: overallChecksum, ...checksumFields, part_size: chunkSize, part_count: numParts, retries
+    };
+    if (verify) {
+        notifyProgress(`Verifying stored object for ${baseName}...`, "debug");
+        // Parts sent by an earlier run were not hashed in this one; the file is unchanged, so they are read again.
+        const partMd5s = [];
+        for (const pt of partTasks) partMd5s.push(pt.md5 || md5(await source.read(pt.offset, pt.size)));
+        result.verification = await verifyUpload(apiClient, {
+            fileName: baseName, s3Key: backendS3Key, collection, size: fileSize,
+            checksum: overallChecksum, checksumSpec, etag: computeMultipartEtag(partMd5s)
+        }, { signal, logger: log });
+    }
+    return result;
+}
+
+/**
+ * Multipart upload of data that arrives as a sequence of part buffers (see
+ * splitIntoParts), for streams whose content cannot be re-read. The overall
+ * checksum is computed as parts arrive, so it is sent with `complete` rather than
+ * `start`. At most partConcurrency parts are held in memory; reading pauses
+ * while they upload. Streamed uploads are not journaled and cannot be resumed.
+ * `options.firstParts` are parts the caller already read, as `{ data, release }`
+ * with the scheduler reservation each was read under.
+ */
+export async function handleMultipartStreamUpload(
+    parts, fileName, collection, targetSubPath,
+    apiClient, config, partConcurrency, options = {}
+) {
+    const { size = null, onProgress, onPartProgress, fileProgress, verify = false, scheduler = null, signal, logger = defaultLogger } = options;
+    const partSizing = options.partSizing || getPartSizing(size, config);
+    let log = bindLogger(logger, { file: fileName, collection });
+    const notifyProgress = (message, type = "info", details = {}) => {
+        if (onProgress) onProgress({ file: fileName, message, type, ...details, phase: "multipart" });
+        logProgress(log, type, message, details);
+    };
+
+    notifyProgress(`Preparing streamed multipart upload for: ${fileName}${size !== null ? ` (${formatBytes(size)})` : ''}`, "info", { size });
+    if (isFileTypeDisallowed(fileName)) throw new DisallowedFileTypeError(`Disallowed file type: ${path.extname(fileName)}`);
+    if (size !== null) assertWithinPartLimit(fileName, size, partSizing);
+    const mimeType = getMimeType(fileName, log);
+    const checksumSpec = getChecksumSpec(config);
+    const checksumFields = { checksum_algorithm: checksumSpec.algorithm, checksum_encoding: checksumSpec.encoding };
+
+    const startPayload = {
+        file_name: fileName, collection, upload_target: targetSubPath, content_type: mimeType,
+        overall_checksum: null, ...checksumFields // Not known until the stream ends; sent with complete.
+    };
+    let s3UploadId, backendS3Key;
+    try {
+        const startResponse = await apiClient.startMultipartUpload(startPayload, { signal });
+        s3UploadId = startResponse.upload_id; backendS3Key = startResponse.s3_key;
+        if (!s3UploadId || !backendS3Key) throw new ApiServerError("Backend MPU start response is missing upload_id or s3_key.", { endpoint: "multipart/start", retryable: false });
+        log = bindLogger(log, { upload_id: s3UploadId });
+        notifyProgress(`Multipart initiated. Upload ID: ${s3UploadId}, S3 Key: ${backendS3Key}`, "info", { s3_key: backendS3Key });
+    } catch (e) {
+        if (!isAbortError(e)) notifyProgress(`Failed to initiate MPU: ${e.message}`, "error", { error: e.message });
+        throw e;
+    }
+    const sizingNote = describePartSizing(partSizing, partConcurrency, config);
+    notifyProgress(sizingNote.message, sizingNote.type, { part_size: partSizing.partSize, part_count: partSizing.partCount, part_sizing: partSizing.strategy });
+
+    const overallHash = createChecksum(checksumSpec);
+    const partTasks = []; const uploadedPartsInfo = []; const inFlight = new Set();
+    // Each part reserves its slot and memory before it is read, so buffered parts count against the budget.
+    // A stream of unknown length sorts as the largest file.
+    const partReservation = { bytes: partSizing.partSize, fileSize: size ?? Infinity, group: parts, signal };
+    const iterator = parts[Symbol.asyncIterator]();
+    // Parts the caller already read, each under its own reservation, are sent before reading more.
+    const firstParts = [...(options.firstParts || [])];
+    let streamEnded = false;
+    let totalBytes = 0; let partFailed = false;
+    const reportPart = (partNum, bytesDone, totalPartSize, statusMsg) => {
+        if (onPartProgress) onPartProgress(partNum, bytesDone, totalPartSize, statusMsg);
+        if (fileProgress) fileProgress.partProgress(partNum, bytesDone, totalPartSize, statusMsg);
+    };
+
+    try {
+        try {
+            while (!partFailed) {
+                throwIfAborted(signal);
+                const first = firstParts.shift();
+                const release = first ? first.release : await reserveTransfer(scheduler, partReservation);
+                let next = first && { done: false, value: first.data };
+                try {
+                    next = next || await iterator.next();
+                } catch (error) {
+                    release();
+                    streamEnded = true;
+                    throw error;
+                }
+                if (next.done) {
+                    release();
+                    streamEnded = true;
+                    break;
+                }
+                const data = next.value;
+                if (partTasks.length >= S3_MAX_PARTS_JS_MPU) {
+                    release();
+                    throw new ConfigurationError(`Stream for ${fileName} needs more than ${S3_MAX_PARTS_JS_MPU} parts of ${formatBytes(partSizing.partSize)}; pass its size, or increase multipart_chunk_size_mb or multipart_memory_budget_mb.`);
+                }
+                overallHash.update(data);
+                const partTask = new UploadPartTaskJS_MPU(partTasks.length + 1, totalBytes, data.length, null, checksumSpec);
+                partTask.data = data;
+                partTask.checksum = calculateChecksumForBytes(data, checksumSpec);
+                if (verify) partTask.md5 = md5(data);
+                partTasks.push(partTask);
+                totalBytes += data.length;
+
+                // Sent within the reservation taken above, not through the scheduler again.
+                const upload = _uploadSinglePartWithRetryJS_MPU(
+                    partTask, apiClient, config, s3UploadId, backendS3Key, collection, mimeType, reportPart, signal, log, fileProgress
+                ).then((partInfo) => {
+                    if (partInfo) uploadedPartsInfo.push(partInfo); else partFailed = true;
+                }, (error) => {
+                    if (!isAbortError(error)) partTask.error = partTask.error || error;
+                    partFailed = true;
+                }).finally(() => {
+                    release();
+                    partTask.data = null;
+                    inFlight.delete(upload);
+                });
+                inFlight.add(upload);
+                if (inFlight.size >= partConcurrency) await Promise.race(inFlight);
+            }
+        } finally {
+            // As with for await: leaving the loop early closes the stream.
+            if (!streamEnded) await iterator.return?.();
+        }
+        await Promise.all(inFlight);
+    } catch (error) {
+        await Promise.allSettled(inFlight);
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        if (isAbortError(error) || error instanceof CUEUploadError) throw error;
+        throw new CUEUploadError(`Reading stream for ${fileName} failed: ${error.message}`, { code: "ERR_STREAM_READ", cause: error });
+    }
+
+    if (signal?.aborted) {
+        notifyProgress(`Upload of ${fileName} was aborted. Aborting multipart upload ${s3UploadId}...`, "warn");
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        throw new UploadAbortedError(`Upload of ${fileName} was aborted.`, { cause: signal.reason });
+    }
+    if (partFailed) {
+        const failedPartTasks = partTasks.filter(pt => pt.error);
+        const failedParts = failedPartTasks.map(pt => pt.partNumber);
+        notifyProgress(`Not all parts uploaded. Failed: ${failedParts.join(', ')}. Aborting...`, "error");
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        throw new MultipartUploadError(`One or more parts failed. Failed parts: ${failedParts.join(', ')}`, {
+            failedParts: failedPartTasks.map(pt => ({ partNumber: pt.partNumber, error: pt.error }))
+        });
+    }
+    if (size !== null && totalBytes !== size) {
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        throw new CUEUploadError(`Stream for ${fileName} ended after ${totalBytes} bytes, but size was given as ${size}.`, { code: "ERR_STREAM_SIZE_MISMATCH" });
+    }
+
+    const overallChecksum = overallHash.digest();
+    uploadedPartsInfo.sort((a, b) => a.PartNumber - b.PartNumber);
+    const completePayload = {
+        upload_id: s3UploadId, parts: uploadedPartsInfo, s3_key: backendS3Key,
+        file_name: fileName, collection, checksum: overallChecksum, ...checksumFields,
+        final_file_size: totalBytes, collection_path: targetSubPath, content_type: mimeType
+    };
+    let completeResponse;
+    try {
+        completeResponse = await apiClient.completeMultipartUpload(completePayload, { signal });
+    } catch (error) {
+        notifyProgress(`Failed to complete MPU with backend: ${error.message}. Aborting S3 MPU...`, "error");
+        await abortMultipartWithBackend(apiClient, s3UploadId, backendS3Key, collection, notifyProgress);
+        if (isAbortError(error)) throw new UploadAbortedError(`Upload of ${fileName} was aborted.`, { cause: signal?.reason });
+        throw error;
+    }
+    notifyProgress(`Successfully uploaded and completed ${fileName}. Location: ${completeResponse.Location}`, "success", { s3_key: backendS3Key });
+    assertReportedChecksum(completeResponse, overallChecksum, checksumSpec, { fileName, endpoint: "multipart/complete" });
+
+    const retries = partTasks.reduce((sum, pt) => sum + pt.retries, 0);
+    const result = {
+        file: fileName, status: "success", s3_key: backendS3Key, location: completeResponse.Location, checksum: overallChecksum,
+        ...checksumFields, size: totalBytes, part_size: partSizing.partSize, part_count: partTasks.length, retries
+    };
+    if (verify) {
+        notifyProgress(`Verifying stored object for ${fileName}...`, "debug");
+        result.verification = await verifyUpload(apiClient, {
+            fileName, s3Key: backendS3Key, collection, size: totalBytes,
+            checksum: overallChecksum, checksumSpec, etag: computeMultipartEtag(partTasks.map(pt => pt.md5))
+        }, { signal, logger: log });
+    }
+    return result;
+}
@@ -0,0 +1,251 @@
+const RATE_WINDOW_MS = 5000;
+const EMIT_INTERVAL_MS = 250;
+
+/**
+ * Byte counter for one scope (a file or the whole upload) that derives
+ * throughput and ETA. `bytesPerSecond` is measured over the last few seconds,
+ * `averageBytesPerSecond` since the tracker was created. `total` may be null
+ * (a stream of unknown length), in which case percent and ETA are null.
+ */
+export class ProgressTracker {
+    constructor(total, { initialLoaded = 0, windowMs = RATE_WINDOW_MS, now = Date.now } = {}) {
+        this.total = total;
+        this.loaded = initialLoaded;
+        // Bytes already present when tracking starts (e.g. resumed parts) do not count towards throughput.
+        this.initialLoaded = initialLoaded;
+        this.windowMs = windowMs;
+        this.now = now;
+        this.startedAt = now();
+        this.samples = [{ time: this.startedAt, loaded: initialLoaded }];
+    }
+
+    update(loaded) {
+        const time = this.now();
+        this.loaded = loaded;
+        this.samples.push({ time, loaded });
+        while (this.samples.length > 2 && time - this.samples[0].time > this.windowMs) this.samples.shift();
+    }
+
+    /** Counts bytes that were already uploaded before this run, without treating them as throughput. */
+    addBaseline(bytes) {
+        this.loaded += bytes;
+        this.initialLoaded += bytes;
+        for (const sample of this.samples) sample.loaded += bytes;
+    }
+
+    snapshot() {
+        const time = this.now();
+        const oldest = this.samples[0];
+        const windowSeconds = (time - oldest.time) / 1000;
+        const elapsedSeconds = (time - this.startedAt) / 1000;
+        // A retried request restarts its byte count, so the window can go backwards; report 0 rather than a negative rate.
+        const bytesPerSecond = windowSeconds > 0 ? Math.max(0, (this.loaded - oldest.loaded) / windowSeconds) : 0;
+        const averageBytesPerSecond = elapsedSeconds > 0 ? Math.max(0, (this.loaded - this.initialLoaded) / elapsedSeconds) : 0;
+        const known = this.total !== null && this.total !== undefined;
+        const remaining = known ? Math.max(0, this.total - this.loaded) : null;
+        const rate = bytesPerSecond || averageBytesPerSecond;
+        return {
+            loaded: this.loaded,
+            total: this.total,
+            percent: !known ? null : (this.total > 0 ? Math.min(100, (this.loaded / this.total) * 100) : 100),
+            bytesPerSecond,
+            averageBytesPerSecond,
+            etaSeconds: !known ? null : (remaining === 0 ? 0 : (rate > 0 ? remaining / rate : null)),
+            elapsedMs: time - this.startedAt
+        };
+    }
+}
+
+/**
+ * Progress of one file within an upload. Handlers report bytes through
+ * `setLoaded` (single request) or `partProgress` (multipart); the reporter
+ * turns them into `file:progress` and `part:progress` events.
+ */
+class FileProgress {
+    constructor(reporter, file, size, localPath, { collectionPath = null } = {}) {
+        this.reporter = reporter;
+        this.file = file;
+        this.localPath = localPath;
+        this.collectionPath = collectionPath;
+        this.multipart = null;
+        this.tracker = new ProgressTracker(size, { now: reporter.now });
+        this.partsLoaded = new Map();
+        this.partStatus = new Map();
+        this.partLastEmitAt = new Map();
+        this.baselineLoaded = 0;
+        this.lastEmitAt = 0;
+    }
+
+    start(details = {}) {
+        this.multipart = details.multipart ?? null;
+        this.reporter.emit("file:start", { file: this.file, path: this.localPath, size: this.tracker.total, ...details });
+    }
+
+    /** Marks bytes that are already uploaded (resumed parts) without counting them as throughput. */
+    setBaseline(loaded) {
+        this.baselineLoaded = loaded;
+        this.tracker.addBaseline(loaded);
+        this.reporter._addBaseline(this, loaded);
+    }
+
+    setLoaded(loaded, { force = false } = {}) {
+        this.tracker.update(loaded);
+        this.reporter._setFileLoaded(this, loaded);
+        this._emitProgress(force);
+    }
+
+    partProgress(partNumber, loaded, total, status) {
+        this.partsLoaded.set(partNumber, loaded);
+        let fileLoaded = this.baselineLoaded;
+        for (const partLoaded of this.partsLoaded.values()) fileLoaded += partLoaded;
+        // Status changes are always reported; byte updates within a status are throttled like file:progress.
+        const time = this.reporter.now();
+        if (this.partStatus.get(partNumber) !== status || time - (this.partLastEmitAt.get(partNumber) || 0) >= this.reporter.intervalMs) {
+            this.partStatus.set(partNumber, status);
+            this.partLastEmitAt.set(partNumber, time);
+            this.reporter.emit("part:progress", { file: this.file, partNumber, loaded, total, status });
+        }
+        this.setLoaded(fileLoaded, { force: status === "Done" });
+    }
+
+    done(result) {
+        if (this.tracker.total === null && result?.size !== undefined) this.tracker.total = result.size;
+        this.setLoaded(this.tracker.total ?? this.tracker.loaded, { force: true });
+        const snapshot = this.tracker.snapshot();
+        this.reporter.emit("file:done", { file: this.file, result, ...snapshot });
+        this.reporter._recordFile(this, { result, bytesPerSecond: snapshot.averageBytesPerSecond });
+    }
+
+    error(error) {
+        this.reporter.emit("file:error", { file: this.file, error, cancelled: error?.code === "ERR_UPLOAD_ABORTED" });
+        this.reporter._recordFile(this, { error });
+    }
+
+    _emitProgress(force) {
+        const time = this.reporter.now();
+        if (!force && time - this.lastEmitAt < this.reporter.intervalMs) return;
+        this.lastEmitAt = time;
+        this.reporter.emit("file:progress", { file: this.file, ...this.tracker.snapshot(), overall: this.reporter.overall.snapshot() });
+    }
+}
+
+/**
+ * Emits the typed progress events of one `CUEUploader.upload()` call on the
+ * given EventEmitter, keeping file- and upload-scope byte totals. Byte-level
+ * `file:progress` events are throttled to one per `intervalMs` per file.
+ * With a `report` (UploadReport), each finished file is also recorded there.
+ */
+export class ProgressReporter {
+    constructor(emitter, { intervalMs = EMIT_INTERVAL_MS, now = Date.now, report = null } = {}) {
+        this.emitter = emitter;
+        this.report = report;
+        this.intervalMs = intervalMs;
+        this.now = now;
+        this.overall = new ProgressTracker(0, { now });
+        this.fileLoaded = new Map();
+        this.overallLoaded = 0;
+    }
+
+    emit(event, payload) {
+        if (this.emitter) this.emitter.emit(event, payload);
+    }
+
+    scan({ root, files, totalBytes, ...details }) {
+        this.overall = new ProgressTracker(totalBytes, { now: this.now });
+        this.emit("scan", { root, totalFiles: files.length, totalBytes, files, ...details });
+    }
+
+    /** `options.collectionPath`: where the file goes within the collection, for the report. */
+    forFile(file, size, localPath, options = {}) {
+        return new FileProgress(this, file, size, localPath, options);
+    }
+
+    finish({ result, error } = {}) {
+        if (this.report) this.report.finish({ result, error });
+        this.emit("done", { result, error, ...this.overall.snapshot() });
+    }
+
+    _recordFile(fileProgress, { result, error, bytesPerSecond }) {
+        if (!this.report) return;
+        this.report.recordFile({
+            file: fileProgress.file, localPath: fileProgress.localPath, collectionPath: fileProgress.collectionPath,
+            size: fileProgress.tracker.total, multipart: fileProgress.multipart,
+            startedAt: fileProgress.tracker.startedAt, endedAt: this.now(), bytesPerSecond, result, error
+        });
+    }
+
+    _addBaseline(fileProgress, bytes) {
+        this.overallLoaded += bytes;
+        this.fileLoaded.set(fileProgress, (this.fileLoaded.get(fileProgress) || 0) + bytes);
+        this.overall.addBaseline(bytes);
+    }
+
+    _setFileLoaded(fileProgress, loaded) {
+        this.overallLoaded += loaded - (this.fileLoaded.get(fileProgress) || 0);
+        this.fileLoaded.set(fileProgress, loaded);
+        this.overall.update(this.overallLoaded);
+    }
+}
+
+/**
+ * Progress of one `CUEUploader.uploadBatch()` call. Each job's events are
+ * re-emitted on `emitter` with the job's index as `job`, around `job:start`
+ * and `job:done`. `batch:progress` events (also passed to `onProgress`) count
+ * finished jobs and bytes across all jobs; the byte total grows as each job
+ * scans its source.
+ */
+export class BatchProgress {
+    constructor(emitter, totalJobs, { onProgress, intervalMs = EMIT_INTERVAL_MS, now = Date.now } = {}) {
+        this.emitter = emitter;
+        this.totalJobs = totalJobs;
+        this.onProgress = onProgress;
+        this.intervalMs = intervalMs;
+        this.now = now;
+        this.tracker = new ProgressTracker(0, { now });
+        this.jobLoaded = new Map();
+        this.loaded = 0;
+        this.jobsDone = 0;
+        this.jobsFailed = 0;
+        this.lastEmitAt = 0;
+    }
+
+    /** The emitter to hand to the job's ProgressReporter. */
+    forJob(index) {
+        return { emit: (event, payload) => this._onJobEvent(index, event, payload) };
+    }
+
+    jobStart(index, { source, collection, targetPath }) {
+        this.emitter.emit("job:start", { job: index, source, collection, targetPath });
+    }
+
+    jobDone(index, jobResult) {
+        this.jobsDone++;
+        if (jobResult.status === "failed") this.jobsFailed++;
+        this.emitter.emit("job:done", { job: index, status: jobResult.status, result: jobResult.result, error: jobResult.error });
+        this._emitProgress(true);
+    }
+
+    finish(batchResult) {
+        this.emitter.emit("batch:done", { result: batchResult, ...this.tracker.snapshot() });
+    }
+
+    _onJobEvent(index, event, payload) {
+        if (event === "scan") this.tracker.total += payload.totalBytes || 0;
+        if (event === "file:progress") {
+            this.loaded += payload.overall.loaded - (this.jobLoaded.get(index) || 0);
+            this.jobLoaded.set(index, payload.overall.loaded);
+            this.tracker.update(this.loaded);
+            this._emitProgress(false);
+        }
+        this.emitter.emit(event, { ...payload, job: index });
+    }
+
+    _emitProgress(force) {
+        const time = this.now();
+        if (!force && time - this.lastEmitAt < this.intervalMs) return;
+        this.lastEmitAt = time;
+        const progress = { totalJobs: this.totalJobs, jobsDone: this.jobsDone, jobsFailed: this.jobsFailed, ...this.tracker.snapshot() };
+        this.emitter.emit("batch:progress", progress);
+        if (this.onProgress) this.onProgress(progress);
+    }
+}
@@ -0,0 +1,74 @@
+import { sleep } from './utils.js';
+import { defaultLogger } from './logger.js';
+
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const RETRY_AFTER_STATUSES = [429, 503];
+
+/** Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds. */
+export function parseRetryAfter(headerValue, now = Date.now()) {
+    if (headerValue === undefined || headerValue === null || headerValue === '') return undefined;
+    const seconds = Number(headerValue);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter, shared by every backend and S3 call.
+ * Only errors flagged `retryable` are retried; a Retry-After on 429/503 overrides the computed delay,
+ * up to `maxDelayMs`.
+ */
+export class RetryPolicy {
+    constructor({ retryAttempts = 3, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS, jitter = true, logger = defaultLogger } = {}) {
+        this.retryAttempts = retryAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.jitter = jitter;
+        this.logger = logger;
+    }
+
+    static fromConfig(config, logger = defaultLogger) {
+        return new RetryPolicy({
+            retryAttempts: config.retry_attempts,
+            baseDelayMs: config.retry_base_delay_ms,
+            maxDelayMs: config.retry_max_delay_ms,
+            logger
+        });
+    }
+
+    shouldRetry(error, attempt) {
+        return attempt < this.retryAttempts && Boolean(error?.retryable);
+    }
+
+    /** Delay before retry number `attempt + 1` (attempt is zero-based). */
+    getDelayMs(attempt, error) {
+        if (RETRY_AFTER_STATUSES.includes(error?.statusCode) && error.retryAfterMs !== undefined) {
+            return Math.min(error.retryAfterMs, this.maxDelayMs);
+        }
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * (2 ** attempt));
+        // "Equal jitter": keep half the backoff, randomize the other half.
+        return this.jitter ? exponential / 2 + Math.random() * (exponential / 2) : exponential;
+    }
+
+    /**
+     * Runs `operation(attempt)` until it succeeds, fails with a non-retryable error,
+     * or attempts run out. `onRetry({ attempt, delayMs, error })` is called before each wait.
+     */
+    async execute(operation, { signal, onRetry, description = "request" } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                if (signal?.aborted || !this.shouldRetry(error, attempt)) throw error;
+                const delayMs = this.getDelayMs(attempt, error);
+                this.logger.warn("Retrying after transient error", {
+                    operation: description, attempt: attempt + 1, max_attempts: this.retryAttempts + 1,
+                    delay_ms: Math.round(delayMs), status: error.statusCode, error: error.message
+                });
+                if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error });
+                await sleep(delayMs, signal);
+            }
+        }
+    }
+}
@@ -1,97 +1,128 @@
-import { calculateSHA256Checksum, getMimeType, formatBytes, isFileTypeDisallowed } from './utils.js';
-import fsPromises from 'fs/promises';
+import { getMimeType, formatBytes, isFileTypeDisallowed, getChecksumSpec, getS3ChecksumHeaders } from './utils.js';
+import { isAbortError, throwIfAborted, DisallowedFileTypeError, ApiServerError, createS3Error } from './errors.js';
+import { defaultLogger, bindLogger, logProgress } from './logger.js';
 import path from 'path';
+import { toUploadSource } from './uploadSource.js';
+import { assertReportedChecksum, verifyUpload } from './uploadVerifier.js';
+import { scheduleTransfer } from './transferScheduler.js';
 
 export async function handleSingleFileUpload(
     filePath, fileSize, collection, targetSubPath,
     apiClient, config, // globalArgs removed, env is part of apiClient.config now
     options = {} // For progress callbacks, etc.
 ) {
-    const { onProgress } = options; // Example of a progress callback
-    const baseName = path.basename(filePath);
+    const { onProgress, fileProgress, checksum, verify = false, scheduler = null, signal, logger = defaultLogger } = options; // Example of a progress callback
+    // filePath may also be an upload source (e.g. BufferSource) for in-memory data.
+    const source = toUploadSource(filePath, fileSize);
+    const baseName = source.name;
 
-    const logPrefix = "[CUE Upload Lib]";
+    const log = bindLogger(logger, { file: baseName, collection });
     const notifyProgress = (message, type = "info", details = {}) => {
         if (onProgress) onProgress({ file: baseName, message, type, ...details });
-        else console.log(`${logPrefix} ${type.toUpperCase()}: ${message}`);
+        logProgress(log, type, message, details);
     };
 
-    notifyProgress(`Preparing single file upload for: ${baseName} (${formatBytes(fileSize)})`);
+    notifyProgress(`Preparing single file upload for: ${baseName} (${formatBytes(fileSize)})`, "info", { size: fileSize });
 
-    if (isFileTypeDisallowed(filePath)) {
-        throw new Error(`Disallowed file type: ${path.extname(filePath)}`);
+    if (isFileTypeDisallowed(baseName)) {
+        throw new DisallowedFileTypeError(`Disallowed file type: ${path.extname(baseName)}`);
     }
 
     let s3ETag = null;
     let presignedInfoResponse;
 
+    const checksumSpec = getChecksumSpec(config);
+    const checksumFields = { checksum_algorithm: checksumSpec.algorithm, checksum_encoding: checksumSpec.encoding };
     try {
-        notifyProgress(`Calculating SHA256 checksum for ${baseName}...`);
-        const checksumSHA256 = await calculateSHA256Checksum(filePath);
-        notifyProgress(`SHA256 for ${baseName}: ${checksumSHA256}`, "debug");
+        // A checksum known from the sync cache saves re-reading the file.
+        if (!checksum) notifyProgress(`Calculating ${checksumSpec.algorithm} checksum for ${baseName}...`, "debug");
+        const fileChecksum = checksum || await source.checksum(checksumSpec);
+        throwIfAborted(signal);
+        notifyProgress(`${checksumSpec.algorithm} for ${baseName}: ${fileChecksum}`, "debug", { checksum: fileChecksum });
 
-        const mimeType = getMimeType(filePath);
-        notifyProgress(`MIME type for ${baseName}: ${mimeType}`, "debug");
+        const mimeType = getMimeType(baseName, log);
+        notifyProgress(`MIME type for ${baseName}: ${mimeType}`, "debug", { mime_type: mimeType });
 
         const initiatePayload = {
-            file_name: baseName, collection, size: fileSize, checksum: checksumSHA256,
+            file_name: baseName, collection, size: fileSize, checksum: fileChecksum, ...checksumFields,
             file_type: mimeType, collection_path: targetSubPath
         };
 
-        for (let attempt = 0; attempt <= config.retry_attempts; attempt++) {
-            try {
-                notifyProgress(`Requesting upload URL for ${baseName} (attempt ${attempt + 1}/${config.retry_attempts + 1})...`);
-                presignedInfoResponse = await apiClient.getPresignedUrlSingle(initiatePayload);
-                notifyProgress(`Received presigned URL info. S3 Key: ${presignedInfoResponse.s3_key}`);
-                break;
-            } catch (error) {
-                notifyProgress(`Attempt ${attempt + 1} to get presigned URL failed: ${error.message}`, "warn");
-                if (attempt >= config.retry_attempts) {
-                    throw new Error(`Failed to get presigned URL after ${config.retry_attempts + 1} attempts: ${error.message}`);
-                }
-                await new Promise(resolve => setTimeout(resolve, (2 ** attempt) * 1000));
+        // Retries for every call below are handled by apiClient.retryPolicy.
+        let retries = 0;
+        const requestOptions = {
+            signal,
+            // Byte-level progress of the S3 transfer; a retried transfer starts again from 0.
+            onUploadProgress: fileProgress ? (event) => fileProgress.setLoaded(event.loaded) : undefined,
+            onRetry: ({ attempt, error }) => {
+                retries++;
+                notifyProgress(`Retry ${attempt} after failure: ${error.message}`, "debug", { attempt, error: error.message });
             }
-        }
-        if (!presignedInfoResponse) throw new Error("Failed to obtain presigned URL.");
+        };
 
-        if (presignedInfoResponse.fields) {
-            notifyProgress(`Uploading ${baseName} to S3 (Presigned POST)...`);
-            const s3Response = await apiClient.uploadToS3PresignedPost(
-                presignedInfoResponse.url, presignedInfoResponse.fields,
-                filePath, baseName, mimeType
-            );
-            if (s3Response.status === 204) {
-                s3ETag = s3Response.headers.get ? s3Response.headers.get("etag")?.replace(/"/g, "") : s3Response.headers["etag"]?.replace(/"/g, "");
-                notifyProgress(`Successfully uploaded ${baseName} to S3 (POST). ETag: ${s3ETag}`);
-            } else {
-                throw new Error(`S3 upload (POST) failed with status ${s3Response.status}.`);
-            }
-        } else {
-            notifyProgress(`Uploading ${baseName} to S3 (Presigned PUT)...`);
-            const fileData = await fsPromises.readFile(filePath);
-            const s3ResponsePut = await apiClient.uploadPartToS3PresignedPut(
-                presignedInfoResponse.url, fileData
-            );
-            if (s3ResponsePut.status === 200) {
-                s3ETag = s3ResponsePut.headers.get ? s3ResponsePut.headers.get("etag")?.replace(/"/g, "") : s3ResponsePut.headers["etag"]?.replace(/"/g, "");
-                notifyProgress(`Successfully uploaded ${baseName} to S3 (PUT). ETag: ${s3ETag}`);
+        // The whole body is held in memory for the transfer, so it reserves the file's size from the scheduler.
+        // The URL is requested once the transfer may start, so it cannot expire while queued.
+        await scheduleTransfer(scheduler, async () => {
+            notifyProgress(`Requesting upload URL for ${baseName}...`, "debug");
+            presignedInfoResponse = await apiClient.getPresignedUrlSingle(initiatePayload, requestOptions);
+            notifyProgress(`Received presigned URL info. S3 Key: ${presignedInfoResponse?.s3_key}`, "debug", { s3_key: presignedInfoResponse?.s3_key });
+            if (!presignedInfoResponse?.url) throw new ApiServerError("Backend returned no presigned URL.", { endpoint: "upload/upload_url", retryable: false });
+
+            if (presignedInfoResponse.fields) {
+                notifyProgress(`Uploading ${baseName} to S3 (Presigned POST)...`, "debug");
+                const s3Response = await apiClient.uploadToS3PresignedPost(
+                    presignedInfoResponse.url, presignedInfoResponse.fields,
+                    source.filePath || await source.readAll(), baseName, mimeType, requestOptions
+                );
+                if (s3Response.status === 204) {
+                    s3ETag = s3Response.headers.get ? s3Response.headers.get("etag")?.replace(/"/g, "") : s3Response.headers["etag"]?.replace(/"/g, "");
+                    notifyProgress(`Successfully uploaded ${baseName} to S3 (POST). ETag: ${s3ETag}`, "debug", { etag: s3ETag });
+                } else {
+                    throw createS3Error("S3 presigned POST", { statusCode: s3Response.status });
+                }
             } else {
-                throw new Error(`S3 upload (PUT) failed with status ${s3ResponsePut.status}.`);
+                notifyProgress(`Uploading ${baseName} to S3 (Presigned PUT)...`, "debug");
+                const fileData = await source.readAll();
+                // S3 rejects the body if it does not match the checksum header.
+                const s3ResponsePut = await apiClient.uploadPartToS3PresignedPut(
+                    presignedInfoResponse.url, fileData, { ...requestOptions, headers: getS3ChecksumHeaders(fileChecksum, checksumSpec) }
+                );
+                if (s3ResponsePut.status === 200) {
+                    s3ETag = s3ResponsePut.headers.get ? s3ResponsePut.headers.get("etag")?.replace(/"/g, "") : s3ResponsePut.headers["etag"]?.replace(/"/g, "");
+                    notifyProgress(`Successfully uploaded ${baseName} to S3 (PUT). ETag: ${s3ETag}`, "debug", { etag: s3ETag });
+                } else {
+                    throw createS3Error("S3 presigned PUT", { statusCode: s3ResponsePut.status });
+                }
             }
-        }
+        }, { bytes: fileSize, fileSize, group: source, signal });
 
         const confirmPayload = {
             s3_key: presignedInfoResponse.s3_key, file_name: baseName, collection,
-            size_bytes: fileSize, checksum: checksumSHA256, file_type: mimeType,
+            size_bytes: fileSize, checksum: fileChecksum, ...checksumFields, file_type: mimeType,
             collection_path: targetSubPath, s3_etag: s3ETag || null
         };
-        notifyProgress(`Confirming upload of ${baseName} with backend...`);
-        await apiClient.confirmSingleUpload(confirmPayload);
-        notifyProgress(`Successfully uploaded and confirmed ${baseName}.`, "success");
-        return { file: baseName, status: "success", s3_key: presignedInfoResponse.s3_key };
+        notifyProgress(`Confirming upload of ${baseName} with backend...`, "debug");
+        throwIfAborted(signal);
+        const confirmResponse = await apiClient.confirmSingleUpload(confirmPayload, requestOptions);
+        assertReportedChecksum(confirmResponse, fileChecksum, checksumSpec, { fileName: baseName, endpoint: "upload/confirm_single" });
+        notifyProgress(`Successfully uploaded and confirmed ${baseName}.`, "success", { s3_key: presignedInfoResponse.s3_key });
+        const result = { file: baseName, status: "success", s3_key: presignedInfoResponse.s3_key, checksum: fileChecksum, ...checksumFields, retries };
+        if (verify) {
+            // The ETag of an object stored in one request is the MD5 of its body.
+            notifyProgress(`Verifying stored object for ${baseName}...`, "debug");
+            const etag = await source.checksum({ algorithm: "md5", encoding: "hex" });
+            result.verification = await verifyUpload(apiClient, {
+                fileName: baseName, s3Key: result.s3_key, collection, size: fileSize, checksum: fileChecksum, checksumSpec, etag
+            }, { signal, logger: log });
+        }
+        return result;
 
     } catch (error) {
-        notifyProgress(`Single file upload failed for ${baseName}: ${error.message}`, "error");
+        if (isAbortError(error)) {
+            notifyProgress(`Upload of ${baseName} was aborted.`, "warn");
+            throw error;
+        }
+        notifyProgress(`Single file upload failed for ${baseName}: ${error.message}`, "error", { error: error.message });
         throw error;
     }
 }
\ No newline at end of file
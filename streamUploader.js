@@ -0,0 +1,95 @@
+import { CUEUploadError, isAbortError, throwIfAborted } from './errors.js';
+import { handleSingleFileUpload } from './singleFileUploader.js';
+import { handleMultipartStreamUpload, isMultipartSize, getPartSizing } from './multipartUploader.js';
+import { BufferSource, ChunkReader, splitIntoParts } from './uploadSource.js';
+import { reserveTransfer } from './transferScheduler.js';
+
+function streamReadError(fileName, error) {
+    if (isAbortError(error) || error instanceof CUEUploadError) return error;
+    return new CUEUploadError(`Reading stream for ${fileName} failed: ${error.message}`, { code: "ERR_STREAM_READ", cause: error });
+}
+
+function sizeMismatchError(fileName, received, size) {
+    return new CUEUploadError(`Stream for ${fileName} ended after ${received} bytes, but size was given as ${size}.`, { code: "ERR_STREAM_SIZE_MISMATCH" });
+}
+
+/**
+ * Uploads a Readable (or async iterable of Buffers) without a temp file.
+ * With a known `size` the mode is chosen like for files: small streams are
+ * buffered and sent in one request, larger ones go multipart part by part.
+ * With `size` null the first part is read before deciding: a stream that ends
+ * within one part and under the threshold is sent in one request, anything
+ * longer is streamed as multipart. Parts are read only once the scheduler has
+ * reserved memory for them.
+ */
+export async function handleStreamUpload(
+    readable, fileName, size, collection, targetSubPath,
+    apiClient, config, partConcurrency, options = {}
+) {
+    const { signal, scheduler = null } = options;
+    const singleOptions = { onProgress: options.onProgress, fileProgress: options.fileProgress, verify: options.verify, signal, logger: options.logger };
+    const partSizing = getPartSizing(size, config);
+    const chunks = new ChunkReader(readable);
+    const parts = splitIntoParts(chunks, partSizing.partSize);
+
+    if (size !== null && isMultipartSize(size, config)) {
+        return handleMultipartStreamUpload(parts, fileName, collection, targetSubPath, apiClient, config, partConcurrency, { ...options, size, partSizing });
+    }
+
+    // Data held while deciding is reserved with the scheduler before it is read, so it counts against the memory
+    // budget. A single request is then sent within that reservation rather than scheduled again.
+    const iterator = parts[Symbol.asyncIterator]();
+    const uploadBuffered = async (data) => {
+        const source = new BufferSource(data, fileName);
+        const result = await handleSingleFileUpload(source, data.length, collection, targetSubPath, apiClient, config, singleOptions);
+        return { ...result, size: data.length };
+    };
+
+    if (size !== null) {
+        // A known size under the threshold is read whole, under one reservation for all of it.
+        const release = await reserveTransfer(scheduler, { bytes: size, fileSize: size, group: parts, signal });
+        try {
+            const buffers = [];
+            try {
+                for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                    throwIfAborted(signal);
+                    buffers.push(next.value);
+                }
+            } catch (error) {
+                await iterator.return?.();
+                throw streamReadError(fileName, error);
+            }
+            const data = buffers.length === 1 ? buffers[0] : Buffer.concat(buffers);
+            if (data.length !== size) throw sizeMismatchError(fileName, data.length, size);
+            return await uploadBuffered(data);
+        } finally {
+            release();
+        }
+    }
+
+    // For an unknown size, the first part is read under its reservation. Whether more follows is then only peeked
+    // at, one chunk of the stream ahead; if it does, the part is handed to the multipart upload with its reservation.
+    const release = await reserveTransfer(scheduler, { bytes: partSizing.partSize, fileSize: Infinity, group: parts, signal });
+    let firstPart, more;
+    try {
+        const next = await iterator.next();
+        throwIfAborted(signal);
+        firstPart = next.done ? Buffer.alloc(0) : next.value;
+        more = !next.done && await chunks.peek() !== null;
+    } catch (error) {
+        release();
+        await iterator.return?.();
+        throw streamReadError(fileName, error);
+    }
+
+    try {
+        if (more || isMultipartSize(firstPart.length, config)) {
+            return await handleMultipartStreamUpload(parts, fileName, collection, targetSubPath, apiClient, config, partConcurrency, {
+                ...options, partSizing, firstParts: [{ data: firstPart, release }]
+            });
+        }
+        return await uploadBuffered(firstPart);
+    } finally {
+        release();
+    }
+}
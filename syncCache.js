@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_CHECKSUM } from './utils.js';
+
+const SYNC_CACHE_FILENAME = "sync-cache.json";
+const SYNC_CACHE_VERSION = 1;
+
+export function getSyncCachePath(configDir) {
+    return path.join(configDir, SYNC_CACHE_FILENAME);
+}
+
+function fingerprintFromStats(stats) {
+    return { size: stats.size, mtimeMs: stats.mtimeMs, ino: stats.ino };
+}
+
+// e.g. "sha256:base64"
+function getChecksumType({ algorithm, encoding }) {
+    return `${algorithm}:${encoding}`;
+}
+
+// The same file uploaded to prod and uat, or to two collections, is tracked separately.
+function getDestinationKey({ env, collection, collectionPath }) {
+    return JSON.stringify([env || "", collection, collectionPath || ""]);
+}
+
+/**
+ * Local record of files already uploaded, used by sync mode to skip unchanged
+ * files. Entries are keyed by absolute path and only trusted while the file's
+ * size, mtime and inode match; each stores the file's checksum (with its
+ * algorithm and encoding) and the destinations the file was confirmed to.
+ */
+export class SyncCache {
+    constructor(cachePath, data = null) {
+        this.cachePath = cachePath;
+        this.data = data || { version: SYNC_CACHE_VERSION, files: {} };
+        this.dirty = false;
+        this._writeChain = Promise.resolve();
+    }
+
+    static async load(cachePath) {
+        let content;
+        try {
+            content = await fs.readFile(cachePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return new SyncCache(cachePath);
+            throw new Error(`Could not read sync cache ${cachePath}: ${error.message}`);
+        }
+        try {
+            const data = JSON.parse(content);
+            return new SyncCache(cachePath, data.version === SYNC_CACHE_VERSION ? data : null);
+        } catch (error) {
+            throw new Error(`Sync cache ${cachePath} is corrupt: ${error.message}. Clear it to start over.`);
+        }
+    }
+
+    _getMatchingEntry(filePath, fileStats) {
+        const entry = this.data.files[path.resolve(filePath)];
+        if (!entry) return null;
+        const current = fingerprintFromStats(fileStats);
+        const recorded = entry.file;
+        if (current.size !== recorded.size || current.mtimeMs !== recorded.mtimeMs || current.ino !== recorded.ino) return null;
+        return entry;
+    }
+
+    /** Cached checksum of the file for checksumSpec ({ algorithm, encoding }), or null when unknown or the file changed. */
+    getChecksum(filePath, fileStats, checksumSpec = DEFAULT_CHECKSUM) {
+        const entry = this._getMatchingEntry(filePath, fileStats);
+        if (!entry) return null;
+        return entry.checksumType === getChecksumType(checksumSpec) ? entry.checksum || null : null;
+    }
+
+    /** The recorded upload ({ s3_key, confirmedAt }) if this unchanged file was confirmed to destination, else null. */
+    getUpload(filePath, fileStats, destination) {
+        return this._getMatchingEntry(filePath, fileStats)?.destinations[getDestinationKey(destination)] || null;
+    }
+
+    recordUpload(filePath, fileStats, { checksum, checksumSpec = DEFAULT_CHECKSUM, s3Key, destination }) {
+        const key = path.resolve(filePath);
+        const checksumType = getChecksumType(checksumSpec);
+        let entry = this._getMatchingEntry(filePath, fileStats);
+        if (!entry || (entry.checksumType === checksumType && entry.checksum !== checksum)) {
+            // Content changed: earlier destinations hold the old version.
+            entry = { file: fingerprintFromStats(fileStats), destinations: {} };
+            this.data.files[key] = entry;
+        }
+        // With another checksum type the values cannot be compared; the unchanged fingerprint keeps the destinations.
+        entry.checksum = checksum;
+        entry.checksumType = checksumType;
+        entry.destinations[getDestinationKey(destination)] = { s3_key: s3Key, confirmedAt: new Date().toISOString() };
+        this.dirty = true;
+    }
+
+    /** Forgets entries for filePath and everything under it, or every entry when called without a path. */
+    invalidate(filePath) {
+        if (!filePath) {
+            this.data.files = {};
+        } else {
+            const prefix = path.resolve(filePath);
+            for (const key of Object.keys(this.data.files)) {
+                if (key === prefix || key.startsWith(prefix + path.sep)) delete this.data.files[key];
+            }
+        }
+        this.dirty = true;
+    }
+
+    async save() {
+        if (!this.dirty) return this._writeChain;
+        this.dirty = false;
+        // Serialize writes so a slow earlier save cannot overwrite a newer one.
+        this._writeChain = this._writeChain.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+            const tmpPath = `${this.cachePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(this.data), 'utf-8');
+            await fs.rename(tmpPath, this.cachePath);
+        });
+        return this._writeChain;
+    }
+}
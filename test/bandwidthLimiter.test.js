@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnvironment, MiB } from './helpers.js';
+import { BandwidthLimiter, ConfigurationError, UploadAbortedError } from '../index.js';
+import { parseScheduleEntry } from '../bandwidthLimiter.js';
+
+const atLocalTime = (hours, minutes = 0) => () => new Date(2024, 0, 15, hours, minutes).getTime();
+
+describe("BandwidthLimiter", () => {
+    it("parses schedule windows, including ones that wrap past midnight", () => {
+        assert.deepEqual(parseScheduleEntry("22:00-06:30=unlimited"), { startMinute: 1320, endMinute: 390, bytesPerSecond: null });
+        assert.deepEqual(parseScheduleEntry("08:00-18:00=500000"), { startMinute: 480, endMinute: 1080, bytesPerSecond: 500000 });
+        for (const invalid of ["8-18=1", "08:00-25:00=1", "08:00-18:00=0", "08:00-18:00=fast"]) {
+            assert.equal(parseScheduleEntry(invalid), null, invalid);
+        }
+    });
+
+    it("applies the first schedule window covering the local time, else maxBytesPerSecond", () => {
+        const schedule = ["22:00-06:00=unlimited", "12:00-13:00=1000"];
+        assert.equal(new BandwidthLimiter({ maxBytesPerSecond: 5000, schedule, now: atLocalTime(23) }).getCurrentLimit(), null);
+        assert.equal(new BandwidthLimiter({ maxBytesPerSecond: 5000, schedule, now: atLocalTime(5, 59) }).getCurrentLimit(), null);
+        assert.equal(new BandwidthLimiter({ maxBytesPerSecond: 5000, schedule, now: atLocalTime(12, 30) }).getCurrentLimit(), 1000);
+        assert.equal(new BandwidthLimiter({ maxBytesPerSecond: 5000, schedule, now: atLocalTime(9) }).getCurrentLimit(), 5000);
+    });
+
+    it("rejects invalid limits and schedule entries", () => {
+        assert.throws(() => new BandwidthLimiter({ maxBytesPerSecond: 0 }), ConfigurationError);
+        assert.throws(() => new BandwidthLimiter({ schedule: ["nightly=unlimited"] }), ConfigurationError);
+    });
+
+    it("stops waiting when the signal aborts", async () => {
+        const limiter = new BandwidthLimiter({ maxBytesPerSecond: 1000 });
+        const controller = new AbortController();
+        const waiting = limiter.consume(1000, controller.signal);
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(waiting, UploadAbortedError);
+    });
+});
+
+describe("bandwidth throttling", () => {
+    it("shares one limit across concurrent files", async () => {
+        const env = await createTestEnvironment({ config: { max_bandwidth: MiB } });
+        try {
+            await env.writeFile("a.bin", MiB / 2);
+            await env.writeFile("b.bin", MiB / 2);
+            const started = Date.now();
+            const result = await env.createUploader({ fileConcurrency: 2 }).upload(env.dataDir, "c");
+
+            assert.equal(result.successfulUploads, 2);
+            assert.ok(Date.now() - started >= 900, `took ${Date.now() - started} ms`);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("throttles presigned POST uploads too", async () => {
+        const env = await createTestEnvironment({ server: { singleUploadMethod: "POST" }, config: { max_bandwidth: MiB } });
+        try {
+            const filePath = await env.writeFile("posted.bin", MiB / 2);
+            const started = Date.now();
+            const result = await env.createUploader().upload(filePath, "c");
+
+            assert.equal(env.server.getObject(result.s3_key).size, MiB / 2);
+            assert.ok(Date.now() - started >= 400, `took ${Date.now() - started} ms`);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("decides per attempt whether a retried presigned POST is throttled", async () => {
+        const env = await createTestEnvironment({ server: { singleUploadMethod: "POST" } });
+        try {
+            const filePath = await env.writeFile("posted.bin", MiB / 2);
+            const uploader = env.createUploader();
+            // The first attempt fails unthrottled; a limit set before the retry applies to it.
+            env.server.injectFault({ route: "s3:post", type: "error", statusCode: 500, when: () => { uploader.setMaxBandwidth(MiB); return true; } });
+            const started = Date.now();
+            const result = await uploader.upload(filePath, "c");
+
+            assert.equal(env.server.getObject(result.s3_key).size, MiB / 2);
+            assert.ok(Date.now() - started >= 400, `took ${Date.now() - started} ms`);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+        it("applies a limit changed while the upload runs", async () => {
+        const env = await createTestEnvironment({ config: { max_bandwidth: 64 * 1024 } });
+        try {
+            const filePath = await env.writeFile("slow.bin", MiB);
+            const uploader = env.createUploader();
+            const started = Date.now();
+            setTimeout(() => uploader.setMaxBandwidth(null), 200);
+            await uploader.upload(filePath, "c");
+
+            // At 64 KiB/s the file would take 16 seconds.
+            assert.ok(Date.now() - started < 3000, `took ${Date.now() - started} ms`);
+        } finally {
+            await env.cleanup();
+        }
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+import { BatchUploadError, ConfigurationError, UploadAbortedError } from '../index.js';
+
+describe("uploadBatch", () => {
+    const env = useTestEnvironment({ config: { max_transfers: 2 } });
+
+    async function writeProducts() {
+        await env.writeFile("product-a/a1.nc", "a1");
+        await env.writeFile("product-a/a2.nc", "a2");
+        const b1 = await env.writeFile("product-b/b1.nc", "b1");
+        return { a: path.join(env.dataDir, "product-a"), b: path.join(env.dataDir, "product-b"), b1 };
+    }
+
+    it("uploads every job to its own collection and target path within the shared transfer limit", async () => {
+        const sources = await writeProducts();
+        const uploader = env.createUploader();
+        let peak = 0;
+        env.server.injectFault({ route: "s3:put", type: "latency", delayMs: 20, times: Infinity, when: () => {
+            peak = Math.max(peak, uploader.scheduler.activeTransfers);
+            return true;
+        } });
+        const jobsDone = []; const fileJobs = new Set(); const progress = [];
+        uploader.on("job:done", ({ job, status }) => jobsDone.push(`${job}:${status}`));
+        uploader.on("file:done", ({ job }) => fileJobs.add(job));
+
+        const result = await uploader.uploadBatch([
+            { source: sources.a, collection: "coll-a", targetPath: "daily" },
+            { source: sources.b, collection: "coll-b", options: { targetPath: "b-path" } },
+            { source: sources.b1, collection: "coll-c" }
+        ], { concurrency: 3, onBatchProgress: snapshot => progress.push(snapshot) });
+
+        assert.deepEqual(
+            [result.totalJobs, result.successfulJobs, result.failedJobs, result.totalFiles, result.successfulUploads],
+            [3, 3, 0, 4, 4]
+        );
+        assert.deepEqual(result.jobs[0].result.results.map(r => r.s3_key).sort(), ["coll-a/daily/a1.nc", "coll-a/daily/a2.nc"]);
+        assert.deepEqual(result.jobs[1].result.results.map(r => r.s3_key), ["coll-b/b-path/b1.nc"]);
+        assert.equal(result.jobs[2].result.s3_key, "coll-c/b1.nc");
+        assert.ok(peak <= 2, `peak of ${peak} transfers`);
+
+        assert.deepEqual(jobsDone.sort(), ["0:success", "1:success", "2:success"]);
+        assert.deepEqual([...fileJobs].sort(), [0, 1, 2]);
+        const last = progress.at(-1);
+        assert.equal(last.jobsDone, 3);
+        assert.equal(last.loaded, 8);
+        assert.equal(last.total, 8);
+    });
+
+    it("keeps the sync records of every job that ran at the same time", async () => {
+        const sources = await writeProducts();
+        env.server.injectFault({ route: "s3:put", type: "latency", delayMs: 20, times: Infinity });
+        const jobs = [
+            { source: sources.a, collection: "coll-a", options: { sync: true } },
+            { source: sources.b, collection: "coll-b", options: { sync: true } }
+        ];
+        await env.createUploader().uploadBatch(jobs, { concurrency: 2 });
+
+        const putsBefore = env.server.requests.filter(r => r.route === "s3:put").length;
+        const result = await env.createUploader().uploadBatch(jobs, { concurrency: 2 });
+        assert.deepEqual(result.jobs.map(job => job.result.skippedUploads), [2, 1]);
+        assert.equal(env.server.requests.filter(r => r.route === "s3:put").length, putsBefore);
+    });
+
+    it("runs every job by default and reports the failed ones in a BatchUploadError", async () => {
+        const sources = await writeProducts();
+        env.server.injectFault({ route: "s3:put", type: "error", statusCode: 500, times: Infinity, when: r => r.s3Key.startsWith("coll-b/") });
+
+        const error = await env.createUploader().uploadBatch([
+            { source: sources.b1, collection: "coll-b" },
+            { source: sources.a, collection: "coll-a" }
+        ], { concurrency: 1 }).catch(e => e);
+
+        assert.ok(error instanceof BatchUploadError, error);
+        const { batchResult } = error;
+        assert.deepEqual(batchResult.jobs.map(j => j.status), ["failed", "success"]);
+        assert.equal(batchResult.jobs[0].error.code, "ERR_S3_TRANSFER");
+        assert.deepEqual([batchResult.failedJobs, batchResult.failedUploads, batchResult.successfulUploads], [1, 1, 2]);
+    });
+
+    it("cancels the remaining jobs after the first failure with onError 'stop'", async () => {
+        const sources = await writeProducts();
+        const error = await env.createUploader().uploadBatch([
+            { source: path.join(env.dataDir, "missing.nc"), collection: "coll-x" },
+            { source: sources.a, collection: "coll-a" }
+        ], { concurrency: 1, onError: "stop" }).catch(e => e);
+
+        assert.ok(error instanceof BatchUploadError, error);
+        assert.deepEqual(error.batchResult.jobs.map(j => j.status), ["failed", "cancelled"]);
+        assert.equal(error.batchResult.cancelledJobs, 1);
+        assert.ok(!env.server.requests.some(r => r.route === "s3:put"));
+    });
+
+    it("rejects with UploadAbortedError when the batch signal aborts", async () => {
+        const sources = await writeProducts();
+        const controller = new AbortController();
+        const uploader = env.createUploader();
+        uploader.on("job:done", () => controller.abort());
+
+        const error = await uploader.uploadBatch([
+            { source: sources.b1, collection: "coll-b" },
+            { source: sources.a, collection: "coll-a" }
+        ], { concurrency: 1, signal: controller.signal }).catch(e => e);
+
+        assert.ok(error instanceof UploadAbortedError, error);
+        assert.deepEqual(error.batchResult.jobs.map(j => j.status), ["success", "cancelled"]);
+    });
+
+    it("validates every job before uploading", async () => {
+        const uploader = env.createUploader();
+        await assert.rejects(uploader.uploadBatch([]), ConfigurationError);
+        await assert.rejects(uploader.uploadBatch([{ source: env.dataDir, collection: "c" }, { source: env.dataDir }]), /Batch job 1 needs a collection/);
+        await assert.rejects(uploader.uploadBatch([{ source: env.dataDir, collection: "c", options: { signal: new AbortController().signal } }]), ConfigurationError);
+        await assert.rejects(uploader.uploadBatch([{ source: env.dataDir, collection: "c" }], { onError: "retry" }), ConfigurationError);
+        assert.deepEqual(env.server.requests, []);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { useTestEnvironment } from './helpers.js';
+
+const CLI_PATH = fileURLToPath(new URL('../bin/cue-upload.js', import.meta.url));
+
+// Runs the CLI in a child process; resolves with its exit code and output instead of rejecting on failure.
+function runCli(args) {
+    const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith("CUE_UPLOAD_")));
+    return new Promise((resolve) => {
+        execFile(process.execPath, [CLI_PATH, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe("cue-upload CLI", () => {
+    const env = useTestEnvironment();
+
+    it("prints usage with exit code 0 for --help and 1 without a command", async () => {
+        const help = await runCli(["--help"]);
+        assert.equal(help.code, 0);
+        assert.match(help.stdout, /^Usage: cue-upload <command>/);
+
+        const noCommand = await runCli([]);
+        assert.equal(noCommand.code, 1);
+        assert.match(noCommand.stdout, /^Usage:/);
+    });
+
+    it("exits with 1 on unknown commands, unknown options and missing arguments", async () => {
+        const unknownCommand = await runCli(["frobnicate"]);
+        assert.equal(unknownCommand.code, 1);
+        assert.match(unknownCommand.stderr, /Unknown command: frobnicate/);
+
+        const unknownOption = await runCli(["upload", "a", "b", "--no-such-option"]);
+        assert.equal(unknownOption.code, 1);
+        assert.match(unknownOption.stderr, /no-such-option/);
+
+        const missingCollection = await runCli(["upload", env.dataDir, "--config", env.configPath]);
+        assert.equal(missingCollection.code, 1);
+        assert.match(missingCollection.stderr, /upload requires <path> and <collection>/);
+    });
+
+    it("saves configure values as JSON and ignore patterns to the config file", async () => {
+        assert.equal((await runCli(["configure", "file_concurrency", "3", "--config", env.configPath])).code, 0);
+        assert.equal((await runCli(["ignore", "add", "scratch/", "--config", env.configPath])).code, 0);
+        const saved = JSON.parse(await fs.readFile(env.configPath, "utf8"));
+        assert.equal(saved.file_concurrency, 3);
+        assert.ok(saved.user_ignored_patterns.includes("scratch/"));
+    });
+
+    it("exits with 0 when every file uploads and 2 when only some do", async () => {
+        await env.writeFile("good.txt", "good");
+        const uploaded = await runCli(["upload", env.dataDir, "c", "--config", env.configPath, "--quiet"]);
+        assert.equal(uploaded.code, 0, uploaded.stderr);
+        assert.match(uploaded.stdout, /Uploaded 1\/1 file\(s\) to c\./);
+
+        env.server.injectFault({ route: "s3:put", type: "error", statusCode: 500, times: Infinity, when: r => r.s3Key.endsWith("bad.txt") });
+        await env.writeFile("bad.txt", "bad");
+        const partial = await runCli(["upload", env.dataDir, "c", "--config", env.configPath, "--quiet", "--ignore", "good.*"]);
+        assert.equal(partial.code, 1, "only failures is a fatal exit");
+        const both = await runCli(["upload", env.dataDir, "c", "--config", env.configPath, "--quiet"]);
+        assert.equal(both.code, 2);
+        assert.match(both.stderr, /bad\.txt: /);
+    });
+
+    it("exits with 2 when a sync run skips unchanged files and the rest fail", async () => {
+        await env.writeFile("good.txt", "good");
+        assert.equal((await runCli(["upload", env.dataDir, "c", "--config", env.configPath, "--quiet", "--sync"])).code, 0);
+
+        env.server.injectFault({ route: "s3:put", type: "error", statusCode: 500, times: Infinity, when: r => r.s3Key.endsWith("bad.txt") });
+        await env.writeFile("bad.txt", "bad");
+        const synced = await runCli(["upload", env.dataDir, "c", "--config", env.configPath, "--quiet", "--sync"]);
+        assert.equal(synced.code, 2, synced.stderr);
+        assert.equal(env.server.requests.filter(r => r.route === "s3:put" && r.s3Key.endsWith("good.txt")).length, 1);
+    });
+});
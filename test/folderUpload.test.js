@@ -0,0 +1,89 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { useTestEnvironment, MiB } from './helpers.js';
+import { FolderUploadError } from '../index.js';
+
+describe("folder upload", () => {
+    const env = useTestEnvironment();
+    beforeEach(async () => {
+        await env.writeFile("a.txt", "alpha");
+        await env.writeFile("nested/b.txt", "bravo");
+        await env.writeFile("nested/deeper/large.bin", 11 * MiB);
+        await env.writeFile("scratch.tmp", "ignored by default");
+    });
+
+    it("uploads the tree, keeping relative paths under the target path", async () => {
+        const result = await env.createUploader().upload(env.dataDir, "c", { targetPath: "run-1" });
+
+        assert.equal(result.totalFiles, 3);
+        assert.equal(result.successfulUploads, 3);
+        assert.deepEqual(env.server.listObjects().sort(), ["c/run-1/a.txt", "c/run-1/nested/b.txt", "c/run-1/nested/deeper/large.bin"]);
+        assert.deepEqual(
+            await env.server.readObject("c/run-1/nested/deeper/large.bin"),
+            await fs.readFile(path.join(env.dataDir, "nested/deeper/large.bin"))
+        );
+        assert.ok(env.server.requests.some(r => r.route === "multipart/complete"));
+    });
+
+    it("honours ignore and include patterns", async () => {
+        const result = await env.createUploader().upload(env.dataDir, "c", { ignore: ["nested/deeper/"], include: ["*.txt"] });
+        assert.deepEqual(result.results.map(r => r.relativePath).sort(), ["a.txt", path.join("nested", "b.txt")]);
+    });
+
+    it("includes every file below a directory matched by an include pattern", async () => {
+        const plan = await env.createUploader().plan(env.dataDir, "c", { include: ["nested/"] });
+        assert.deepEqual(
+            plan.entries.filter(e => e.action === "upload").map(e => e.relativePath).sort(),
+            [path.join("nested", "b.txt"), path.join("nested", "deeper", "large.bin")]
+        );
+        const deeper = await env.createUploader().plan(env.dataDir, "c", { include: ["deeper"] });
+        assert.deepEqual(deeper.entries.filter(e => e.action === "upload").map(e => e.relativePath), [path.join("nested", "deeper", "large.bin")]);
+    });
+
+    it("reports failed files in folderResult and uploads the rest", async () => {
+        // Only the two small files go through upload/upload_url; large.bin is multipart.
+        env.server.injectFault({ route: "upload/upload_url", type: "error", statusCode: 400, times: Infinity });
+        const error = await env.createUploader().upload(env.dataDir, "c").catch(e => e);
+
+        assert.ok(error instanceof FolderUploadError);
+        const { folderResult } = error;
+        assert.equal(folderResult.failedUploads, 2);
+        assert.equal(folderResult.successfulUploads, 1);
+        for (const failed of folderResult.results.filter(r => r.status === "failed")) {
+            assert.equal(failed.errorCode, "ERR_API_VALIDATION");
+            assert.equal(failed.retryable, false);
+        }
+    });
+
+    it("skips unchanged files on a second sync run", async () => {
+        const uploader = env.createUploader();
+        await uploader.upload(env.dataDir, "c", { sync: true });
+        await env.writeFile("a.txt", "alpha, edited");
+        const requestsBefore = env.server.requests.length;
+        const result = await uploader.upload(env.dataDir, "c", { sync: true });
+
+        assert.equal(result.successfulUploads, 1);
+        assert.equal(result.skippedUploads, 2);
+        assert.deepEqual(env.server.requests.slice(requestsBefore).map(r => r.route), ["upload/upload_url", "s3:put", "upload/confirm_single"]);
+        assert.equal((await env.server.readObject("c/a.txt")).toString(), "alpha, edited");
+    });
+
+    it("reports objects that fail verification as failed files", async () => {
+        // The backend reports b.txt one byte short: the upload succeeds, verification does not.
+        const getObjectInfo = env.server._getObjectInfo.bind(env.server);
+        env.server._getObjectInfo = async (payload) => {
+            const [statusCode, info] = await getObjectInfo(payload);
+            return [statusCode, payload.s3_key.endsWith("b.txt") ? { ...info, size: info.size - 1 } : info];
+        };
+        const error = await env.createUploader().upload(env.dataDir, "c", { verify: true }).catch(e => e);
+
+        assert.ok(error instanceof FolderUploadError);
+        assert.equal(error.folderResult.verificationFailures, 1);
+        const failed = error.folderResult.results.find(r => r.status === "failed");
+        assert.equal(failed.errorCode, "ERR_VERIFICATION_FAILED");
+        assert.equal(failed.s3_key, "c/nested/b.txt");
+        assert.deepEqual(failed.verification.mismatches, [{ field: "size", expected: 5, actual: 4 }]);
+    });
+});
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { beforeEach, afterEach } from 'node:test';
+import { MockCUEServer, CUEUploader } from '../index.js';
+
+export const TEST_TOKEN = "test-token";
+export const MiB = 1024 * 1024;
+
+/**
+ * Starts a MockCUEServer and writes a config.json pointing the `local`
+ * environment at it, in a temp directory that also holds journals, the sync
+ * cache and test files. Small multipart threshold and retry delays keep tests fast.
+ */
+export async function createTestEnvironment({ server: serverOptions = {}, config = {} } = {}) {
+    const server = await new MockCUEServer({ token: TEST_TOKEN, ...serverOptions }).start();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "cue-upload-test-"));
+    const configPath = path.join(dir, "config.json");
+    await fs.writeFile(configPath, JSON.stringify({
+        api_token: TEST_TOKEN,
+        default_env: "local",
+        environments: { local: server.apiUrl },
+        multipart_threshold_gb: 10 / 1024, // 10 MiB
+        multipart_chunk_size_mb: 5,
+        retry_attempts: 3,
+        retry_base_delay_ms: 5,
+        retry_max_delay_ms: 20,
+        log_level: "SILENT",
+        ...config
+    }, null, 2));
+
+    return {
+        server,
+        dir,
+        configPath,
+        createUploader(options = {}) {
+            return new CUEUploader({ configPath, ...options });
+        },
+        // Writes content (a string/Buffer, or a byte count for random data) to a path relative to the temp directory.
+        async writeFile(relativePath, content) {
+            const filePath = path.join(dir, "data", relativePath);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, typeof content === 'number' ? crypto.randomBytes(content) : content);
+            return filePath;
+        },
+        dataDir: path.join(dir, "data"),
+        async cleanup() {
+            await server.stop();
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Registers hooks in the calling suite that give every test a fresh
+ * createTestEnvironment(options) and clean it up afterwards. Returns a
+ * stand-in that reads from the current test's environment.
+ */
+export function useTestEnvironment(options) {
+    let current = null;
+    beforeEach(async () => { current = await createTestEnvironment(options); });
+    afterEach(async () => { await current.cleanup(); current = null; });
+    return new Proxy({}, { get: (_, property) => current[property] });
+}
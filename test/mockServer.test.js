@@ -0,0 +1,115 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { MockCUEServer, ChecksumMismatchError, RetryPolicy } from '../index.js';
+import { ApiClient } from '../apiClient.js';
+import { calculateChecksumForBytes, getS3ChecksumHeaders } from '../utils.js';
+
+const SPEC = { algorithm: "sha256", encoding: "base64" };
+const noRetries = new RetryPolicy({ retryAttempts: 0 });
+
+describe("MockCUEServer", () => {
+    let server;
+    let api;
+    before(async () => {
+        server = await new MockCUEServer().start();
+        api = new ApiClient({ environments: { local: server.apiUrl }, default_env: "local" }, {}, "any-token", undefined, noRetries);
+    });
+    after(async () => { await server.stop(); });
+    beforeEach(() => { server.clearFaults(); });
+
+    async function putSingle(body, { checksum = calculateChecksumForBytes(body, SPEC), fileName = "file.txt" } = {}) {
+        const { url, s3_key } = await api.getPresignedUrlSingle({ file_name: fileName, collection: "c", size: body.length, checksum, ...SPEC });
+        await api.uploadPartToS3PresignedPut(url, body, { headers: getS3ChecksumHeaders(checksum, SPEC) });
+        return s3_key;
+    }
+
+    it("rejects a body that does not match its checksum header with BadDigest", async () => {
+        const wrongChecksum = calculateChecksumForBytes(Buffer.from("something else"), SPEC);
+        await assert.rejects(putSingle(Buffer.from("payload"), { checksum: wrongChecksum }), ChecksumMismatchError);
+    });
+
+    it("reports size, checksum and MD5 ETag of a stored object", async () => {
+        const body = Buffer.from("stored");
+        const s3Key = await putSingle(body, { fileName: "info.txt" });
+        const info = await api.getObjectInfo({ s3_key: s3Key, collection: "c" });
+
+        assert.equal(info.size, body.length);
+        assert.equal(info.checksum, calculateChecksumForBytes(body, SPEC));
+        assert.equal(info.etag, calculateChecksumForBytes(body, { algorithm: "md5", encoding: "hex" }));
+    });
+
+    it("refuses to complete with a part whose ETag does not match", async () => {
+        const { upload_id, s3_key } = await api.startMultipartUpload({ file_name: "mp.bin", collection: "c", ...SPEC });
+        const { presigned_url } = await api.getPresignedUrlForPart({ upload_id, part_number: 1 });
+        await api.uploadPartToS3PresignedPut(presigned_url, Buffer.from("part one"));
+
+        await assert.rejects(
+            api.completeMultipartUpload({ upload_id, s3_key, parts: [{ PartNumber: 1, ETag: "0".repeat(32) }] }),
+            { statusCode: 400 }
+        );
+        await api.abortMultipartUpload({ upload_id, s3_key });
+        assert.deepEqual(server.listMultipartUploads(), []);
+    });
+
+    it("rejects a confirm or complete whose checksum does not match the stored object", async () => {
+        const wrongChecksum = calculateChecksumForBytes(Buffer.from("something else"), SPEC);
+        const s3Key = await putSingle(Buffer.from("confirmed"), { fileName: "confirm.txt" });
+        await assert.rejects(api.confirmSingleUpload({ s3_key: s3Key, collection: "c", checksum: wrongChecksum, ...SPEC }), { statusCode: 400 });
+
+        const body = Buffer.from("part one");
+        const { upload_id, s3_key } = await api.startMultipartUpload({ file_name: "mp-checksum.bin", collection: "c", ...SPEC });
+        const { presigned_url } = await api.getPresignedUrlForPart({ upload_id, part_number: 1 });
+        const { headers } = await api.uploadPartToS3PresignedPut(presigned_url, body);
+        const complete = (checksum) => api.completeMultipartUpload({ upload_id, s3_key, parts: [{ PartNumber: 1, ETag: headers.etag }], checksum, ...SPEC });
+
+        await assert.rejects(complete(wrongChecksum), { statusCode: 400 });
+        assert.equal(server.getObject(s3_key), null);
+        const completed = await complete(calculateChecksumForBytes(body, SPEC));
+        assert.equal(completed.size, body.length);
+    });
+
+    it("rejects presigned URLs it did not sign", async () => {
+        const response = await axios.put(`${server.baseUrl}s3/c/forged.txt?X-Amz-Signature=nope`, "x", { validateStatus: () => true });
+        assert.equal(response.status, 403);
+        assert.match(response.data, /SignatureDoesNotMatch/);
+    });
+
+    it("expires presigned URLs after urlExpiresInMs", async () => {
+        const shortLived = await new MockCUEServer({ urlExpiresInMs: 0 }).start();
+        try {
+            const client = new ApiClient({ environments: { local: shortLived.apiUrl }, default_env: "local" }, {}, "t", undefined, noRetries);
+            const { url } = await client.getPresignedUrlSingle({ file_name: "late.txt", collection: "c", size: 1, checksum: "x" });
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await assert.rejects(client.uploadPartToS3PresignedPut(url, Buffer.from("x")), { statusCode: 403 });
+        } finally {
+            await shortLived.stop();
+        }
+    });
+
+    it("applies injected faults to matching requests only, as many times as asked", async () => {
+        const fault = server.injectFault({ route: "upload/upload_url", type: "error", statusCode: 502, times: 2 });
+        const payload = { file_name: "f.txt", collection: "c", size: 1, checksum: "x" };
+        await assert.rejects(api.getPresignedUrlSingle(payload), { statusCode: 502 });
+        await assert.rejects(api.getPresignedUrlSingle(payload), { statusCode: 502 });
+        await api.getPresignedUrlSingle(payload);
+        assert.equal(fault.hits, 2);
+    });
+
+    it("delays requests with a latency fault", async () => {
+        server.injectFault({ route: "upload/upload_url", type: "latency", delayMs: 100 });
+        const started = Date.now();
+        await api.getPresignedUrlSingle({ file_name: "slow.txt", collection: "c", size: 1, checksum: "x" });
+        assert.ok(Date.now() - started >= 90);
+    });
+
+    it("requires the configured token", async () => {
+        const guarded = await new MockCUEServer({ token: "right" }).start();
+        try {
+            const client = new ApiClient({ environments: { local: guarded.apiUrl }, default_env: "local" }, {}, "wrong", undefined, noRetries);
+            await assert.rejects(client.startMultipartUpload({ file_name: "x", collection: "c" }), { code: "ERR_AUTHENTICATION", statusCode: 401 });
+        } finally {
+            await guarded.stop();
+        }
+    });
+});
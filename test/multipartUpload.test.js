@@ -0,0 +1,188 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createTestEnvironment, useTestEnvironment, MiB } from './helpers.js';
+import { ConfigurationError, CUEUploadError, MultipartUploadError, S3TransferError, UploadAbortedError } from '../index.js';
+import { getPartSizing, isMultipartSize } from '../multipartUploader.js';
+import { computeMultipartEtag, md5 } from '../uploadVerifier.js';
+
+const FILE_SIZE = 12 * MiB; // Three 5 MiB parts, the last one 2 MiB
+
+describe("multipart upload", () => {
+    const env = useTestEnvironment();
+
+    it("uploads every part and completes with the composite ETag", async () => {
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+        const result = await env.createUploader().upload(filePath, "c", { verify: true });
+
+        const content = await fs.readFile(filePath);
+        const partMd5s = [0, 1, 2].map(i => md5(content.subarray(i * 5 * MiB, (i + 1) * 5 * MiB)));
+        assert.deepEqual(await env.server.readObject(result.s3_key), content);
+        assert.equal(env.server.getObject(result.s3_key).etag, computeMultipartEtag(partMd5s));
+        assert.equal(env.server.requests.filter(r => r.route === "s3:part").length, 3);
+        assert.deepEqual(result.verification.checks, { size: "match", checksum: "match", etag: "match" });
+        assert.deepEqual(env.server.listMultipartUploads(), []);
+    });
+
+    it("retries a part that fails with 5xx", async () => {
+        env.server.injectFault({ route: "s3:part", type: "error", statusCode: 500, when: r => r.partNumber === 2 });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+        const result = await env.createUploader().upload(filePath, "c");
+
+        assert.equal(result.retries, 1);
+        assert.deepEqual(await env.server.readObject(result.s3_key), await fs.readFile(filePath));
+    });
+
+    it("aborts the upload when a part keeps failing", async () => {
+        env.server.injectFault({ route: "s3:part", type: "drop", times: Infinity, when: r => r.partNumber === 3 });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+
+        const error = await env.createUploader().uploadBuffer(await fs.readFile(filePath), "big.nc", "c").catch(e => e);
+        assert.ok(error instanceof MultipartUploadError);
+        assert.deepEqual(error.failedParts.map(p => p.partNumber), [3]);
+        assert.ok(env.server.requests.some(r => r.route === "multipart/abort" && r.status === 204));
+        assert.deepEqual(env.server.listMultipartUploads(), []);
+    });
+
+    it("aborts a failed file upload and removes its journal unless resume is set", async () => {
+        env.server.injectFault({ route: "s3:part", type: "error", statusCode: 500, times: Infinity, when: r => r.partNumber === 2 });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+        await assert.rejects(env.createUploader().upload(filePath, "c"), MultipartUploadError);
+        assert.deepEqual(env.server.listMultipartUploads(), []);
+        assert.deepEqual(await fs.readdir(path.join(env.dir, "journals")), []);
+
+        env.server.clearFaults();
+        env.server.injectFault({ route: "multipart/complete", type: "error", statusCode: 500, times: Infinity });
+        await assert.rejects(env.createUploader().upload(filePath, "c"));
+        assert.deepEqual(env.server.listMultipartUploads(), []);
+        assert.deepEqual(await fs.readdir(path.join(env.dir, "journals")), []);
+    });
+
+    it("keeps a failed file upload open with resume and resumes only the missing parts", async () => {
+        const fault = env.server.injectFault({ route: "s3:part", type: "error", statusCode: 500, times: Infinity, when: r => r.partNumber === 2 });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+        const uploader = env.createUploader();
+        await assert.rejects(uploader.upload(filePath, "c", { resume: true }), MultipartUploadError);
+        assert.equal(env.server.listMultipartUploads().length, 1);
+
+        env.server.clearFaults();
+        const partsBefore = env.server.requests.filter(r => r.route === "s3:part" && r.status === 200).length;
+        const result = await uploader.upload(filePath, "c", { resume: true, verify: true });
+        const partsAfter = env.server.requests.filter(r => r.route === "s3:part" && r.status === 200).length;
+
+        assert.ok(fault.hits > 0);
+        assert.equal(partsAfter - partsBefore, 1);
+        assert.equal(result.verification.verified, true);
+        assert.deepEqual(await env.server.readObject(result.s3_key), await fs.readFile(filePath));
+        assert.deepEqual(await fs.readdir(path.join(env.dir, "journals")), []);
+    });
+
+    it("rejects a corrupt journal with a CUEUploadError", async () => {
+        env.server.injectFault({ route: "s3:part", type: "error", statusCode: 500, times: Infinity, when: r => r.partNumber === 2 });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+        await assert.rejects(env.createUploader().upload(filePath, "c", { resume: true }), MultipartUploadError);
+        const [journalFile] = await fs.readdir(path.join(env.dir, "journals"));
+        await fs.writeFile(path.join(env.dir, "journals", journalFile), "{ not json");
+
+        const error = await env.createUploader().upload(filePath, "c", { resume: true }).catch(e => e);
+        assert.ok(error instanceof CUEUploadError, error);
+        assert.equal(error.code, "ERR_JOURNAL_CORRUPT");
+    });
+
+    it("fails without retrying when a presigned URL has expired", async () => {
+        env.server.injectFault({ route: "s3:part", type: "expire", times: Infinity });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+
+        const error = await env.createUploader().upload(filePath, "c").catch(e => e);
+        assert.ok(error instanceof MultipartUploadError);
+        assert.ok(error.failedParts.every(p => p.error instanceof S3TransferError && p.error.statusCode === 403));
+        assert.equal(error.retryable, false);
+    });
+
+    it("aborts the backend upload when cancelled", async () => {
+        // Cancel once the first part is in flight, so the multipart upload exists on the backend.
+        const controller = new AbortController();
+        env.server.injectFault({ route: "s3:part", type: "latency", delayMs: 200, times: Infinity, when: () => { controller.abort(); return true; } });
+        const filePath = await env.writeFile("big.nc", FILE_SIZE);
+
+        await assert.rejects(env.createUploader().upload(filePath, "c", { signal: controller.signal }), UploadAbortedError);
+        assert.ok(env.server.requests.some(r => r.route === "multipart/abort"));
+        assert.deepEqual(env.server.listMultipartUploads(), []);
+    });
+
+    it("streams a large stream of unknown length as multipart", async () => {
+        const content = (await fs.readFile(await env.writeFile("big.nc", FILE_SIZE)));
+        async function* generate() {
+            for (let offset = 0; offset < content.length; offset += MiB) yield content.subarray(offset, offset + MiB);
+        }
+        const result = await env.createUploader().uploadStream(generate(), "streamed.nc", "c", { verify: true });
+
+        assert.equal(result.size, FILE_SIZE);
+        assert.equal(result.verification.verified, true);
+        assert.deepEqual(await env.server.readObject(result.s3_key), content);
+    });
+});
+
+describe("part sizing", () => {
+    const GiB = 1024 * MiB;
+    const auto = { multipart_chunk_size_mb: "auto", multipart_memory_budget_mb: 1024, part_concurrency: 4 };
+
+    it("keeps auto-sized parts within the memory budget and the S3 part limit", () => {
+        assert.deepEqual(getPartSizing(100 * GiB, auto), { partSize: 256 * MiB, partCount: 400, strategy: "auto" });
+
+        const { partSize, partCount } = getPartSizing(3000 * GiB, auto);
+        assert.ok(partCount <= 10000);
+        assert.equal(partSize % MiB, 0);
+        assert.equal(getPartSizing(60000 * GiB, auto).partSize, 5 * GiB);
+    });
+
+    it("spreads a small file over every worker, but not below 5 MiB", () => {
+        assert.equal(getPartSizing(40 * MiB, auto).partSize, 10 * MiB);
+        assert.equal(getPartSizing(12 * MiB, auto).partSize, 5 * MiB);
+    });
+
+    it("switches to multipart just above the 1 GiB threshold, in parts that fill every worker", () => {
+        const defaults = { ...auto, multipart_threshold_gb: 1 };
+        assert.equal(isMultipartSize(GiB, defaults), false);
+        assert.equal(isMultipartSize(GiB + 1, defaults), true);
+        assert.deepEqual(getPartSizing(GiB + 1, defaults), { partSize: 256 * MiB, partCount: 5, strategy: "auto" });
+    });
+
+    it("grows parts past the memory budget only when 10,000 budget-sized parts are not enough (about 2.4 TiB)", () => {
+        const limit = 10000 * 256 * MiB;
+        assert.deepEqual(getPartSizing(limit, auto), { partSize: 256 * MiB, partCount: 10000, strategy: "auto" });
+        const { partSize, partCount } = getPartSizing(limit + 1, auto);
+        assert.equal(partSize, 257 * MiB);
+        assert.ok(partCount <= 10000);
+    });
+
+    it("uses a fixed multipart_chunk_size_mb as-is", () => {
+        assert.deepEqual(getPartSizing(100 * GiB, { ...auto, multipart_chunk_size_mb: 64 }), { partSize: 64 * MiB, partCount: 1600, strategy: "fixed" });
+    });
+
+    it("reports the chosen part size and count in the result", async () => {
+        const env = await createTestEnvironment({ config: { multipart_chunk_size_mb: "auto", multipart_memory_budget_mb: 8, part_concurrency: 1 } });
+        try {
+            const result = await env.createUploader().upload(await env.writeFile("big.nc", FILE_SIZE), "c");
+            assert.equal(result.part_size, 8 * MiB);
+            assert.equal(result.part_count, 2);
+            assert.equal(env.server.requests.filter(r => r.route === "s3:part").length, 2);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("refuses a fixed part size that needs more than 10,000 parts before starting", async () => {
+        const env = await createTestEnvironment();
+        try {
+            async function* never() { throw new Error("should not be read"); }
+            const error = await env.createUploader().uploadStream(never(), "huge.nc", "c", { size: 60 * GiB }).catch(e => e);
+            assert.ok(error instanceof ConfigurationError);
+            assert.match(error.message, /12288 parts of 5\.00 MiB.*at least 7/);
+            assert.deepEqual(env.server.requests, []);
+        } finally {
+            await env.cleanup();
+        }
+    });
+});
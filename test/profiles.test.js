@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { useTestEnvironment, TEST_TOKEN } from './helpers.js';
+import { ConfigurationError, AuthenticationError, createDefaultLogger } from '../index.js';
+import { resolveConfig, saveConfigValue } from '../config.js';
+
+const logger = createDefaultLogger({ level: "SILENT" });
+
+describe("config profiles", () => {
+    const env = useTestEnvironment();
+
+    async function addToConfig(values) {
+        const config = JSON.parse(await fs.readFile(env.configPath, "utf8"));
+        await fs.writeFile(env.configPath, JSON.stringify({ ...config, ...values }));
+    }
+
+    it("layers the selected profile between the file and environment variables", async () => {
+        await addToConfig({
+            file_concurrency: 2, part_concurrency: 3, user_ignored_patterns: ["*.log"],
+            profiles: {
+                archive: {
+                    file_concurrency: 8, part_concurrency: 6, user_ignored_patterns: ["scratch/"],
+                    environments: { archive: "https://archive.example.org/api/v1/" }
+                }
+            }
+        });
+        const { config, sources, profile } = await resolveConfig(env.configPath, logger, {
+            profile: "archive", env: { CUE_UPLOAD_PART_CONCURRENCY: "4" }, options: { retry_attempts: 1 }
+        });
+
+        assert.equal(profile, "archive");
+        assert.equal(config.file_concurrency, 8);
+        assert.deepEqual(sources.file_concurrency, { source: "profile", profile: "archive", path: env.configPath });
+        assert.equal(config.part_concurrency, 4);
+        assert.equal(config.retry_attempts, 1);
+        assert.deepEqual(config.user_ignored_patterns, ["scratch/"]);
+        assert.equal(config.environments.local, env.server.apiUrl);
+        assert.equal(config.environments.archive, "https://archive.example.org/api/v1/");
+        assert.ok(!("profiles" in config));
+    });
+
+    it("selects a profile from CUE_UPLOAD_PROFILE and rejects unknown profiles", async () => {
+        await addToConfig({ profiles: { a: { file_concurrency: 7 }, b: {} } });
+        const { config } = await resolveConfig(env.configPath, logger, { env: { CUE_UPLOAD_PROFILE: "a" } });
+        assert.equal(config.file_concurrency, 7);
+        await assert.rejects(resolveConfig(env.configPath, logger, { profile: "c", env: {} }), /Profile "c" is not defined .* Available profiles: a, b\./);
+    });
+
+    it("writes values into a profile, creating it, and leaves the top level alone", async () => {
+        await saveConfigValue("file_concurrency", 9, env.configPath, logger, { profile: "new" });
+        const saved = JSON.parse(await fs.readFile(env.configPath, "utf8"));
+        assert.deepEqual(saved.profiles, { new: { file_concurrency: 9 } });
+        assert.equal(saved.file_concurrency, undefined);
+    });
+
+    it("rejects custom environments that are not http(s) URLs", async () => {
+        await addToConfig({ profiles: { bad: { environments: { dev: "ftp://example.org/" } } } });
+        const error = await resolveConfig(env.configPath, logger, { profile: "bad", env: {} }).catch(e => e);
+        assert.ok(error instanceof ConfigurationError, error);
+        assert.match(error.message, /invalid URL for 'dev'/);
+    });
+
+    it("uploads with the selected profile's token", async () => {
+        await addToConfig({ api_token: "wrong-token", profiles: { ok: { api_token: TEST_TOKEN } } });
+        await assert.rejects(env.createUploader().uploadBuffer(Buffer.from("a"), "a.txt", "c"), AuthenticationError);
+        const result = await env.createUploader({ profile: "ok" }).uploadBuffer(Buffer.from("a"), "a.txt", "c");
+        assert.equal(result.s3_key, "c/a.txt");
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { useTestEnvironment, MiB } from './helpers.js';
+import { ProgressTracker, ProgressReporter } from '../progressTracker.js';
+
+// A clock the test moves by hand.
+function fakeClock(start = 1000) {
+    const clock = { time: start, now: () => clock.time };
+    return clock;
+}
+
+function recordEvents(emitter, names) {
+    const events = [];
+    for (const name of names) emitter.on(name, payload => events.push({ name, ...payload }));
+    return events;
+}
+
+describe("ProgressTracker", () => {
+    it("derives windowed and average throughput and ETA from byte updates", () => {
+        const clock = fakeClock();
+        const tracker = new ProgressTracker(1000, { windowMs: 2000, now: clock.now });
+        clock.time += 1000; tracker.update(100);
+        clock.time += 1000; tracker.update(400);
+        clock.time += 1000; tracker.update(500);
+
+        const snapshot = tracker.snapshot();
+        assert.equal(snapshot.percent, 50);
+        assert.equal(snapshot.averageBytesPerSecond, 500 / 3);
+        assert.equal(snapshot.bytesPerSecond, 200); // 100 -> 500 over the last two seconds
+        assert.equal(snapshot.etaSeconds, 500 / 200);
+        assert.equal(snapshot.elapsedMs, 3000);
+    });
+
+    it("reports no percent or ETA for an unknown total and no throughput for baseline bytes", () => {
+        const clock = fakeClock();
+        const unknown = new ProgressTracker(null, { now: clock.now });
+        clock.time += 1000; unknown.update(10);
+        assert.equal(unknown.snapshot().percent, null);
+        assert.equal(unknown.snapshot().etaSeconds, null);
+
+        const resumed = new ProgressTracker(100, { now: clock.now });
+        resumed.addBaseline(60);
+        clock.time += 1000;
+        assert.deepEqual([resumed.snapshot().loaded, resumed.snapshot().averageBytesPerSecond], [60, 0]);
+    });
+});
+
+describe("ProgressReporter", () => {
+    it("throttles file:progress per file but always reports part status changes and completion", () => {
+        const clock = fakeClock();
+        const emitter = new EventEmitter();
+        const events = recordEvents(emitter, ["file:progress", "part:progress", "file:done"]);
+        const reporter = new ProgressReporter(emitter, { intervalMs: 250, now: clock.now });
+        reporter.scan({ root: "/data", files: [{ file: "a.nc", size: 200 }], totalBytes: 200 });
+        const file = reporter.forFile("a.nc", 200, "/data/a.nc");
+
+        file.partProgress(1, 10, 100, "Uploading");
+        clock.time += 100;
+        file.partProgress(1, 50, 100, "Uploading");
+        assert.deepEqual(events.map(e => e.name), ["part:progress", "file:progress"]);
+
+        file.partProgress(1, 100, 100, "Done");
+        clock.time += 300;
+        file.partProgress(2, 60, 100, "Uploading");
+        assert.deepEqual(events.map(e => `${e.name}:${e.loaded}`), [
+            "part:progress:10", "file:progress:10", "part:progress:100", "file:progress:100", "part:progress:60", "file:progress:160"
+        ]);
+
+        file.done({ s3_key: "c/a.nc" });
+        const last = events.at(-2);
+        assert.equal(last.name, "file:progress");
+        assert.equal(last.overall.loaded, 200);
+        assert.equal(last.overall.percent, 100);
+        assert.equal(events.at(-1).name, "file:done");
+    });
+});
+
+describe("upload progress events", () => {
+    const env = useTestEnvironment();
+
+    it("emits scan, then start, progress and done per file, then done for the upload", async () => {
+        await env.writeFile("small.txt", "hello");
+        await env.writeFile("big.nc", 12 * MiB);
+        const uploader = env.createUploader();
+        const events = recordEvents(uploader, ["scan", "file:start", "file:progress", "part:progress", "file:done", "file:error", "done"]);
+
+        await uploader.upload(env.dataDir, "c");
+
+        assert.equal(events[0].name, "scan");
+        assert.equal(events[0].totalFiles, 2);
+        assert.equal(events[0].totalBytes, 12 * MiB + 5);
+        assert.equal(events.at(-1).name, "done");
+        assert.equal(events.at(-1).loaded, 12 * MiB + 5);
+        for (const file of ["small.txt", "big.nc"]) {
+            const names = events.filter(e => e.file === file).map(e => e.name);
+            assert.equal(names[0], "file:start", file);
+            assert.equal(names.at(-1), "file:done", file);
+            assert.ok(names.includes("file:progress"), file);
+        }
+        assert.deepEqual([...new Set(events.filter(e => e.name === "part:progress").map(e => e.partNumber))].sort(), [1, 2, 3]);
+        const bigStart = events.find(e => e.name === "file:start" && e.file === "big.nc");
+        assert.equal(bigStart.multipart, true);
+        assert.ok(!events.some(e => e.name === "file:error"));
+    });
+});
@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy, ApiServerError } from '../index.js';
+import { parseRetryAfter } from '../retryPolicy.js';
+
+describe("RetryPolicy", () => {
+    const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 5000, jitter: false });
+    const throttled = (retryAfter) => new ApiServerError("Slow down", { statusCode: 503, retryAfterMs: parseRetryAfter(retryAfter) });
+
+    it("backs off exponentially up to maxDelayMs", () => {
+        assert.deepEqual([0, 1, 2, 10].map(attempt => policy.getDelayMs(attempt, new ApiServerError("boom"))), [100, 200, 400, 5000]);
+    });
+
+    it("waits as long as Retry-After asks, but no longer than maxDelayMs", () => {
+        assert.equal(policy.getDelayMs(0, throttled("2")), 2000);
+        assert.equal(policy.getDelayMs(0, throttled("86400")), 5000);
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createTestEnvironment, useTestEnvironment, TEST_TOKEN } from './helpers.js';
+import { AuthenticationError, ApiServerError } from '../index.js';
+
+describe("single-file upload", () => {
+    const env = useTestEnvironment();
+
+    it("stores the file under collection/target path and confirms it", async () => {
+        const filePath = await env.writeFile("granule.nc", "granule data");
+        const result = await env.createUploader().upload(filePath, "my-collection", { targetPath: "2024/06" });
+
+        assert.equal(result.status, "success");
+        assert.equal(result.s3_key, "my-collection/2024/06/granule.nc");
+        assert.deepEqual(await env.server.readObject(result.s3_key), await fs.readFile(filePath));
+        assert.deepEqual(env.server.requests.map(r => r.route), ["upload/upload_url", "s3:put", "upload/confirm_single"]);
+    });
+
+    it("uploads through a presigned POST", async () => {
+        const postEnv = await createTestEnvironment({ server: { singleUploadMethod: "POST" } });
+        try {
+            const filePath = await postEnv.writeFile("readme.txt", "posted");
+            const result = await postEnv.createUploader().upload(filePath, "c");
+
+            assert.equal((await postEnv.server.readObject(result.s3_key)).toString(), "posted");
+            assert.ok(postEnv.server.requests.some(r => r.route === "s3:post" && r.status === 204));
+        } finally {
+            await postEnv.cleanup();
+        }
+    });
+
+    it("sends the selected checksum algorithm, which the S3 endpoint checks", async () => {
+        const filePath = await env.writeFile("data.bin", 4096);
+        const result = await env.createUploader({ checksumAlgorithm: "crc32c", checksumEncoding: "hex" }).upload(filePath, "c", { verify: true });
+
+        assert.equal(result.checksum_algorithm, "crc32c");
+        assert.match(result.checksum, /^[0-9a-f]{8}$/);
+        assert.equal(result.verification.checks.checksum, "match");
+    });
+
+    it("retries transient backend errors and dropped connections", async () => {
+        env.server.injectFault({ route: "upload/upload_url", type: "error", statusCode: 503 });
+        env.server.injectFault({ route: "s3:put", type: "drop" });
+        const filePath = await env.writeFile("retry.txt", "eventually");
+        const result = await env.createUploader().upload(filePath, "c");
+
+        assert.equal(result.status, "success");
+        assert.equal(result.retries, 2);
+    });
+
+    it("fails with ApiServerError once retries are exhausted", async () => {
+        env.server.injectFault({ route: "upload/confirm_single", type: "error", statusCode: 500, times: Infinity });
+        const filePath = await env.writeFile("never.txt", "nope");
+        await assert.rejects(env.createUploader().upload(filePath, "c"), ApiServerError);
+        assert.equal(env.server.requests.filter(r => r.route === "upload/confirm_single").length, 4);
+    });
+
+    it("rejects a wrong token with AuthenticationError", async () => {
+        const filePath = await env.writeFile("auth.txt", "secret");
+        await assert.rejects(env.createUploader({ token: "wrong" }).upload(filePath, "c"), AuthenticationError);
+    });
+
+    it("refreshes the token through tokenProvider after a 401", async () => {
+        let calls = 0;
+        const tokenProvider = async () => (++calls === 1 ? "stale-token" : TEST_TOKEN);
+        const filePath = await env.writeFile("refresh.txt", "fresh");
+        const result = await env.createUploader({ tokenProvider }).upload(filePath, "c");
+
+        assert.equal(result.status, "success");
+        assert.equal(calls, 2);
+    });
+});
+
+describe("buffer and stream upload", () => {
+    const env = useTestEnvironment();
+
+    it("uploads a Buffer without a file", async () => {
+        const result = await env.createUploader().uploadBuffer(Buffer.from("in memory"), "memory.txt", "c", { verify: true });
+        assert.equal((await env.server.readObject(result.s3_key)).toString(), "in memory");
+        assert.equal(result.verification.verified, true);
+    });
+
+    it("uploads a stream of unknown length", async () => {
+        async function* generate() { yield Buffer.from("chunk one, "); yield Buffer.from("chunk two"); }
+        const result = await env.createUploader().uploadStream(generate(), "stream.txt", "c");
+        assert.equal(result.size, 20);
+        assert.equal((await env.server.readObject(result.s3_key)).toString(), "chunk one, chunk two");
+    });
+});
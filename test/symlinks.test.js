@@ -0,0 +1,64 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+import { CUEUploadError, ConfigurationError } from '../index.js';
+
+const uploads = (plan) => plan.entries.filter(e => e.action === "upload").map(e => e.relativePath).sort();
+const skips = (plan) => Object.fromEntries(plan.entries.filter(e => e.action === "skip").map(e => [e.relativePath, e.skipReason]));
+
+describe("symlinks and special files", { skip: process.platform === "win32" && "needs POSIX symlinks and FIFOs" }, () => {
+    const env = useTestEnvironment();
+    beforeEach(async () => {
+        // A shared archive outside the upload root, linked into it.
+        const archive = path.join(env.dir, "archive");
+        await fs.mkdir(path.join(archive, "granules"), { recursive: true });
+        await fs.writeFile(path.join(archive, "granules", "g1.nc"), "g1");
+        await fs.writeFile(path.join(archive, "readme.txt"), "readme");
+
+        await env.writeFile("real.txt", "real");
+        await fs.symlink(path.join(archive, "readme.txt"), path.join(env.dataDir, "readme-link.txt"));
+        await fs.symlink(path.join(archive, "granules"), path.join(env.dataDir, "granules"));
+        await fs.symlink(path.join(archive, "missing.txt"), path.join(env.dataDir, "broken.txt"));
+        await env.writeFile("sub/inner.txt", "inner");
+        await fs.symlink("..", path.join(env.dataDir, "sub", "loop"));
+        execFileSync("mkfifo", [path.join(env.dataDir, "pipe")]);
+    });
+
+    it("skips symlinks by default and reports every entry it left out", async () => {
+        const plan = await env.createUploader().plan(env.dataDir, "c");
+        assert.deepEqual(uploads(plan), ["real.txt", "sub/inner.txt"]);
+        assert.deepEqual(skips(plan), {
+            "readme-link.txt": "symlink", "granules": "symlink", "broken.txt": "broken_symlink",
+            "sub/loop": "symlink", "pipe": "special_file"
+        });
+        assert.equal(plan.entries.find(e => e.relativePath === "pipe").type, "fifo");
+    });
+
+    it("follows links to files and directories under the link's path, stopping at cycles", async () => {
+        const uploader = env.createUploader();
+        const plan = await uploader.plan(env.dataDir, "c", { symlinks: "follow" });
+        assert.deepEqual(uploads(plan), ["granules/g1.nc", "readme-link.txt", "real.txt", "sub/inner.txt"]);
+        assert.equal(skips(plan)["sub/loop"], "symlink_cycle");
+        assert.equal(skips(plan)["broken.txt"], "broken_symlink");
+
+        const result = await uploader.upload(env.dataDir, "c", { symlinks: "follow" });
+        assert.equal(result.successfulUploads, 4);
+        assert.equal((await env.server.readObject("c/granules/g1.nc")).toString(), "g1");
+        assert.deepEqual(result.scanSkipped.map(e => e.reason).sort(), ["broken_symlink", "special_file", "symlink_cycle"]);
+    });
+
+    it("rejects the first symlink that is not ignored with the 'error' policy", async () => {
+        const error = await env.createUploader().upload(env.dataDir, "c", { symlinks: "error" }).catch(e => e);
+        assert.ok(error instanceof CUEUploadError, error);
+        assert.equal(error.code, "ERR_SYMLINK");
+
+        const ignored = await env.createUploader().plan(env.dataDir, "c", {
+            symlinks: "error", ignore: ["readme-link.txt", "granules", "broken.txt", "loop"]
+        });
+        assert.deepEqual(uploads(ignored), ["real.txt", "sub/inner.txt"]);
+        await assert.rejects(env.createUploader().plan(env.dataDir, "c", { symlinks: "sometimes" }), ConfigurationError);
+    });
+});
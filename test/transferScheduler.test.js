@@ -0,0 +1,242 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnvironment, MiB } from './helpers.js';
+import { TransferScheduler, ConfigurationError, UploadAbortedError } from '../index.js';
+
+// A transfer that runs until release() is called, recording when it started.
+function heldTransfer(started, name) {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return { release, transfer: async () => { started.push(name); await done; } };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Occupies the only slot, queues the given transfers, then lets each finish as it starts; returns their start order.
+async function startOrder(order, requests) {
+    const scheduler = new TransferScheduler({ maxTransfers: 1, order });
+    const started = [];
+    const releases = new Map();
+    const blocker = heldTransfer(started, "blocker");
+    const running = [scheduler.run(blocker.transfer)];
+    for (const { name, ...options } of requests) {
+        const transfer = heldTransfer(started, name);
+        releases.set(name, transfer.release);
+        running.push(scheduler.run(transfer.transfer, options));
+    }
+    blocker.release();
+    for (let i = 0; i < requests.length; i++) {
+        await tick();
+        releases.get(started.at(-1))();
+    }
+    await Promise.all(running);
+    return started.slice(1);
+}
+
+describe("TransferScheduler", () => {
+    it("runs at most maxTransfers at once", async () => {
+        const scheduler = new TransferScheduler({ maxTransfers: 2 });
+        let active = 0; let peak = 0;
+        await Promise.all(Array.from({ length: 6 }, () => scheduler.run(async () => {
+            peak = Math.max(peak, ++active);
+            await tick();
+            active--;
+        })));
+        assert.equal(peak, 2);
+        assert.equal(scheduler.activeTransfers, 0);
+    });
+
+    it("keeps reserved bytes within the memory budget, but lets an oversized transfer run alone", async () => {
+        const scheduler = new TransferScheduler({ maxTransfers: 10, memoryBudgetBytes: 100 });
+        const started = [];
+        const first = heldTransfer(started, "60 bytes");
+        const second = heldTransfer(started, "50 bytes");
+        const oversized = heldTransfer(started, "500 bytes");
+        const running = [
+            scheduler.run(first.transfer, { bytes: 60 }),
+            scheduler.run(second.transfer, { bytes: 50 }),
+            scheduler.run(oversized.transfer, { bytes: 500 })
+        ];
+        await tick();
+        assert.deepEqual(started, ["60 bytes"]);
+        first.release(); await tick();
+        assert.deepEqual(started, ["60 bytes", "50 bytes"]);
+        second.release(); await tick();
+        assert.deepEqual(started, ["60 bytes", "50 bytes", "500 bytes"]);
+        assert.equal(scheduler.reservedBytes, 500);
+        oversized.release();
+        await Promise.all(running);
+        assert.equal(scheduler.reservedBytes, 0);
+    });
+
+    it("admits waiting transfers in the configured order", async () => {
+        const requests = [
+            { name: "a1", fileSize: 30, group: "a" },
+            { name: "a2", fileSize: 30, group: "a" },
+            { name: "b1", fileSize: 10, group: "b" },
+            { name: "c1", fileSize: 20, group: "c" }
+        ];
+        assert.deepEqual(await startOrder("fifo", requests), ["a1", "a2", "b1", "c1"]);
+        assert.deepEqual(await startOrder("smallest-first", requests), ["b1", "c1", "a1", "a2"]);
+        assert.deepEqual(await startOrder("largest-first", requests), ["a1", "a2", "c1", "b1"]);
+    });
+
+    it("under \"fair\", prefers files with fewer transfers running", async () => {
+        const scheduler = new TransferScheduler({ maxTransfers: 2, order: "fair" });
+        const started = [];
+        const a1 = heldTransfer(started, "a1");
+        const a2 = heldTransfer(started, "a2");
+        const a3 = heldTransfer(started, "a3");
+        const b1 = heldTransfer(started, "b1");
+        const running = [
+            scheduler.run(a1.transfer, { group: "a" }),
+            scheduler.run(a2.transfer, { group: "a" }),
+            scheduler.run(a3.transfer, { group: "a" }),
+            scheduler.run(b1.transfer, { group: "b" })
+        ];
+        await tick();
+        a1.release(); await tick();
+        assert.deepEqual(started, ["a1", "a2", "b1"]);
+        for (const transfer of [a2, a3, b1]) transfer.release();
+        await Promise.all(running);
+        assert.deepEqual(started, ["a1", "a2", "b1", "a3"]);
+    });
+
+    it("orders files by size for the size orders only", () => {
+        const files = [{ size: 2 }, { size: 3 }, { size: 1 }];
+        assert.deepEqual(new TransferScheduler({ order: "smallest-first" }).orderFiles(files).map(f => f.size), [1, 2, 3]);
+        assert.deepEqual(new TransferScheduler({ order: "largest-first" }).orderFiles(files).map(f => f.size), [3, 2, 1]);
+        assert.equal(new TransferScheduler({ order: "fair" }).orderFiles(files), files);
+        assert.throws(() => new TransferScheduler({ order: "random" }), ConfigurationError);
+    });
+
+    it("drops a waiting transfer when its signal aborts", async () => {
+        const scheduler = new TransferScheduler({ maxTransfers: 1 });
+        const started = [];
+        const blocker = heldTransfer(started, "blocker");
+        const running = scheduler.run(blocker.transfer);
+        const controller = new AbortController();
+        const waiting = scheduler.run(async () => started.push("aborted"), { signal: controller.signal });
+        assert.equal(scheduler.queuedTransfers, 1);
+
+        controller.abort();
+        await assert.rejects(waiting, UploadAbortedError);
+        assert.equal(scheduler.queuedTransfers, 0);
+        blocker.release();
+        await running;
+        assert.deepEqual(started, ["blocker"]);
+    });
+});
+
+describe("transfer scheduling", () => {
+    it("limits S3 requests across files and parts to max_transfers", async () => {
+        const env = await createTestEnvironment({ config: { max_transfers: 3, file_concurrency: 4, part_concurrency: 4 } });
+        try {
+            await env.writeFile("big-1.nc", 12 * MiB);
+            await env.writeFile("big-2.nc", 12 * MiB);
+            for (const name of ["a.txt", "b.txt", "c.txt"]) await env.writeFile(name, 1024);
+            let peak = 0;
+            const isOpenS3Request = r => r.route?.startsWith("s3:") && r.status === null;
+            env.server.injectFault({ route: "*", type: "latency", delayMs: 30, times: Infinity, when: (request) => {
+                if (request.route?.startsWith("s3:")) peak = Math.max(peak, env.server.requests.filter(isOpenS3Request).length);
+                return true;
+            } });
+            const result = await env.createUploader().upload(env.dataDir, "c");
+
+            assert.equal(result.successfulUploads, 5);
+            assert.ok(peak > 1 && peak <= 3, `peak of ${peak} concurrent S3 requests`);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("shares one scheduler between uploaders", async () => {
+        const env = await createTestEnvironment();
+        try {
+            const scheduler = new TransferScheduler({ maxTransfers: 1 });
+            const first = env.createUploader({ scheduler });
+            const second = env.createUploader({ scheduler });
+            let peak = 0;
+            env.server.injectFault({ route: "s3:put", type: "latency", delayMs: 30, times: Infinity, when: () => {
+                peak = Math.max(peak, scheduler.activeTransfers);
+                return true;
+            } });
+            await Promise.all([
+                first.uploadBuffer(Buffer.from("one"), "one.txt", "c"),
+                second.uploadBuffer(Buffer.from("two"), "two.txt", "c")
+            ]);
+            assert.equal(peak, 1);
+            assert.equal(first.scheduler, second.scheduler);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("requests a single-file upload URL only once the transfer may start", async () => {
+        const env = await createTestEnvironment({ config: { max_transfers: 1, file_concurrency: 2 } });
+        try {
+            await env.writeFile("a.txt", "alpha");
+            await env.writeFile("b.txt", "bravo");
+            env.server.injectFault({ route: "s3:put", type: "latency", delayMs: 30, times: Infinity });
+            await env.createUploader().upload(env.dataDir, "c");
+
+            const routes = env.server.requests.map(r => r.route).filter(route => route === "upload/upload_url" || route === "s3:put");
+            assert.deepEqual(routes, ["upload/upload_url", "s3:put", "upload/upload_url", "s3:put"]);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("reserves a streamed part before reading it from the stream", async () => {
+        const env = await createTestEnvironment({ config: { max_transfers: 1, part_concurrency: 4 } });
+        try {
+            let bytesRead = 0;
+            const readAtPart = [];
+            async function* source() {
+                for (let i = 0; i < 20; i++) {
+                    bytesRead += MiB;
+                    yield Buffer.alloc(MiB, i);
+                }
+            }
+            env.server.injectFault({ route: "s3:part", type: "latency", delayMs: 10, times: Infinity, when: (request) => {
+                readAtPart.push([request.partNumber, bytesRead / MiB]);
+                return true;
+            } });
+            await env.createUploader().uploadStream(source(), "stream.nc", "c", { size: 20 * MiB });
+
+            // With one transfer at a time, part n is sent before part n + 1 is read.
+            assert.deepEqual(readAtPart, [[1, 5], [2, 10], [3, 15], [4, 20]]);
+        } finally {
+            await env.cleanup();
+        }
+    });
+
+    it("reads only one part of a stream of unknown size before its reservation, peeking one chunk ahead", async () => {
+        const env = await createTestEnvironment({ config: { max_transfers: 1, part_concurrency: 4 } });
+        try {
+            let bytesRead = 0;
+            const readAtPart = [];
+            async function* source(mebibytes) {
+                for (let i = 0; i < mebibytes; i++) {
+                    bytesRead += MiB;
+                    yield Buffer.alloc(MiB, i);
+                }
+            }
+            env.server.injectFault({ route: "s3:part", type: "latency", delayMs: 10, times: Infinity, when: (request) => {
+                readAtPart.push([request.partNumber, bytesRead / MiB]);
+                return true;
+            } });
+            const uploader = env.createUploader();
+            const result = await uploader.uploadStream(source(12), "stream.nc", "c");
+            assert.equal(result.size, 12 * MiB);
+            assert.deepEqual(readAtPart, [[1, 6], [2, 10], [3, 12]]);
+
+            // Streams sent in one request hold a single reservation, so one transfer slot is enough.
+            assert.equal((await uploader.uploadStream(source(3), "short.nc", "c")).size, 3 * MiB);
+            assert.equal((await uploader.uploadStream(source(3), "sized.nc", "c", { size: 3 * MiB })).size, 3 * MiB);
+            assert.equal(uploader.scheduler.activeTransfers, 0);
+        } finally {
+            await env.cleanup();
+        }
+    });
+});
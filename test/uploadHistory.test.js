@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+import { UploadHistory, FolderUploadError } from '../index.js';
+import { createRunId } from '../uploadHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("upload history", () => {
+    const env = useTestEnvironment();
+
+    it("records each run with its parameters and per-file outcomes", async () => {
+        const filePath = await env.writeFile("granule.nc", "data");
+        const uploader = env.createUploader();
+        const result = await uploader.upload(filePath, "c", { targetPath: "2024/06", verify: true });
+
+        const [run] = await uploader.getHistory();
+        assert.match(run.run_id, /^\d{8}T\d{6}Z-[0-9a-f]{8}$/);
+        assert.equal(run.method, "upload");
+        assert.equal(run.status, "success");
+        assert.equal(run.env, "local");
+        assert.equal(run.api_url, env.server.apiUrl);
+        assert.equal(run.parameters.targetPath, "2024/06");
+        assert.equal(run.parameters.verify, true);
+        assert.equal(run.files[0].local_path, filePath);
+        assert.equal(run.files[0].s3_key, result.s3_key);
+        assert.deepEqual(await uploader.getRun(run.run_id), run);
+        assert.equal(await uploader.getRun("20000101T000000Z-00000000"), null);
+    });
+
+    it("filters runs by collection, status and start time, newest first", async () => {
+        const uploader = env.createUploader();
+        await uploader.uploadBuffer(Buffer.from("one"), "one.txt", "first");
+        env.server.injectFault({ route: "s3:put", type: "error", statusCode: 500, times: Infinity, when: r => r.s3Key.endsWith("bad.txt") });
+        await env.writeFile("bad.txt", "x");
+        await env.writeFile("good.txt", "y");
+        await assert.rejects(uploader.upload(env.dataDir, "second"), FolderUploadError);
+
+        assert.deepEqual((await uploader.getHistory()).map(run => run.collection), ["second", "first"]);
+        assert.deepEqual((await uploader.getHistory({ collection: "first" })).map(run => run.method), ["uploadBuffer"]);
+        const [failed] = await uploader.getHistory({ status: "failed" });
+        assert.equal(failed.collection, "second");
+        assert.deepEqual(failed.files.map(file => file.status).sort(), ["failed", "success"]);
+        assert.deepEqual(await uploader.getHistory({ since: new Date(Date.now() + 60000) }), []);
+        assert.equal((await uploader.getHistory({ limit: 1 })).length, 1);
+    });
+
+    it("records nothing when history_retention_days is 0", async () => {
+        const uploader = env.createUploader({ historyRetentionDays: 0 });
+        await uploader.uploadBuffer(Buffer.from("x"), "x.txt", "c");
+        assert.deepEqual(await uploader.getHistory(), []);
+    });
+});
+
+describe("UploadHistory", () => {
+    it("keeps one file per day and removes days past retention", async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), "cue-upload-history-"));
+        try {
+            let now = Date.parse("2024-06-01T12:00:00Z");
+            const history = new UploadHistory(dir, { retentionDays: 7, now: () => now });
+            const record = (time, collection) => history.record({ run_id: createRunId(time), started_at: new Date(time).toISOString(), collection, status: "success" });
+
+            await record(now, "old");
+            now += 3 * DAY_MS;
+            await record(now, "recent");
+            assert.deepEqual(await fs.readdir(dir), ["2024-06-01.jsonl", "2024-06-04.jsonl"]);
+
+            now += 6 * DAY_MS;
+            await record(now, "new");
+            assert.deepEqual(await fs.readdir(dir), ["2024-06-04.jsonl", "2024-06-10.jsonl"]);
+            assert.deepEqual((await history.query()).map(run => run.collection), ["new", "recent"]);
+            assert.deepEqual((await history.query({ until: "2024-06-05" })).map(run => run.collection), ["recent"]);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
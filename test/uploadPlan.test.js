@@ -0,0 +1,56 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { useTestEnvironment, MiB } from './helpers.js';
+import { UploadAbortedError } from '../index.js';
+
+describe("upload plan", () => {
+    const env = useTestEnvironment();
+    beforeEach(async () => {
+        await env.writeFile("a.txt", "alpha");
+        await env.writeFile("nested/large.nc", 12 * MiB);
+        await env.writeFile("scratch.tmp", "ignored by default");
+        await env.writeFile("setup.exe", "MZ");
+    });
+
+    it("lists uploads with their destination and mode, skipped entries and totals, without contacting the backend", async () => {
+        const plan = await env.createUploader().plan(env.dataDir, "c", { targetPath: "run-1" });
+
+        const byPath = Object.fromEntries(plan.entries.map(entry => [entry.relativePath, entry]));
+        assert.deepEqual(byPath["a.txt"], {
+            ...byPath["a.txt"], action: "upload", collection: "c", collectionPath: "run-1", size: 5, mimeType: "text/plain", mode: "single"
+        });
+        const large = byPath[path.join("nested", "large.nc")];
+        assert.equal(large.collectionPath, "run-1/nested");
+        assert.equal(large.mode, "multipart");
+        assert.equal(large.partCount, 3);
+        assert.equal(byPath["scratch.tmp"].skipReason, "ignored");
+        assert.equal(byPath["setup.exe"].skipReason, "disallowed_type");
+        assert.deepEqual(plan.totals, { files: 2, bytes: 12 * MiB + 5, singleFiles: 1, multipartFiles: 1, parts: 4, skipped: 2 });
+        assert.deepEqual(env.server.requests, []);
+
+        assert.deepEqual(await env.createUploader().upload(env.dataDir, "c", { targetPath: "run-1", dryRun: true }), plan);
+        assert.deepEqual(env.server.requests, []);
+    });
+
+    it("asks onConfirm with the plan when autoApprove is false, and uploads nothing when it declines", async () => {
+        const plans = [];
+        const declined = await env.createUploader().upload(env.dataDir, "c", {
+            autoApprove: false, onConfirm: async (plan) => { plans.push(plan); return false; }
+        }).catch(e => e);
+
+        assert.ok(declined instanceof UploadAbortedError, declined);
+        assert.equal(plans.length, 1);
+        assert.equal(plans[0].totals.files, 2);
+        assert.ok(!env.server.requests.some(r => r.route.startsWith("s3:") || r.route.startsWith("multipart/")));
+
+        const approved = await env.createUploader().upload(env.dataDir, "c", { autoApprove: false, onConfirm: async () => true });
+        assert.equal(approved.successfulUploads, 2);
+    });
+
+    it("returns the plan when autoApprove is false and there is no onConfirm", async () => {
+        const result = await env.createUploader().upload(env.dataDir, "c", { autoApprove: false });
+        assert.equal(result.totals.files, 2);
+        assert.deepEqual(env.server.requests, []);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { useTestEnvironment, MiB } from './helpers.js';
+import { ConfigurationError, FolderUploadError, DisallowedFileTypeError } from '../index.js';
+import { REPORT_FILE_FIELDS } from '../uploadReport.js';
+
+describe("upload reports", () => {
+    const env = useTestEnvironment();
+
+    const readReport = (name) => fs.readFile(path.join(env.dir, "reports", name), "utf8");
+
+    it("records every file of a folder upload, including failures, in JSON, CSV and JUnit", async () => {
+        env.server.injectFault({ route: "s3:put", type: "error", statusCode: 500, times: Infinity, when: r => r.s3Key.endsWith("bad.txt") });
+        await env.writeFile("data/good.csv", "a,b\n1,2\n");
+        await env.writeFile("data/bad.txt", "nope");
+        await env.writeFile("big.nc", 12 * MiB);
+        const report = ["report.json", "report.csv", "report.xml"].map(name => path.join(env.dir, "reports", name));
+
+        await assert.rejects(env.createUploader().upload(env.dataDir, "c", { targetPath: "run-1", report }), FolderUploadError);
+
+        const json = JSON.parse(await readReport("report.json"));
+        assert.equal(json.status, "failed");
+        assert.deepEqual(json.totals, { files: 3, successful: 2, failed: 1, skipped: 0, cancelled: 0, bytes_uploaded: 12 * MiB + 8 });
+        const byFile = Object.fromEntries(json.files.map(entry => [entry.file, entry]));
+
+        const big = byFile["big.nc"];
+        assert.equal(big.status, "success");
+        assert.equal(big.mode, "multipart");
+        assert.equal(big.part_count, 3);
+        assert.equal(big.collection_path, "run-1");
+        assert.equal(big.mime_type, "application/x-netcdf");
+        assert.ok(big.s3_key && big.checksum && big.checksum_algorithm === "sha256");
+        assert.ok(big.throughput_bytes_per_second > 0);
+        assert.equal(Date.parse(big.ended_at) - Date.parse(big.started_at), big.duration_ms);
+
+        const good = byFile[path.join("data", "good.csv")];
+        assert.equal(good.mode, "single");
+        assert.equal(good.mime_type, "text/csv");
+        assert.equal(good.local_path, path.join(env.dataDir, "data", "good.csv"));
+
+        const bad = byFile[path.join("data", "bad.txt")];
+        assert.equal(bad.status, "failed");
+        assert.equal(bad.error_class, "S3TransferError");
+        assert.equal(bad.error_code, "ERR_S3_TRANSFER");
+        assert.equal(bad.throughput_bytes_per_second, null);
+
+        const csvLines = (await readReport("report.csv")).trimEnd().split("\r\n");
+        assert.equal(csvLines[0], REPORT_FILE_FIELDS.join(","));
+        assert.equal(csvLines.length, 4);
+
+        const junit = await readReport("report.xml");
+        assert.match(junit, /<testsuites name="cue-upload" tests="3" failures="1" errors="0" skipped="0"/);
+        assert.match(junit, /<testcase classname="c\/run-1\/data" name="data\/bad.txt" time="[\d.]+">\n\s+<failure type="S3TransferError"/);
+    });
+
+    it("reports a run that failed before any file as a JUnit error", async () => {
+        const report = path.join(env.dir, "reports", "report.xml");
+        const filePath = await env.writeFile("setup.exe", "MZ");
+        await assert.rejects(env.createUploader().upload(filePath, "c", { report }), DisallowedFileTypeError);
+
+        const junit = await readReport("report.xml");
+        assert.match(junit, /tests="1" failures="0" errors="1"/);
+        assert.match(junit, /<error type="DisallowedFileTypeError"/);
+    });
+
+    it("escapes CSV values and writes reports for buffer uploads", async () => {
+        const report = { path: path.join(env.dir, "reports", "buffer.out"), format: "csv" };
+        await env.createUploader().uploadBuffer(Buffer.from("x"), 'say "hi", bye.txt', "c", { report });
+
+        const [, row] = (await readReport("buffer.out")).split("\r\n");
+        assert.ok(row.startsWith('"say ""hi"", bye.txt",,'), row);
+        assert.match(row, /,single,,0,/);
+    });
+
+    it("rejects a report path of unknown format before uploading", async () => {
+        const filePath = await env.writeFile("a.txt", "a");
+        await assert.rejects(env.createUploader().upload(filePath, "c", { report: "report.html" }), ConfigurationError);
+        assert.deepEqual(env.server.requests, []);
+    });
+});
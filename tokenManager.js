@@ -0,0 +1,88 @@
+import { AuthenticationError, ConfigurationError } from './errors.js';
+import { defaultLogger } from './logger.js';
+
+const DEFAULT_REFRESH_MARGIN_MS = 60000;
+
+/** Expiry of a JWT in epoch milliseconds from its `exp` claim, or null for opaque tokens and tokens without `exp`. */
+export function getJwtExpiry(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+    try {
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+        return Number.isFinite(claims?.exp) ? claims.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Holds the bearer token for ApiClient. With a `tokenProvider` (an async
+ * function resolving to a token), a JWT is refreshed `refreshMarginMs` before
+ * its `exp`, and `refresh()` fetches a new token after the backend rejects one.
+ * Concurrent callers share a single in-flight refresh. Without a provider the
+ * static token is used as-is.
+ */
+export class TokenManager {
+    constructor({ token = null, tokenProvider = null, refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS, logger = defaultLogger, now = Date.now } = {}) {
+        if (!token && !tokenProvider) throw new ConfigurationError("Either a token or a tokenProvider is required.");
+        this.tokenProvider = tokenProvider;
+        this.refreshMarginMs = refreshMarginMs;
+        this.logger = logger;
+        this.now = now;
+        this._setToken(token);
+        this._refreshing = null;
+        this._warnedExpired = false;
+    }
+
+    get canRefresh() {
+        return typeof this.tokenProvider === 'function';
+    }
+
+    _setToken(token) {
+        this.token = token;
+        this.expiresAt = getJwtExpiry(token);
+    }
+
+    _isExpiring() {
+        return this.expiresAt !== null && this.now() >= this.expiresAt - this.refreshMarginMs;
+    }
+
+    async getToken() {
+        if (this.token && !this._isExpiring()) return this.token;
+        if (this.canRefresh) return this.refresh();
+        if (!this._warnedExpired) {
+            this._warnedExpired = true;
+            this.logger.warn("API token is expired or about to expire and no tokenProvider is set to refresh it", { expires_at: new Date(this.expiresAt).toISOString() });
+        }
+        return this.token;
+    }
+
+    /**
+     * Fetches a new token from the provider. Pass the token the backend rejected:
+     * if another request already replaced it, the current token is returned without a second refresh.
+     */
+    async refresh(rejectedToken) {
+        if (!this.canRefresh) throw new AuthenticationError("API token was rejected and no tokenProvider is set to refresh it.");
+        if (rejectedToken !== undefined && rejectedToken !== this.token && this.token && !this._isExpiring()) return this.token;
+        if (!this._refreshing) {
+            this._refreshing = this._fetchToken().finally(() => { this._refreshing = null; });
+        }
+        return this._refreshing;
+    }
+
+    async _fetchToken() {
+        let token;
+        try {
+            token = await this.tokenProvider();
+        } catch (error) {
+            throw new AuthenticationError(`tokenProvider failed: ${error.message}`, { cause: error });
+        }
+        if (typeof token !== 'string' || token === '') {
+            throw new AuthenticationError("tokenProvider did not return a token.");
+        }
+        this._setToken(token);
+        this._warnedExpired = false;
+        this.logger.debug("API token refreshed", { expires_at: this.expiresAt ? new Date(this.expiresAt).toISOString() : undefined });
+        return token;
+    }
+}
@@ -0,0 +1,159 @@
+import { ConfigurationError, UploadAbortedError, throwIfAborted } from './errors.js';
+
+export const TRANSFER_ORDERS = ["fifo", "fair", "smallest-first", "largest-first"];
+
+const MiB = 1024 * 1024;
+
+/**
+ * Admits S3 transfers (single-request uploads and multipart parts) from every
+ * upload of a CUEUploader: at most `maxTransfers` run at once, and together
+ * they hold at most `memoryBudgetBytes` of data. A transfer larger than the
+ * whole budget runs once nothing else holds memory. Waiting transfers start in
+ * `order`:
+ * - "fifo": in the order they asked.
+ * - "fair": the file with the fewest transfers running goes first.
+ * - "smallest-first" / "largest-first": by the size of their file.
+ * The next transfer in order is not overtaken by later ones that would fit, so
+ * large transfers are not starved by a stream of small ones.
+ */
+export class TransferScheduler {
+    constructor({ maxTransfers = 16, memoryBudgetBytes = Infinity, order = "fifo" } = {}) {
+        if (!TRANSFER_ORDERS.includes(order)) {
+            throw new ConfigurationError(`Unknown transfer order '${order}'. Use one of: ${TRANSFER_ORDERS.join(', ')}.`);
+        }
+        this.maxTransfers = maxTransfers;
+        this.memoryBudgetBytes = memoryBudgetBytes;
+        this.order = order;
+        this.activeTransfers = 0;
+        this.reservedBytes = 0;
+        this._waiting = [];
+        this._activeByGroup = new Map();
+        this._sequence = 0;
+    }
+
+    static fromConfig(config) {
+        return new TransferScheduler({
+            maxTransfers: config.max_transfers,
+            memoryBudgetBytes: config.transfer_memory_budget_mb * MiB,
+            order: config.transfer_order
+        });
+    }
+
+    get queuedTransfers() {
+        return this._waiting.length;
+    }
+
+    /**
+     * Runs `transfer()` once a slot and `bytes` of the budget are free, releasing
+     * both when it settles. `group` identifies the file (for "fair") and
+     * `fileSize` its size (for the size orders). Rejects with UploadAbortedError
+     * if `signal` aborts while waiting.
+     */
+    async run(transfer, options) {
+        const release = await this.reserve(options);
+        try {
+            return await transfer();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Waits like run() for a slot and `bytes` of the budget, then resolves with a
+     * function that releases them. For transfers that hold their reservation
+     * across steps, such as reading a streamed part and then sending it.
+     */
+    async reserve({ bytes = 0, fileSize = 0, group = null, signal } = {}) {
+        throwIfAborted(signal);
+        const request = { bytes, fileSize, group, sequence: this._sequence++ };
+        await this._acquire(request, signal);
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this._release(request);
+        };
+    }
+
+    /** Files in the order their transfers would be admitted, so file_concurrency does not undo it. */
+    orderFiles(files) {
+        if (this.order === "smallest-first") return [...files].sort((a, b) => a.size - b.size);
+        if (this.order === "largest-first") return [...files].sort((a, b) => b.size - a.size);
+        return files;
+    }
+
+    _acquire(request, signal) {
+        if (this._waiting.length === 0 && this._canStart(request)) {
+            this._start(request);
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this._waiting.splice(this._waiting.indexOf(request), 1);
+                reject(new UploadAbortedError(undefined, { cause: signal.reason }));
+                this._dispatch();
+            };
+            request.admit = () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this._waiting.push(request);
+        });
+    }
+
+    _canStart({ bytes }) {
+        if (this.activeTransfers >= this.maxTransfers) return false;
+        return this.reservedBytes === 0 || this.reservedBytes + bytes <= this.memoryBudgetBytes;
+    }
+
+    _start(request) {
+        this.activeTransfers++;
+        this.reservedBytes += request.bytes;
+        this._activeByGroup.set(request.group, (this._activeByGroup.get(request.group) || 0) + 1);
+    }
+
+    _release(request) {
+        this.activeTransfers--;
+        this.reservedBytes -= request.bytes;
+        const remaining = this._activeByGroup.get(request.group) - 1;
+        if (remaining > 0) this._activeByGroup.set(request.group, remaining); else this._activeByGroup.delete(request.group);
+        this._dispatch();
+    }
+
+    _dispatch() {
+        while (this._waiting.length > 0) {
+            const next = this._pickNext();
+            if (!this._canStart(next)) return;
+            this._waiting.splice(this._waiting.indexOf(next), 1);
+            this._start(next);
+            next.admit();
+        }
+    }
+
+    _pickNext() {
+        let best = this._waiting[0];
+        for (const candidate of this._waiting.slice(1)) {
+            if (this._compare(candidate, best) < 0) best = candidate;
+        }
+        return best;
+    }
+
+    _compare(a, b) {
+        let byOrder = 0;
+        if (this.order === "fair") byOrder = (this._activeByGroup.get(a.group) || 0) - (this._activeByGroup.get(b.group) || 0);
+        else if (this.order === "smallest-first") byOrder = a.fileSize - b.fileSize;
+        else if (this.order === "largest-first") byOrder = b.fileSize - a.fileSize;
+        return byOrder || a.sequence - b.sequence;
+    }
+}
+
+/** Runs `transfer` through `scheduler`, or directly when there is none. */
+export function scheduleTransfer(scheduler, transfer, options) {
+    return scheduler ? scheduler.run(transfer, options) : transfer();
+}
+
+/** Reserves through `scheduler`; without one, resolves with a release that does nothing. */
+export async function reserveTransfer(scheduler, options) {
+    return scheduler ? scheduler.reserve(options) : () => {};
+}
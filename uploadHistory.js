@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { CUEUploadError } from './errors.js';
+
+const HISTORY_DIRNAME = "history";
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const RUN_ID = /^(\d{4})(\d{2})(\d{2})T\d{6}Z-[0-9a-f]{8}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getHistoryDir(configDir) {
+    return path.join(configDir, HISTORY_DIRNAME);
+}
+
+/** "20240615T093000Z-1a2b3c4d": the UTC start time, which also locates the run's day file, and a random suffix. */
+export function createRunId(time = Date.now()) {
+    const stamp = new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    return `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function getDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function toTime(value, name) {
+    if (value === undefined || value === null) return null;
+    const time = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+    if (!Number.isFinite(time)) throw new CUEUploadError(`Invalid ${name} date: ${value}`, { code: "ERR_INVALID_ARGUMENT" });
+    return time;
+}
+
+/**
+ * Local record of upload runs under the config directory. Each run is one JSON
+ * line in the file for the UTC day it started (history/2024-06-15.jsonl), so
+ * queries read only the days they cover and old days are removed whole: files
+ * older than `retentionDays` are deleted when a run is recorded. Appends are
+ * single writes, so concurrent processes do not interleave records.
+ */
+export class UploadHistory {
+    constructor(historyDir, { retentionDays = 90, now = Date.now } = {}) {
+        this.historyDir = historyDir;
+        this.retentionDays = retentionDays;
+        this.now = now;
+    }
+
+    /** Appends `run` (with a `run_id` from createRunId) and removes days past retention. */
+    async record(run) {
+        const day = RUN_ID.test(run.run_id) ? run.run_id.replace(RUN_ID, "$1-$2-$3") : getDay(this.now());
+        await fs.mkdir(this.historyDir, { recursive: true });
+        await fs.appendFile(path.join(this.historyDir, `${day}.jsonl`), JSON.stringify(run) + "\n");
+        await this.prune();
+    }
+
+    async prune() {
+        const oldestKept = getDay(this.now() - this.retentionDays * DAY_MS);
+        for (const day of await this._listDays()) {
+            if (day < oldestKept) await fs.rm(path.join(this.historyDir, `${day}.jsonl`), { force: true });
+        }
+    }
+
+    /**
+     * Runs matching every given filter, newest first. `since` / `until` (Date,
+     * date string or epoch ms) bound the start time; `collection`, `env` and
+     * `status` ("success", "failed" or "cancelled") must match exactly.
+     */
+    async query({ since, until, collection, env, status, limit } = {}) {
+        const sinceTime = toTime(since, "since");
+        const untilTime = toTime(until, "until");
+        const days = (await this._listDays()).filter(day =>
+            (sinceTime === null || day >= getDay(sinceTime)) && (untilTime === null || day <= getDay(untilTime)));
+        const runs = [];
+        for (const day of days) {
+            for (const run of await this._readDay(day)) {
+                const startedAt = Date.parse(run.started_at);
+                if (sinceTime !== null && startedAt < sinceTime) continue;
+                if (untilTime !== null && startedAt > untilTime) continue;
+                if (collection !== undefined && run.collection !== collection) continue;
+                if (env !== undefined && run.env !== env) continue;
+                if (status !== undefined && run.status !== status) continue;
+                runs.push(run);
+            }
+        }
+        runs.sort((a, b) => Date.parse(b.started_at) - Date.parse(a.started_at));
+        return limit === undefined ? runs : runs.slice(0, limit);
+    }
+
+    /** The run with this id, or null if there is none (or it was rotated out). */
+    async getRun(runId) {
+        const match = RUN_ID.exec(runId || "");
+        if (!match) return null;
+        const runs = await this._readDay(`${match[1]}-${match[2]}-${match[3]}`);
+        return runs.find(run => run.run_id === runId) || null;
+    }
+
+    async _listDays() {
+        let names;
+        try {
+            names = await fs.readdir(this.historyDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return names.map(name => DAY_FILE.exec(name)?.[1]).filter(Boolean).sort();
+    }
+
+    async _readDay(day) {
+        let content;
+        try {
+            content = await fs.readFile(path.join(this.historyDir, `${day}.jsonl`), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        // A line cut short by a crash is skipped rather than failing the whole query.
+        return content.split("\n").filter(Boolean).flatMap((line) => {
+            try { return [JSON.parse(line)]; } catch { return []; }
+        });
+    }
+}
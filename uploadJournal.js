@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CUEUploadError } from './errors.js';
+
+const JOURNAL_DIRNAME = "journals";
+const JOURNAL_VERSION = 1;
+
+export function getJournalDir(configDir) {
+    return path.join(configDir, JOURNAL_DIRNAME);
+}
+
+// One journal per (local file, collection, remote target) so the same file sent
+// to two destinations does not share upload state.
+function getJournalFileName(filePath, collection, targetSubPath) {
+    const key = JSON.stringify([path.resolve(filePath), collection, targetSubPath || ""]);
+    return `${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+}
+
+function fingerprintFromStats(stats) {
+    return { size: stats.size, mtimeMs: stats.mtimeMs, ino: stats.ino };
+}
+
+/**
+ * Persisted record of an in-progress multipart upload. Written after every
+ * completed part so an interrupted upload can be resumed with only the
+ * missing parts sent.
+ */
+export class UploadJournal {
+    constructor(journalDir, data) {
+        this.journalDir = journalDir;
+        this.data = data;
+        this.journalPath = path.join(journalDir, getJournalFileName(data.filePath, data.collection, data.targetSubPath));
+        this._writeChain = Promise.resolve();
+    }
+
+    static async load(journalDir, filePath, collection, targetSubPath) {
+        const journalPath = path.join(journalDir, getJournalFileName(filePath, collection, targetSubPath));
+        let content;
+        try {
+            content = await fs.readFile(journalPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new CUEUploadError(`Could not read upload journal ${journalPath}: ${error.message}`, { code: "ERR_JOURNAL_READ", cause: error });
+        }
+        try {
+            const data = JSON.parse(content);
+            if (data.version !== JOURNAL_VERSION) return null;
+            return new UploadJournal(journalDir, data);
+        } catch (error) {
+            throw new CUEUploadError(`Upload journal ${journalPath} is corrupt: ${error.message}`, { code: "ERR_JOURNAL_CORRUPT", cause: error });
+        }
+    }
+
+    static create(journalDir, { filePath, fileStats, collection, targetSubPath, uploadId, s3Key, chunkSize, overallChecksum, checksumSpec, mimeType }) {
+        return new UploadJournal(journalDir, {
+            version: JOURNAL_VERSION,
+            filePath: path.resolve(filePath),
+            file: fingerprintFromStats(fileStats),
+            collection,
+            targetSubPath: targetSubPath || null,
+            upload_id: uploadId,
+            s3_key: s3Key,
+            chunk_size: chunkSize,
+            overall_checksum: overallChecksum,
+            checksum_algorithm: checksumSpec.algorithm,
+            checksum_encoding: checksumSpec.encoding,
+            mime_type: mimeType,
+            parts: {},
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    get uploadId() { return this.data.upload_id; }
+    get s3Key() { return this.data.s3_key; }
+    get chunkSize() { return this.data.chunk_size; }
+    get overallChecksum() { return this.data.overall_checksum; }
+    get checksumSpec() {
+        return { algorithm: this.data.checksum_algorithm, encoding: this.data.checksum_encoding };
+    }
+
+    /** Returns true when the local file no longer matches the size/mtime/inode recorded in the journal. */
+    isStale(fileStats) {
+        const current = fingerprintFromStats(fileStats);
+        const recorded = this.data.file;
+        return current.size !== recorded.size || current.mtimeMs !== recorded.mtimeMs || current.ino !== recorded.ino;
+    }
+
+    getCompletedPart(partNumber) {
+        return this.data.parts[String(partNumber)] || null;
+    }
+
+    get completedPartCount() {
+        return Object.keys(this.data.parts).length;
+    }
+
+    async recordPart(partInfo) {
+        this.data.parts[String(partInfo.PartNumber)] = partInfo;
+        return this.save();
+    }
+
+    async save() {
+        this.data.updatedAt = new Date().toISOString();
+        // Serialize writes; parts complete concurrently and each rewrites the whole file.
+        this._writeChain = this._writeChain.catch(() => {}).then(async () => {
+            await fs.mkdir(this.journalDir, { recursive: true });
+            const tmpPath = `${this.journalPath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2), 'utf-8');
+            await fs.rename(tmpPath, this.journalPath);
+        });
+        return this._writeChain;
+    }
+
+    async remove() {
+        await this._writeChain.catch(() => {});
+        await fs.rm(this.journalPath, { force: true });
+    }
+}
@@ -0,0 +1,57 @@
+import path from 'path';
+import { getMimeType } from './utils.js';
+import { isMultipartSize, getPartSizing } from './multipartUploader.js';
+import { defaultLogger } from './logger.js';
+
+/**
+ * Remote `collection_path` for a file in a folder upload: the target sub-path
+ * plus the file's directory relative to the uploaded folder.
+ */
+export function getRemoteCollectionPath(targetSubPath, relativePath) {
+    let collectionPath = targetSubPath || "";
+    if (path.dirname(relativePath) !== '.') {
+        collectionPath = path.join(collectionPath, path.dirname(relativePath)).replace(/\\/g, '/');
+    }
+    return collectionPath;
+}
+
+/**
+ * Builds the manifest of what an upload would do, without touching the network.
+ * `files` are scanned files ({ localPath, relativePath, size }); `skipped` are
+ * entries the scan left out ({ localPath, relativePath, type, reason }).
+ * For a single-file upload pass `singleFile: true` so the target path is used as-is.
+ */
+export function buildUploadPlan({ source, collection, targetSubPath = null, config, files, skipped = [], singleFile = false, logger = defaultLogger }) {
+    const totals = { files: 0, bytes: 0, singleFiles: 0, multipartFiles: 0, parts: 0, skipped: skipped.length };
+    const entries = [];
+
+    for (const file of files) {
+        const multipart = isMultipartSize(file.size, config);
+        const { partSize, partCount, strategy } = multipart ? getPartSizing(file.size, config) : { partSize: file.size, partCount: 1, strategy: null };
+        entries.push({
+            action: "upload",
+            localPath: file.localPath,
+            relativePath: file.relativePath,
+            collection,
+            collectionPath: singleFile ? targetSubPath : getRemoteCollectionPath(targetSubPath, file.relativePath),
+            size: file.size,
+            mimeType: getMimeType(file.localPath, logger),
+            mode: multipart ? "multipart" : "single",
+            partCount,
+            partSize,
+            partSizing: strategy
+        });
+        totals.files++;
+        totals.bytes += file.size;
+        totals.parts += partCount;
+        if (multipart) totals.multipartFiles++; else totals.singleFiles++;
+    }
+    for (const entry of skipped) {
+        entries.push({
+            action: "skip", localPath: entry.localPath, relativePath: entry.relativePath, type: entry.type,
+            skipReason: entry.reason, pattern: entry.pattern, patternSource: entry.patternSource
+        });
+    }
+
+    return { source, collection, targetPath: targetSubPath, entries, totals };
+}
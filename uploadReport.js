@@ -0,0 +1,220 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { getMimeType } from './utils.js';
+import { CUEUploadError, ConfigurationError, isAbortError } from './errors.js';
+
+export const REPORT_FORMATS = ["json", "csv", "junit"];
+const FORMATS_BY_EXTENSION = { ".json": "json", ".csv": "csv", ".xml": "junit" };
+
+/** Per-file fields, in CSV column order. */
+export const REPORT_FILE_FIELDS = [
+    "file", "local_path", "collection_path", "s3_key", "size", "checksum", "checksum_algorithm", "mime_type",
+    "mode", "part_count", "retries", "started_at", "ended_at", "duration_ms", "throughput_bytes_per_second",
+    "status", "skip_reason", "error_class", "error_code", "error_message"
+];
+
+/**
+ * Normalizes the `report` upload option (a path, `{ path, format }`, or a list
+ * of them) to `[{ path, format }]`. Without a format it follows the extension:
+ * .json, .csv or .xml (JUnit).
+ */
+export function resolveReportTargets(report) {
+    if (report === undefined || report === null) return [];
+    return (Array.isArray(report) ? report : [report]).map((target) => {
+        const { path: reportPath, format } = typeof target === 'string' ? { path: target } : (target || {});
+        if (typeof reportPath !== 'string' || reportPath === '') {
+            throw new ConfigurationError("Each report target needs a path.");
+        }
+        const resolvedFormat = format ?? FORMATS_BY_EXTENSION[path.extname(reportPath).toLowerCase()];
+        if (!REPORT_FORMATS.includes(resolvedFormat)) {
+            throw new ConfigurationError(`Cannot tell the report format of ${reportPath}. Use a .json, .csv or .xml file, or set format to one of: ${REPORT_FORMATS.join(', ')}.`);
+        }
+        return { path: path.resolve(reportPath), format: resolvedFormat };
+    });
+}
+
+function toIsoString(time) {
+    return time === null || time === undefined ? null : new Date(time).toISOString();
+}
+
+function getRunStatus(error) {
+    if (!error) return "success";
+    return isAbortError(error) ? "cancelled" : "failed";
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "") // Not allowed in XML 1.0
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function toSeconds(durationMs) {
+    return ((durationMs ?? 0) / 1000).toFixed(3);
+}
+
+/**
+ * Record of one upload call, for audit trails and CI. The ProgressReporter of
+ * the call adds a file entry as each file finishes (see REPORT_FILE_FIELDS);
+ * `finish()` closes the run, adding folder files that never started. Rendered
+ * as JSON (`toJSON`), CSV with one row per file (`toCSV`), or JUnit XML with
+ * one test case per file (`toJUnit`).
+ */
+export class UploadReport {
+    constructor({ source, collection, targetPath = null, env = null, runId = null, now = Date.now, startedAt = now() } = {}) {
+        this.runId = runId;
+        this.source = source;
+        this.collection = collection;
+        this.targetPath = targetPath;
+        this.env = env;
+        this.now = now;
+        this.startedAt = startedAt;
+        this.endedAt = null;
+        this.error = null;
+        this.files = [];
+    }
+
+    /** Adds the entry for a file that finished with `result` or failed with `error`. */
+    recordFile({ file, localPath = null, collectionPath = null, size = null, multipart = null, startedAt, endedAt = this.now(), bytesPerSecond = null, result = null, error = null }) {
+        const status = error ? getRunStatus(error) : (result?.status || "success");
+        let mode = multipart === null ? null : (multipart ? "multipart" : "single");
+        if (status === "success") mode = result?.part_count ? "multipart" : "single";
+        this.files.push({
+            file,
+            local_path: localPath,
+            collection_path: collectionPath,
+            s3_key: result?.s3_key ?? error?.s3Key ?? null,
+            size: result?.size ?? size,
+            checksum: result?.checksum ?? null,
+            checksum_algorithm: result?.checksum_algorithm ?? null,
+            mime_type: getMimeType(file),
+            mode,
+            part_count: result?.part_count ?? null,
+            retries: result?.retries ?? null,
+            started_at: toIsoString(startedAt),
+            ended_at: toIsoString(endedAt),
+            duration_ms: startedAt === undefined ? null : endedAt - startedAt,
+            // Bytes sent in this run; parts resumed from an earlier run do not count.
+            throughput_bytes_per_second: status === "success" ? Math.round(bytesPerSecond ?? 0) : null,
+            status,
+            skip_reason: result?.skipReason ?? (status === "skipped" ? "unchanged" : null),
+            error_class: error?.name ?? null,
+            error_code: error?.code ?? null,
+            error_message: error?.message ?? null
+        });
+    }
+
+    /** Ends the run with the upload's `result` or `error`. */
+    finish({ result, error } = {}) {
+        this.endedAt = this.now();
+        this.error = error || null;
+        const folderResult = result?.results ? result : error?.folderResult;
+        const recorded = new Set(this.files.map(entry => entry.file));
+        for (const fileTask of folderResult?.results || []) {
+            if (recorded.has(fileTask.relativePath)) continue;
+            // Cancelled before the file started: only what the scan knew about it.
+            this.files.push({
+                ...Object.fromEntries(REPORT_FILE_FIELDS.map(field => [field, null])),
+                file: fileTask.relativePath, local_path: fileTask.localPath, size: fileTask.size,
+                mime_type: getMimeType(fileTask.relativePath), status: fileTask.status
+            });
+        }
+    }
+
+    getTotals() {
+        const count = (status) => this.files.filter(entry => entry.status === status).length;
+        return {
+            files: this.files.length,
+            successful: count("success"),
+            failed: count("failed"),
+            skipped: count("skipped"),
+            cancelled: count("cancelled"),
+            bytes_uploaded: this.files.filter(entry => entry.status === "success").reduce((sum, entry) => sum + (entry.size || 0), 0)
+        };
+    }
+
+    toJSON() {
+        return {
+            run_id: this.runId,
+            source: this.source,
+            collection: this.collection,
+            target_path: this.targetPath,
+            env: this.env,
+            started_at: toIsoString(this.startedAt),
+            ended_at: toIsoString(this.endedAt),
+            duration_ms: this.endedAt === null ? null : this.endedAt - this.startedAt,
+            status: getRunStatus(this.error),
+            error_class: this.error?.name ?? null,
+            error_message: this.error?.message ?? null,
+            totals: this.getTotals(),
+            files: this.files
+        };
+    }
+
+    toCSV() {
+        const rows = [REPORT_FILE_FIELDS, ...this.files.map(entry => REPORT_FILE_FIELDS.map(field => entry[field]))];
+        return rows.map(row => row.map(escapeCsvValue).join(",")).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * One test case per file, named by its path and classed by collection and
+     * collection path. Failed files are failures; skipped and cancelled files are
+     * skipped. A run that failed without a failed file (e.g. authentication)
+     * adds an erroring test case for the source, so CI does not show it as green.
+     */
+    toJUnit() {
+        const totals = this.getTotals();
+        const durationMs = this.endedAt === null ? null : this.endedAt - this.startedAt;
+        const cases = this.files.map((entry) => {
+            const classname = [this.collection, entry.collection_path].filter(Boolean).join("/");
+            const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(entry.file)}" time="${toSeconds(entry.duration_ms)}"`;
+            if (entry.status === "failed") {
+                return `${open}>\n      <failure type="${escapeXml(entry.error_class)}" message="${escapeXml(entry.error_message)}">${escapeXml([entry.error_code, entry.error_message].filter(Boolean).join(": "))}</failure>\n    </testcase>`;
+            }
+            if (entry.status === "skipped" || entry.status === "cancelled") {
+                return `${open}>\n      <skipped message="${escapeXml(entry.skip_reason || entry.status)}"/>\n    </testcase>`;
+            }
+            return `${open}/>`;
+        });
+        const runErrored = getRunStatus(this.error) === "failed" && totals.failed === 0;
+        if (runErrored) {
+            cases.push(`    <testcase classname="${escapeXml(this.collection)}" name="${escapeXml(this.source)}" time="${toSeconds(durationMs)}">\n` +
+                `      <error type="${escapeXml(this.error.name)}" message="${escapeXml(this.error.message)}"/>\n    </testcase>`);
+        }
+        const counts = `tests="${cases.length}" failures="${totals.failed}" errors="${runErrored ? 1 : 0}" skipped="${totals.skipped + totals.cancelled}"`;
+        return [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<testsuites name="cue-upload" ${counts} time="${toSeconds(durationMs)}">`,
+            `  <testsuite name="${escapeXml(`cue-upload ${this.source} -> ${this.collection}`)}" ${counts} timestamp="${toIsoString(this.startedAt)}" time="${toSeconds(durationMs)}">`,
+            ...cases,
+            `  </testsuite>`,
+            `</testsuites>`,
+            ``
+        ].join("\n");
+    }
+
+    format(format) {
+        if (format === "json") return JSON.stringify(this.toJSON(), null, 2) + "\n";
+        if (format === "csv") return this.toCSV();
+        if (format === "junit") return this.toJUnit();
+        throw new ConfigurationError(`Unknown report format '${format}'. Use one of: ${REPORT_FORMATS.join(', ')}.`);
+    }
+
+    /** Writes the report to each `{ path, format }` target (see resolveReportTargets), creating directories as needed. */
+    async write(targets) {
+        for (const target of targets) {
+            try {
+                await fsPromises.mkdir(path.dirname(target.path), { recursive: true });
+                await fsPromises.writeFile(target.path, this.format(target.format));
+            } catch (error) {
+                throw new CUEUploadError(`Could not write upload report ${target.path}: ${error.message}`, { code: "ERR_REPORT_WRITE", cause: error });
+            }
+        }
+    }
+}
@@ -0,0 +1,141 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { calculateChecksum, calculateChecksumForBytes } from './utils.js';
+
+/**
+ * A file on disk as upload input. Handlers read through a source
+ * (`checksum`, `read`, `readAll`) so the same single-part and multipart code
+ * serves files and in-memory buffers. `filePath` is only set for files, which
+ * is what resumable journals and sync records key on.
+ */
+export class FileSource {
+    constructor(filePath, size) {
+        this.filePath = filePath;
+        this.name = path.basename(filePath);
+        this.size = size;
+    }
+
+    // spec: { algorithm, encoding }, see getChecksumSpec.
+    checksum(spec) {
+        return calculateChecksum(this.filePath, spec);
+    }
+
+    async read(offset, length) {
+        const fileHandle = await fsPromises.open(this.filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await fileHandle.read(buffer, 0, length, offset);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    readAll() {
+        return fsPromises.readFile(this.filePath);
+    }
+}
+
+/** In-memory data as upload input; `name` is the remote file name. */
+export class BufferSource {
+    constructor(data, name) {
+        this.buffer = toBuffer(data);
+        this.filePath = null;
+        this.name = name;
+        this.size = this.buffer.byteLength;
+    }
+
+    async checksum(spec) {
+        return calculateChecksumForBytes(this.buffer, spec);
+    }
+
+    async read(offset, length) {
+        return this.buffer.subarray(offset, offset + length);
+    }
+
+    async readAll() {
+        return this.buffer;
+    }
+}
+
+// Accepts Buffer, any TypedArray/DataView and ArrayBuffer without copying.
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    throw new TypeError("Expected a Buffer, TypedArray or ArrayBuffer.");
+}
+
+/** Handlers accept either a path (with its size) or a ready-made source. */
+export function toUploadSource(fileOrSource, size) {
+    return typeof fileOrSource === 'string' ? new FileSource(fileOrSource, size) : fileOrSource;
+}
+
+/**
+ * Reads a Readable (or any async iterable of Buffers/strings) chunk by chunk.
+ * `peek()` looks at the next chunk without taking it and `unshift()` puts back
+ * data that was read but not used, so a caller can tell whether more data
+ * follows after reading at most one chunk ahead.
+ */
+export class ChunkReader {
+    constructor(readable) {
+        this.iterator = readable[Symbol.asyncIterator]();
+        this.pending = [];
+        this.ended = false;
+    }
+
+    /** The next non-empty chunk, left in place, or null at the end of the stream. */
+    async peek() {
+        while (this.pending.length === 0 && !this.ended) {
+            const next = await this.iterator.next();
+            if (next.done) this.ended = true;
+            else if (next.value.length > 0) this.pending.push(Buffer.isBuffer(next.value) ? next.value : Buffer.from(next.value));
+        }
+        return this.pending[0] || null;
+    }
+
+    /** The next non-empty chunk, or null at the end of the stream. */
+    async read() {
+        const chunk = await this.peek();
+        if (chunk) this.pending.shift();
+        return chunk;
+    }
+
+    unshift(chunk) {
+        this.pending.unshift(chunk);
+    }
+
+    /** Stops reading; like leaving a for await loop, this closes the stream. */
+    async close() {
+        this.pending = [];
+        if (this.ended) return;
+        this.ended = true;
+        await this.iterator.return?.();
+    }
+}
+
+/**
+ * Re-chunks a Readable, async iterable or ChunkReader into buffers of exactly
+ * partSize bytes, the last one possibly shorter. Data past the end of a part
+ * stays in the reader until the next part is read.
+ */
+export async function* splitIntoParts(readable, partSize) {
+    const reader = readable instanceof ChunkReader ? readable : new ChunkReader(readable);
+    try {
+        for (;;) {
+            const pending = []; let pendingBytes = 0;
+            while (pendingBytes < partSize) {
+                const chunk = await reader.read();
+                if (!chunk) break;
+                const take = Math.min(chunk.length, partSize - pendingBytes);
+                if (take < chunk.length) reader.unshift(chunk.subarray(take));
+                pending.push(chunk.subarray(0, take));
+                pendingBytes += take;
+            }
+            if (pendingBytes > 0) yield Buffer.concat(pending, pendingBytes);
+            if (pendingBytes < partSize) return;
+        }
+    } finally {
+        await reader.close();
+    }
+}
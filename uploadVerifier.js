@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { ChecksumMismatchError, VerificationError } from './errors.js';
+import { defaultLogger } from './logger.js';
+
+/** MD5 of one body or part, as S3 uses for ETags. */
+export function md5(data) {
+    return crypto.createHash('md5').update(data).digest();
+}
+
+/**
+ * ETag S3 gives a multipart object: the MD5 of the concatenated binary part
+ * MD5s, followed by "-" and the part count. `partMd5s` are Buffers in part order.
+ */
+export function computeMultipartEtag(partMd5s) {
+    return `${md5(Buffer.concat(partMd5s)).toString('hex')}-${partMd5s.length}`;
+}
+
+function normalizeEtag(etag) {
+    return String(etag).replace(/"/g, '').toLowerCase();
+}
+
+// Checksums are compared as bytes, so a backend may report them in either encoding.
+function checksumsEqual(actual, actualEncoding, expected, expectedEncoding) {
+    return Buffer.from(actual, actualEncoding).equals(Buffer.from(expected, expectedEncoding));
+}
+
+// A checksum the backend reports with another algorithm cannot be compared to ours.
+function isComparableChecksum(reported, checksumSpec) {
+    return Boolean(reported?.checksum) && (!reported.checksum_algorithm || reported.checksum_algorithm === checksumSpec.algorithm);
+}
+
+/**
+ * Throws ChecksumMismatchError when a backend response (from confirm_single or
+ * multipart/complete) carries a checksum that differs from the one sent.
+ * Responses without a checksum, or with one for another algorithm, pass.
+ */
+export function assertReportedChecksum(response, checksum, checksumSpec, { fileName, endpoint }) {
+    if (!isComparableChecksum(response, checksumSpec)) return;
+    if (checksumsEqual(response.checksum, response.checksum_encoding || checksumSpec.encoding, checksum, checksumSpec.encoding)) return;
+    throw new ChecksumMismatchError(
+        `Backend reported checksum ${response.checksum} for ${fileName} after ${endpoint}, expected ${checksum} (${checksumSpec.algorithm}).`,
+        { endpoint }
+    );
+}
+
+/**
+ * Asks the backend for the stored object (`upload/object_info`) and compares its
+ * size, checksum and ETag with the local values. `expected` holds `fileName`,
+ * `s3Key`, `collection`, `size`, `checksum`, `checksumSpec` and `etag` (the MD5
+ * hex of a single upload or the composite ETag of a multipart one). Values the
+ * backend does not report are left out of the comparison.
+ * Resolves to `{ verified: true, checks }`, where `checks` maps size, checksum
+ * and etag to "match" or "unavailable"; throws VerificationError on any
+ * mismatch, or when the backend reported nothing that could be compared.
+ */
+export async function verifyUpload(apiClient, expected, { signal, logger = defaultLogger } = {}) {
+    const { s3Key, collection, size, checksum, checksumSpec, etag, fileName } = expected;
+    const info = await apiClient.getObjectInfo({ s3_key: s3Key, collection }, { signal }) || {};
+    const checks = { size: "unavailable", checksum: "unavailable", etag: "unavailable" };
+    const mismatches = [];
+    const compare = (field, matches, expectedValue, actualValue) => {
+        checks[field] = matches ? "match" : "mismatch";
+        if (!matches) mismatches.push({ field, expected: expectedValue, actual: actualValue });
+    };
+
+    if (info.size !== undefined && info.size !== null) compare("size", Number(info.size) === size, size, info.size);
+    if (isComparableChecksum(info, checksumSpec)) {
+        const reported = Buffer.from(info.checksum, info.checksum_encoding || checksumSpec.encoding).toString(checksumSpec.encoding);
+        compare("checksum", reported === checksum, checksum, reported);
+    }
+    if (info.etag && etag) compare("etag", normalizeEtag(info.etag) === normalizeEtag(etag), etag, normalizeEtag(info.etag));
+
+    const verification = { verified: mismatches.length === 0 && Object.values(checks).includes("match"), checks };
+    if (mismatches.length > 0) {
+        verification.mismatches = mismatches;
+        const summary = mismatches.map(m => `${m.field} is ${m.actual}, expected ${m.expected}`).join('; ');
+        throw new VerificationError(`Verification of ${fileName} failed: ${summary}.`, { verification, s3Key, retryable: true });
+    }
+    if (!verification.verified) {
+        throw new VerificationError(`Verification of ${fileName} failed: the backend reported no size, checksum or ETag for ${s3Key}.`, { verification, s3Key });
+    }
+    logger.debug("Upload verified", { s3_key: s3Key, ...checks });
+    return verification;
+}
@@ -3,26 +3,129 @@ import fsPromises from 'fs/promises';
 import fs from 'fs';
 import path from 'path';
 import mime from 'mime-types';
+import zlib from 'zlib';
+import { UploadAbortedError, ConfigurationError } from './errors.js';
+import { defaultLogger } from './logger.js';
 
 const DEFAULT_INTERNAL_CHUNK_SIZE_BYTES = 8 * 1024 * 1024;
 
-export async function calculateSHA256Checksum(filePath, chunkSize = DEFAULT_INTERNAL_CHUNK_SIZE_BYTES) {
+// Table-driven reflected CRC-32 for a polynomial; S3 uses both CRC32 and CRC32C (Castagnoli).
+function makeCrcFunction(polynomial) {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? polynomial ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return (data, crc = 0) => {
+        let c = ~crc >>> 0;
+        for (let i = 0; i < data.length; i++) c = table[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+        return ~c >>> 0;
+    };
+}
+
+// zlib.crc32 exists from Node 20.15 / 22.2 on.
+const crc32 = zlib.crc32 || makeCrcFunction(0xEDB88320);
+const crc32c = makeCrcFunction(0x82F63B78);
+
+// Wraps a running CRC function in the update()/digest() shape of crypto's Hash; the digest is the big-endian CRC.
+function createCrcHash(crcFunction) {
+    let crc = 0;
+    return {
+        update(data) { crc = crcFunction(data, crc); return this; },
+        digest() { const out = Buffer.alloc(4); out.writeUInt32BE(crc >>> 0); return out; }
+    };
+}
+
+const CHECKSUM_ALGORITHMS = new Map();
+export const CHECKSUM_ENCODINGS = ["base64", "hex"];
+export const DEFAULT_CHECKSUM = Object.freeze({ algorithm: "sha256", encoding: "base64" });
+
+/**
+ * Adds a checksum algorithm. `create()` returns an object with `update(data)`
+ * and `digest()` (a Buffer). `s3Header` is the request header S3 checks the
+ * base64 digest against, and `s3PartField` the per-part key S3 expects in a
+ * CompleteMultipartUpload part list; leave them null when S3 has no equivalent.
+ */
+export function registerChecksumAlgorithm(name, { create, s3Header = null, s3PartField = null }) {
+    CHECKSUM_ALGORITHMS.set(name, { name, create, s3Header, s3PartField });
+}
+
+registerChecksumAlgorithm("sha256", { create: () => crypto.createHash('sha256'), s3Header: "x-amz-checksum-sha256", s3PartField: "ChecksumSHA256" });
+registerChecksumAlgorithm("sha1", { create: () => crypto.createHash('sha1'), s3Header: "x-amz-checksum-sha1", s3PartField: "ChecksumSHA1" });
+registerChecksumAlgorithm("sha512", { create: () => crypto.createHash('sha512') });
+registerChecksumAlgorithm("md5", { create: () => crypto.createHash('md5'), s3Header: "Content-MD5" });
+registerChecksumAlgorithm("crc32", { create: () => createCrcHash(crc32), s3Header: "x-amz-checksum-crc32", s3PartField: "ChecksumCRC32" });
+registerChecksumAlgorithm("crc32c", { create: () => createCrcHash(crc32c), s3Header: "x-amz-checksum-crc32c", s3PartField: "ChecksumCRC32C" });
+
+export function isChecksumAlgorithm(name) {
+    return CHECKSUM_ALGORITHMS.has(name);
+}
+
+export function getChecksumAlgorithms() {
+    return [...CHECKSUM_ALGORITHMS.keys()];
+}
+
+function getAlgorithm(name) {
+    const algorithm = CHECKSUM_ALGORITHMS.get(name);
+    if (!algorithm) throw new ConfigurationError(`Unknown checksum algorithm '${name}'. Available: ${getChecksumAlgorithms().join(', ')}.`);
+    return algorithm;
+}
+
+/** The checksum algorithm and encoding selected by config (checksum_algorithm, checksum_encoding). */
+export function getChecksumSpec(config) {
+    return {
+        algorithm: config?.checksum_algorithm || DEFAULT_CHECKSUM.algorithm,
+        encoding: config?.checksum_encoding || DEFAULT_CHECKSUM.encoding
+    };
+}
+
+/** Incremental checksum: call update() with each chunk, then digest() for the encoded value. */
+export function createChecksum({ algorithm = DEFAULT_CHECKSUM.algorithm, encoding = DEFAULT_CHECKSUM.encoding } = {}) {
+    const hash = getAlgorithm(algorithm).create();
+    return {
+        update(data) { hash.update(data); return this; },
+        digest() { return hash.digest().toString(encoding); }
+    };
+}
+
+export async function calculateChecksum(filePath, spec = DEFAULT_CHECKSUM, chunkSize = DEFAULT_INTERNAL_CHUNK_SIZE_BYTES) {
+    const checksum = createChecksum(spec);
     return new Promise((resolve, reject) => {
-        const hash = crypto.createHash('sha256');
         const stream = fs.createReadStream(filePath, { highWaterMark: chunkSize });
-        stream.on('data', (data) => hash.update(data));
-        stream.on('end', () => resolve(hash.digest('base64')));
+        stream.on('data', (data) => checksum.update(data));
+        stream.on('end', () => resolve(checksum.digest()));
         stream.on('error', (err) => {
-            console.error(`[CUE Upload Lib] Error calculating SHA256 for ${filePath}:`, err);
             reject(new Error(`Checksum calculation failed for ${filePath}: ${err.message}`));
         });
     });
 }
 
+export function calculateChecksumForBytes(buffer, spec = DEFAULT_CHECKSUM) {
+    return createChecksum(spec).update(buffer).digest();
+}
+
+export async function calculateSHA256Checksum(filePath, chunkSize = DEFAULT_INTERNAL_CHUNK_SIZE_BYTES) {
+    return calculateChecksum(filePath, DEFAULT_CHECKSUM, chunkSize);
+}
+
 export function calculateSHA256ChecksumForBytes(buffer) {
-    const hash = crypto.createHash('sha256');
-    hash.update(buffer);
-    return hash.digest('base64');
+    return calculateChecksumForBytes(buffer, DEFAULT_CHECKSUM);
+}
+
+/** Headers that let S3 verify a presigned PUT body against `value`; empty when S3 cannot check this algorithm. */
+export function getS3ChecksumHeaders(value, { algorithm, encoding }) {
+    const { s3Header } = getAlgorithm(algorithm);
+    if (!s3Header) return {};
+    return { [s3Header]: Buffer.from(value, encoding).toString('base64') };
+}
+
+/** A part's entry for `multipart/complete`: PartNumber and ETag, plus the S3 checksum field when there is one. */
+export function buildCompletedPart(partNumber, etag, value, { algorithm, encoding }) {
+    const { s3PartField } = getAlgorithm(algorithm);
+    const part = { PartNumber: partNumber, ETag: etag };
+    if (s3PartField) part[s3PartField] = Buffer.from(value, encoding).toString('base64');
+    return part;
 }
 
 export async function getFileSize(filePath) {
@@ -30,12 +133,11 @@ export async function getFileSize(filePath) {
         const stats = await fsPromises.stat(filePath);
         return stats.size;
     } catch (error) {
-        console.error(`[CUE Upload Lib] Error getting size of file ${filePath}:`, error);
         throw new Error(`Could not get size of file ${filePath}: ${error.message}`);
     }
 }
 
-export function getMimeType(filePath) {
+export function getMimeType(filePath, logger = defaultLogger) {
     const detectedMime = mime.lookup(filePath);
     if (detectedMime) return detectedMime;
     const ext = path.extname(filePath).toLowerCase();
@@ -46,7 +148,7 @@ export function getMimeType(filePath) {
         '.pdf': 'application/pdf', '.tar': 'application/x-tar', '.gz': 'application/gzip',
     };
     if (extMap[ext]) return extMap[ext];
-    console.warn(`[CUE Upload Lib] Could not determine specific MIME type for ${path.basename(filePath)}. Defaulting to application/octet-stream.`);
+    logger.warn("Could not determine specific MIME type. Defaulting to application/octet-stream.", { file: path.basename(filePath) });
     return "application/octet-stream";
 }
 
@@ -61,17 +163,48 @@ export async function* readFileChunks(filePath, chunkSize) {
             yield buffer.subarray(0, bytesRead);
         }
     } catch (error) {
-        console.error(`[CUE Upload Lib] Error reading file ${filePath} in chunks:`, error);
         throw new Error(`Could not read file ${filePath} in chunks: ${error.message}`);
     } finally {
         if (fileHandle) await fileHandle.close();
     }
 }
 
+/** Waits `ms` milliseconds, rejecting early with UploadAbortedError if `signal` aborts. */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new UploadAbortedError(undefined, { cause: signal.reason }));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new UploadAbortedError(undefined, { cause: signal.reason }));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` invocations in flight.
+ * Items are taken in order. Workers should handle their own errors; a rejection fails the whole run.
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    let nextIndex = 0;
+    const poolSize = Math.max(1, Math.min(concurrency || 1, items.length));
+    const runners = Array.from({ length: poolSize }, async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
 export function formatBytes(sizeBytes) {
     if (sizeBytes === 0) return "0 B";
     if (sizeBytes < 1024) return `${sizeBytes} B`;
-    const units = ['KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
     let i = 0; let size = sizeBytes;
     while (size >= 1024 && i < units.length -1) { size /= 1024.0; i++; }
     return `${size.toFixed(2)} ${units[i]}`;
@@ -81,30 +214,3 @@ const DISALLOWED_EXTENSIONS = ['.dll', '.exe'];
 export function isFileTypeDisallowed(filePath) {
     return DISALLOWED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
 }
-
-function globToRegex(glob) {
-    const specialChars = /[.+?^${}()|[\]\\]/g; 
-    let regexStr = glob.replace(specialChars, '\\$&'); 
-    regexStr = regexStr.replace(/\*\*/g, '.*'); 
-    regexStr = regexStr.replace(/\*/g, '[^/]*'); 
-    regexStr = regexStr.replace(/\?/g, '[^/]');   
-    if (regexStr.endsWith('/')) {
-        regexStr = `^${regexStr.slice(0, -1)}(?:/.*)?$`;
-    } else {
-        regexStr = `^${regexStr}$`; 
-    }
-    return new RegExp(regexStr, 'i'); 
-}
-
-export function isPathIgnored(pathToTest, basePath, ignorePatterns) {
-    const relativePath = path.relative(basePath, pathToTest);
-    const name = path.basename(pathToTest);
-    for (const pattern of ignorePatterns) {
-        const regex = globToRegex(pattern);
-        if (regex.test(name) || (relativePath && regex.test(relativePath))) {
-            // console.debug(`[CUE Upload Lib] Path '${pathToTest}' matched ignore pattern '${pattern}'.`);
-            return true;
-        }
-    }
-    return false;
-}
\ No newline at end of file